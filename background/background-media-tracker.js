@@ -0,0 +1,115 @@
+// background/background-media-tracker.js
+/**
+ * @file A second timer for tabs the user listens to or watches without being on them: audible
+ * background tabs (podcasts, music) and picture-in-picture videos. The main time tracker only
+ * times the active tab of the focused window, so every audible or picture-in-picture tab it is not
+ * timing is timed here instead. This time is saved as the site's `backgroundTime`, a separate
+ * dimension that stays out of the day's total, limits and reports, so charts can show or hide it.
+ */
+
+import { saveTimeRecord } from '../utils/storage-manager.js';
+import { getActiveTabInfo, MAX_UNSAVED_SECONDS } from './time-tracker.js';
+import { isTrackingExcluded } from './exclusion-manager.js';
+
+// The `chrome.storage.session` key holding a timer per background tab: `{ [tabId]: { url, startTime } }`.
+const BACKGROUND_TIMERS_KEY = 'backgroundMediaTimers';
+
+// The `chrome.storage.session` key listing the tabs showing a picture-in-picture video: `{ [tabId]: true }`.
+const PICTURE_IN_PICTURE_KEY = 'pictureInPictureTabs';
+
+// Updates run one after another, so that two events arriving together never save a timer twice.
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Finds the tabs that should be timed in the background right now: audible (and not muted) or
+ * showing picture-in-picture, on a tracked web page, and not already timed by the main tracker.
+ * @param {Object<string, boolean>} pictureInPictureTabs - The tabs showing picture-in-picture.
+ * @returns {Promise<Object<string, string>>} The URL of each such tab, keyed by tab id.
+ */
+async function findBackgroundMediaTabs(pictureInPictureTabs) {
+    const { tabId: foregroundTabId } = await getActiveTabInfo();
+    const tabs = await chrome.tabs.query({});
+    const mediaTabs = {};
+    for (const tab of tabs) {
+        const audible = tab.audible && !(tab.mutedInfo && tab.mutedInfo.muted);
+        if (tab.id === foregroundTabId || !(audible || pictureInPictureTabs[tab.id])) continue;
+        if (!tab.url || !tab.url.startsWith('http') || await isTrackingExcluded(tab.url, tab.incognito)) continue;
+        mediaTabs[tab.id] = tab.url;
+    }
+    return mediaTabs;
+}
+
+/**
+ * Saves a background timer's time. Like the main tracker, a stretch longer than the heartbeat
+ * allows is cut short, as the browser or computer was asleep.
+ * @param {{url: string, startTime: number}} timer - The timer to save.
+ * @param {number} endTime - When the time ended, in milliseconds.
+ */
+async function saveTimer(timer, endTime) {
+    const end = Math.min(endTime, timer.startTime + MAX_UNSAVED_SECONDS * 1000);
+    const seconds = Math.round((end - timer.startTime) / 1000);
+    if (seconds > 1) await saveTimeRecord(timer.url, seconds, end, 'background');
+}
+
+/**
+ * Brings the background timers in line with the tabs that are playing: timers start for tabs that
+ * began playing or left the foreground, and stop (saving their time) for tabs that fell silent,
+ * navigated away, closed or came to the foreground.
+ * @param {object} [options]
+ * @param {boolean} [options.flush] - Also save the time of timers that keep running, as on every heartbeat.
+ * @returns {Promise<void>} Resolves when the timers have been updated.
+ */
+export function syncBackgroundMedia({ flush = false } = {}) {
+    pendingUpdate = pendingUpdate.then(async () => {
+        const now = Date.now();
+        const data = await chrome.storage.session.get([BACKGROUND_TIMERS_KEY, PICTURE_IN_PICTURE_KEY]);
+        const timers = data[BACKGROUND_TIMERS_KEY] || {};
+        const mediaTabs = await findBackgroundMediaTabs(data[PICTURE_IN_PICTURE_KEY] || {});
+
+        const nextTimers = {};
+        for (const tabId in timers) {
+            const timer = timers[tabId];
+            const stillPlaying = mediaTabs[tabId] === timer.url;
+            if (stillPlaying && !flush) {
+                nextTimers[tabId] = timer;
+                continue;
+            }
+            await saveTimer(timer, now);
+            if (stillPlaying) nextTimers[tabId] = { url: timer.url, startTime: now };
+        }
+        for (const tabId in mediaTabs) {
+            if (!nextTimers[tabId]) nextTimers[tabId] = { url: mediaTabs[tabId], startTime: now };
+        }
+        await chrome.storage.session.set({ [BACKGROUND_TIMERS_KEY]: nextTimers });
+    }).catch(error => {
+        console.error("BACKGROUND_MEDIA: Error updating the background media timers", error);
+    });
+    return pendingUpdate;
+}
+
+/**
+ * Records whether a tab is showing a picture-in-picture video, as reported by its content script,
+ * and updates the timers.
+ * @param {number} tabId - The tab.
+ * @param {boolean} active - Whether a video on the page is in picture-in-picture.
+ * @returns {Promise<void>} Resolves when the timers have been updated.
+ */
+export function setPictureInPicture(tabId, active) {
+    // Queued with the timer updates, so reports from several tabs at once do not overwrite each other.
+    let changed = false;
+    pendingUpdate = pendingUpdate.then(async () => {
+        const data = await chrome.storage.session.get(PICTURE_IN_PICTURE_KEY);
+        const pictureInPictureTabs = data[PICTURE_IN_PICTURE_KEY] || {};
+        if (Boolean(pictureInPictureTabs[tabId]) === active) return;
+        if (active) {
+            pictureInPictureTabs[tabId] = true;
+        } else {
+            delete pictureInPictureTabs[tabId];
+        }
+        await chrome.storage.session.set({ [PICTURE_IN_PICTURE_KEY]: pictureInPictureTabs });
+        changed = true;
+    }).catch(error => {
+        console.error("BACKGROUND_MEDIA: Error recording picture-in-picture", error);
+    });
+    return pendingUpdate.then(() => (changed ? syncBackgroundMedia() : undefined));
+}
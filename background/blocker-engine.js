@@ -1,8 +1,28 @@
 // background/blocker-engine.js (Final version with Offscreen API)
-import { getSettings, getDomainDataForToday } from '../utils/storage-manager.js';
+import { getSettings, getTodayData, getDayStartHour, getNextDayStart } from '../utils/storage-manager.js';
+import { canonicalizeHostname } from '../utils/url-canonicalizer.js';
+import { getDomainCategories } from '../utils/domain-groups.js';
+import {
+    getLimitRules, getRuleUsage, ruleCoversHostname, describeLimitRule, isRuleActive, getNextScheduleChange, SESSION_BREAK_MINUTES
+} from './limit-rules.js';
 
 let offscreenDocumentPath = 'offscreen/offscreen.html';
 
+// The extension page that over-limit navigations are redirected to.
+const BLOCK_PAGE_PATH = '/block/block.html';
+
+// The alarm that clears all blocking rules when a new day begins.
+export const DAILY_RESET_ALARM = 'daily-reset';
+
+// Dynamic rule ids up to this value belong to time limits. Higher ids are used by focus mode.
+export const LIMIT_RULE_ID_MAX = 999;
+
+// Fires when a limit rule's schedule starts or ends, or a per-session cap's break is over.
+export const LIMIT_SCHEDULE_ALARM = 'limit-schedule';
+
+// The `chrome.storage.session` key holding each capped rule's continuous time: `{ [ruleId]: { seconds, lastSeen } }`.
+const CONTINUOUS_USAGE_KEY = 'continuousUsage';
+
 /**
  * Manages the offscreen document and plays a sound.
  * @param {string} soundFile - The path to the sound file.
@@ -31,46 +51,310 @@ async function playSound(soundFile) {
 }
 
 /**
- * Checks if the cumulative time spent on a domain has exceeded the user's limit.
- * @param {string} domain The domain to check.
+ * Adds newly recorded time to the continuous time of every capped rule that covers the hostname.
+ * The count starts again from zero when the time follows a break of at least `SESSION_BREAK_MINUTES`.
+ * @param {string} hostname The hostname the time was recorded on.
+ * @param {number} seconds The time recorded.
+ * @param {number} endTime When the recorded time ended, in milliseconds.
+ * @param {object[]} rules The limit rules.
+ * @param {object} categories The category table.
  */
-export async function checkTimeLimits(domain) {
+async function recordContinuousUsage(hostname, seconds, endTime, rules, categories) {
+    const cappedRules = rules.filter(rule => rule.sessionCapMinutes && ruleCoversHostname(rule, hostname, categories));
+    if (cappedRules.length === 0) return;
+
+    const data = await chrome.storage.session.get(CONTINUOUS_USAGE_KEY);
+    const continuousUsage = data[CONTINUOUS_USAGE_KEY] || {};
+    const startTime = endTime - seconds * 1000;
+    cappedRules.forEach(rule => {
+        const previous = continuousUsage[rule.id];
+        const continues = previous && startTime - previous.lastSeen < SESSION_BREAK_MINUTES * 60 * 1000;
+        continuousUsage[rule.id] = { seconds: (continues ? previous.seconds : 0) + seconds, lastSeen: endTime };
+    });
+    await chrome.storage.session.set({ [CONTINUOUS_USAGE_KEY]: continuousUsage });
+}
+
+/**
+ * Works out the current usage of every limit rule (see limit-rules.js).
+ * @returns {Promise<{usage: object[], categories: object, dayData: object}>} Each rule as
+ *     `{ rule, active, secondsToday, continuous }`, where `active` says whether its schedule applies
+ *     now and `continuous` is its unbroken run of time (`{ seconds, lastSeen }`, or null); plus the
+ *     category table and today's records it was computed from.
+ */
+export async function getLimitUsage() {
     const settings = await getSettings();
-    const timeLimits = settings.timeLimits || {};
-    const limitInMinutes = timeLimits[domain] || timeLimits[domain.replace(/^www\./, '')];
+    const categories = getDomainCategories(settings);
+    const dayData = await getTodayData();
+    const data = await chrome.storage.session.get(CONTINUOUS_USAGE_KEY);
+    const continuousUsage = data[CONTINUOUS_USAGE_KEY] || {};
+    const dayStartHour = settings.dayStartHour || 0;
+    const now = new Date();
 
-    if (!limitInMinutes) return;
+    const usage = getLimitRules(settings).map(rule => {
+        const continuous = continuousUsage[rule.id];
+        const onBreak = !continuous || now.getTime() - continuous.lastSeen >= SESSION_BREAK_MINUTES * 60 * 1000;
+        return {
+            rule,
+            active: isRuleActive(rule, now, dayStartHour),
+            secondsToday: getRuleUsage(rule, dayData, categories),
+            continuous: onBreak ? null : continuous
+        };
+    });
+    return { usage, categories, dayData };
+}
+
+/**
+ * Works out why a rule blocks its sites right now, if it does.
+ * @param {object} entry A usage entry from `getLimitUsage`.
+ * @returns {string|null} 'blocked' (a zero-minute rule inside its window), 'daily' (today's time is
+ *     over the limit), 'session' (continuous time is over the per-session cap), or null.
+ */
+function getExceededReason({ rule, active, secondsToday, continuous }) {
+    if (!active) return null;
+    if (rule.minutes === 0) return 'blocked';
+    if (secondsToday > rule.minutes * 60) return 'daily';
+    if (rule.sessionCapMinutes && continuous && continuous.seconds > rule.sessionCapMinutes * 60) return 'session';
+    return null;
+}
+
+/**
+ * Records new time against the per-session caps, then checks every limit rule that applies now
+ * and covers the hostname (its site, any matching pattern, group or category, and the daily budget),
+ * blocking and notifying for each one that is exceeded.
+ * @param {string} hostname The hostname to check.
+ * @param {number} [seconds] The time just recorded on the hostname, counted towards per-session caps.
+ * @param {number} [endTime] When that time ended, in milliseconds.
+ * @returns {Promise<Array<{rule: object, reason: string}>>} The rules that triggered and why, so the
+ *     caller can tell which limit was hit.
+ */
+export async function checkTimeLimits(hostname, seconds = 0, endTime = Date.now()) {
+    if (seconds > 0) {
+        const settings = await getSettings();
+        await recordContinuousUsage(hostname, seconds, endTime, getLimitRules(settings), getDomainCategories(settings));
+    }
 
-    const limitInSeconds = limitInMinutes * 60;
-    const domainData = await getDomainDataForToday(domain);
-    const totalTimeTodayInSeconds = domainData.totalTime || 0;
+    const { usage, categories } = await getLimitUsage();
+    const triggered = usage
+        .filter(entry => ruleCoversHostname(entry.rule, hostname, categories))
+        .map(entry => ({ rule: entry.rule, reason: getExceededReason(entry) }))
+        .filter(entry => entry.reason);
+    if (triggered.length === 0) return triggered;
 
-    if (totalTimeTodayInSeconds > limitInSeconds) {
-        const lastNotified = await chrome.storage.session.get([`notified_${domain}`]);
-        const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
+    // Enforce the limit before notifying, so the user lands on the block page right away.
+    await syncBlockingRules();
 
-        if (!lastNotified[`notified_${domain}`] || lastNotified[`notified_${domain}`] < tenMinutesAgo) {
-            triggerNotification(domain, limitInMinutes);
-            await chrome.storage.session.set({ [`notified_${domain}`]: Date.now() });
+    const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
+    for (const { rule, reason } of triggered) {
+        console.log(`BLOCKER_ENGINE: Limit rule "${describeLimitRule(rule)}" triggered on ${hostname} (${reason}).`);
+        const lastNotified = await chrome.storage.session.get([`notified_${rule.id}`]);
+        if (!lastNotified[`notified_${rule.id}`] || lastNotified[`notified_${rule.id}`] < tenMinutesAgo) {
+            triggerNotification(rule, reason);
+            await chrome.storage.session.set({ [`notified_${rule.id}`]: Date.now() });
         }
     }
+    return triggered;
 }
 
 /**
  * Creates a notification and plays the alert sound.
- * @param {string} domain The domain that exceeded its limit.
- * @param {number} limitInMinutes The configured time limit.
+ * @param {object} rule The limit rule that was exceeded.
+ * @param {string} reason Why it blocks, from `getExceededReason`.
  */
-async function triggerNotification(domain, limitInMinutes) {
+async function triggerNotification(rule, reason) {
     // Play the alert sound using the new offscreen document method.
     await playSound('assets/sounds/alert.mp3');
     
-    const notificationId = `limit-exceeded-${domain}`;
+    const description = describeLimitRule(rule);
+    const messages = {
+        blocked: `${description} is blocked until ${rule.window && rule.window.end}.`,
+        daily: `You've spent more than your daily limit of ${rule.minutes} minutes on ${description}.`,
+        session: `You've spent ${rule.sessionCapMinutes} minutes in a row on ${description}. Take a ${SESSION_BREAK_MINUTES}-minute break.`
+    };
+    const notificationId = `limit-exceeded-${rule.id}`;
     chrome.notifications.create(notificationId, {
         type: 'basic',
         iconUrl: '../assets/icons/icon128.png',
         title: 'Time Limit Exceeded',
-        message: `You've spent more than your daily limit of ${limitInMinutes} minutes on ${domain}.`,
+        message: messages[reason],
         priority: 2
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Turns a limit pattern into a `declarativeNetRequest` regular expression over the URL.
+ * @param {string} pattern The pattern, with `*` wildcards (e.g., "*.reddit.com").
+ * @returns {string} The regular expression source.
+ */
+function patternToRegexFilter(pattern) {
+    const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const host = (pattern.startsWith('*.') ? pattern.slice(2) : pattern).split('*').map(escape).join('[^/]*');
+    // Like the rule itself, a leading "*." or a pattern without wildcards also covers subdomains.
+    const subdomains = pattern.startsWith('*.') || !pattern.includes('*') ? '([^/]*\\.)?' : '';
+    return `^https?://${subdomains}${host}(:[0-9]+)?/`;
+}
+
+/**
+ * Builds the `declarativeNetRequest` condition that blocks what a rule covers. A category blocks
+ * every site listed under it in the category table and every site in it visited today, leaving
+ * out subdomains listed under another category.
+ * @param {object} rule The exceeded limit rule.
+ * @param {object} categories The category table.
+ * @param {string[]} todayHostnames The hostnames with time recorded today.
+ * @returns {object|null} The condition, or null if there is nothing to block.
+ */
+function getRuleCondition(rule, categories, todayHostnames) {
+    const condition = { resourceTypes: ['main_frame'] };
+    switch (rule.type) {
+        case 'site':
+            return { ...condition, requestDomains: [rule.domain] };
+        case 'group':
+            return rule.domains.length > 0 ? { ...condition, requestDomains: rule.domains } : null;
+        case 'pattern':
+            return { ...condition, regexFilter: patternToRegexFilter(rule.pattern) };
+        case 'budget':
+            return { ...condition, regexFilter: '^https?://' };
+        case 'category': {
+            const listed = Object.keys(categories).filter(domain => categories[domain] === rule.category);
+            const visited = todayHostnames.filter(hostname => ruleCoversHostname(rule, hostname, categories));
+            const requestDomains = [...new Set([...listed, ...visited].map(canonicalizeHostname))];
+            const excludedRequestDomains = Object.keys(categories).filter(domain =>
+                categories[domain] !== rule.category && requestDomains.some(blocked => domain.endsWith(`.${blocked}`)));
+            if (requestDomains.length === 0) return null;
+            return { ...condition, requestDomains, excludedRequestDomains: excludedRequestDomains.length > 0 ? excludedRequestDomains : undefined };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Finds every limit rule that blocks its sites right now, with the condition that blocks it.
+ * @returns {Promise<{blocked: Array<{rule: object, condition: object}>, usage: object[], categories: object}>}
+ *     The exceeded rules, plus the usage and category table they were worked out from.
+ */
+async function getBlockedRules() {
+    const { usage, categories, dayData } = await getLimitUsage();
+    const todayHostnames = Object.keys(dayData);
+    const blocked = usage
+        .filter(entry => getExceededReason(entry))
+        .map(({ rule }) => ({ rule, condition: getRuleCondition(rule, categories, todayHostnames) }))
+        .filter(entry => entry.condition);
+    return { blocked, usage, categories };
+}
+
+/**
+ * Sets the alarm for the next moment the blocks may change on their own: a rule's window
+ * starting or ending, a scheduled day beginning, or a per-session cap's break being over.
+ * @param {object[]} usage The usage entries from `getLimitUsage`.
+ */
+async function scheduleNextLimitChange(usage) {
+    const changes = usage
+        .filter(entry => getExceededReason(entry) === 'session')
+        .map(entry => entry.continuous.lastSeen + SESSION_BREAK_MINUTES * 60 * 1000);
+    const scheduleChange = getNextScheduleChange(usage.map(entry => entry.rule), Date.now(), await getDayStartHour());
+    if (scheduleChange) changes.push(scheduleChange);
+
+    if (changes.length > 0) {
+        await chrome.alarms.create(LIMIT_SCHEDULE_ALARM, { when: Math.min(...changes) });
+    } else {
+        await chrome.alarms.clear(LIMIT_SCHEDULE_ALARM);
+    }
+}
+
+/**
+ * Builds the block page URL for an exceeded rule.
+ * @param {object} rule The limit rule that is exceeded.
+ * @returns {string} The extension path, including the `?site=` parameter read by block.js.
+ */
+function getBlockPagePath(rule) {
+    return `${BLOCK_PAGE_PATH}?site=${encodeURIComponent(describeLimitRule(rule))}`;
+}
+
+/**
+ * Finds the exceeded rule, if any, that blocks a URL.
+ * @param {string} url The URL to check.
+ * @param {object[]} blocked The exceeded rules from `getBlockedRules`.
+ * @param {object} categories The category table.
+ * @returns {object|undefined} The matching rule, if any.
+ */
+function findBlockingRule(url, blocked, categories) {
+    if (!url || !url.startsWith('http')) return undefined;
+    const hostname = new URL(url).hostname;
+    const match = blocked.find(({ rule }) => ruleCoversHostname(rule, hostname, categories));
+    return match && match.rule;
+}
+
+/**
+ * Rebuilds the `declarativeNetRequest` redirect rules so that they match the domains currently
+ * over their limit, then sends any open tabs on those domains to the block page.
+ * Called whenever time is recorded over a limit, when limits change, at the daily reset, and when
+ * a rule's schedule or a per-session break changes what is blocked.
+ */
+export async function syncBlockingRules() {
+    try {
+        const { blocked, usage, categories } = await getBlockedRules();
+
+        // Replace all of our time limit rules in one update, one redirect rule per exceeded limit.
+        const existingRules = (await chrome.declarativeNetRequest.getDynamicRules())
+            .filter(rule => rule.id <= LIMIT_RULE_ID_MAX);
+        const addRules = blocked.slice(0, LIMIT_RULE_ID_MAX).map(({ rule, condition }, index) => ({
+            id: index + 1,
+            priority: 1,
+            action: {
+                type: 'redirect',
+                redirect: { extensionPath: getBlockPagePath(rule) }
+            },
+            condition
+        }));
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: existingRules.map(rule => rule.id),
+            addRules
+        });
+
+        // Rules only apply to new navigations, so tabs already open on a blocked site are redirected by hand.
+        if (blocked.length > 0) {
+            await redirectOpenTabs(blocked, categories);
+        }
+
+        await scheduleNextLimitChange(usage);
+
+        console.log(`BLOCKER_ENGINE: ${blocked.length} limit(s) blocking`, blocked.map(({ rule }) => describeLimitRule(rule)));
+    } catch (error) {
+        console.error("BLOCKER_ENGINE: Error syncing blocking rules", error);
+    }
+}
+
+/**
+ * Sends every open tab on a blocked site to the block page.
+ * @param {object[]} blocked The exceeded rules from `getBlockedRules`.
+ * @param {object} categories The category table.
+ */
+async function redirectOpenTabs(blocked, categories) {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        const rule = findBlockingRule(tab.url, blocked, categories);
+        if (rule) {
+            await chrome.tabs.update(tab.id, { url: chrome.runtime.getURL(getBlockPagePath(rule)) });
+        }
+    }
+}
+
+/**
+ * Schedules the daily reset alarm for the start of the next day, in local time and honoring the
+ * user's "day starts at" hour, to match the day keys used by the storage manager. The alarm fires
+ * once and is rescheduled by `handleDailyReset`, because a fixed 24-hour period would drift across
+ * daylight saving changes.
+ */
+export async function scheduleDailyReset() {
+    const nextDayStart = getNextDayStart(Date.now(), await getDayStartHour());
+    await chrome.alarms.create(DAILY_RESET_ALARM, { when: nextDayStart });
+}
+
+/**
+ * Runs when a new day begins. Today's totals start from zero, so syncing the rules clears every block.
+ */
+export async function handleDailyReset() {
+    console.log("BLOCKER_ENGINE: Daily reset, clearing time limit blocks.");
+    await syncBlockingRules();
+    await scheduleDailyReset();
+}
@@ -0,0 +1,83 @@
+// background/exclusion-manager.js
+/**
+ * @file This module decides which pages are never tracked. Sites such as banking, health or email
+ * can be excluded by domain pattern or URL regular expression, and incognito tabs can be excluded
+ * as a whole. Excluded pages get no time records, no session pages and no AI summary.
+ */
+
+import { getSettings } from '../utils/storage-manager.js';
+
+/**
+ * The default exclusion settings. Saved values in `settings.exclusions` override these.
+ * Domain patterns match the domain and its subdomains (e.g., "mybank.com"), and may use `*` as a
+ * wildcard (e.g., "mail.*.com"). URL patterns are regular expressions matched against the full URL.
+ */
+export const DEFAULT_EXCLUSION_SETTINGS = {
+    domains: [],
+    urlPatterns: [],
+    excludeIncognito: true
+};
+
+/**
+ * Merges the user's saved exclusion settings over the defaults.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {object} The complete exclusion settings.
+ */
+export function getExclusionSettings(settings = {}) {
+    return { ...DEFAULT_EXCLUSION_SETTINGS, ...settings.exclusions };
+}
+
+/**
+ * Checks whether a hostname matches a domain pattern.
+ * @param {string} hostname - The hostname to check.
+ * @param {string} pattern - A domain, optionally with `*` wildcards.
+ * @returns {boolean} True if the hostname matches.
+ */
+export function matchesDomainPattern(hostname, pattern) {
+    if (!pattern.includes('*')) {
+        return hostname === pattern || hostname.endsWith(`.${pattern}`);
+    }
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(hostname);
+}
+
+/**
+ * Checks whether a URL matches a user-supplied regular expression. Invalid expressions never match.
+ * @param {string} url - The full URL.
+ * @param {string} pattern - The regular expression source.
+ * @returns {boolean} True if the URL matches.
+ */
+function matchesUrlPattern(url, pattern) {
+    try {
+        return new RegExp(pattern).test(url);
+    } catch (error) {
+        console.warn(`EXCLUSIONS: Ignoring invalid URL pattern "${pattern}".`, error);
+        return false;
+    }
+}
+
+/**
+ * Checks a page against the exclusion settings.
+ * @param {string} url - The page's full URL.
+ * @param {boolean} incognito - Whether the page is in an incognito tab.
+ * @param {object} config - The exclusion settings (see `getExclusionSettings`).
+ * @returns {boolean} True if the page must not be tracked.
+ */
+export function isExcluded(url, incognito, config) {
+    if (incognito && config.excludeIncognito) return true;
+    if (!url || !url.startsWith('http')) return false;
+
+    const hostname = new URL(url).hostname;
+    return config.domains.some(pattern => matchesDomainPattern(hostname, pattern)) ||
+        config.urlPatterns.some(pattern => matchesUrlPattern(url, pattern));
+}
+
+/**
+ * Checks a page against the user's saved exclusion settings.
+ * @param {string} url - The page's full URL.
+ * @param {boolean} [incognito] - Whether the page is in an incognito tab.
+ * @returns {Promise<boolean>} True if the page must not be tracked.
+ */
+export async function isTrackingExcluded(url, incognito = false) {
+    return isExcluded(url, incognito, getExclusionSettings(await getSettings()));
+}
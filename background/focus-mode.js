@@ -0,0 +1,285 @@
+// background/focus-mode.js
+/**
+ * @file This module implements Focus Mode. While focus is on, only allowlisted domains (and, when
+ * configured, pages about allowlisted topics) can be visited; everything else is sent to the block
+ * page. Focus is started from the popup for a chosen duration, or automatically by recurring
+ * schedules (e.g., weekdays 9:00–12:00) that are checked with `chrome.alarms`.
+ */
+
+import { getSettings, STORAGE_KEYS } from '../utils/storage-manager.js';
+import { LIMIT_RULE_ID_MAX } from './blocker-engine.js';
+import { isTrackingExcluded } from './exclusion-manager.js';
+
+// The dynamic rule that redirects every non-allowlisted navigation while focus is on.
+const FOCUS_RULE_ID = LIMIT_RULE_ID_MAX + 1;
+
+// The block page, with the reason read by block.js.
+const FOCUS_BLOCK_PAGE_PATH = '/block/block.html?reason=focus';
+
+// Fires when a focus period ends.
+export const FOCUS_END_ALARM = 'focus-end';
+
+// Fires every minute to start focus periods from the user's schedules.
+export const FOCUS_SCHEDULE_ALARM = 'focus-schedule-check';
+
+/**
+ * The default focus settings. Saved values in `settings.focus` override these.
+ * A schedule is `{ days: number[], start: "HH:MM", end: "HH:MM" }`, with days as in `Date.getDay()` (0 = Sunday).
+ * An end at or before the start makes an overnight schedule, which ends the morning after each of its days.
+ */
+export const DEFAULT_FOCUS_SETTINGS = {
+    allowedDomains: [],
+    allowedTopics: [],
+    schedules: []
+};
+
+/**
+ * Merges the user's saved focus settings over the defaults.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {object} The complete focus settings.
+ */
+export function getFocusSettings(settings = {}) {
+    return { ...DEFAULT_FOCUS_SETTINGS, ...settings.focus };
+}
+
+/**
+ * Retrieves the current focus state.
+ * @returns {Promise<{active: boolean, endsAt: number|null, source: string|null, suppressedUntil: number}>} The focus state.
+ */
+export async function getFocusState() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.focusState);
+    return data[STORAGE_KEYS.focusState] || { active: false, endsAt: null, source: null, suppressedUntil: 0 };
+}
+
+/**
+ * Converts an "HH:MM" time on today's date, or a day before or after it, into a timestamp.
+ * @param {string} time - The local time.
+ * @param {number} [dayOffset] - Days from today, e.g. 1 for tomorrow.
+ * @returns {number} The timestamp in milliseconds.
+ */
+function timeToday(time, dayOffset = 0) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setDate(date.getDate() + dayOffset);
+    date.setHours(hours, minutes, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Works out whether the current time falls inside a schedule, and when that part of it ends. A
+ * schedule whose end is not after its start runs overnight (e.g. 22:00–06:00): it starts on one of
+ * its days and ends the next morning, so the early hours belong to the previous day's schedule.
+ * @param {{days: number[], start: string, end: string}} schedule - The focus schedule.
+ * @returns {number|null} When the current window ends, or null if the schedule is not running now.
+ */
+function getScheduleWindowEnd(schedule) {
+    const now = Date.now();
+    const today = new Date(now).getDay();
+    const start = timeToday(schedule.start);
+    const end = timeToday(schedule.end);
+
+    if (start < end) {
+        return schedule.days.includes(today) && now >= start && now < end ? end : null;
+    }
+    if (now >= start) {
+        return schedule.days.includes(today) ? timeToday(schedule.end, 1) : null;
+    }
+    return now < end && schedule.days.includes((today + 6) % 7) ? end : null;
+}
+
+/**
+ * Checks whether a hostname is on the allowlist. Subdomains of an allowed domain are allowed too.
+ * @param {string} hostname - The hostname to check.
+ * @param {string[]} allowedDomains - The allowlisted domains.
+ * @returns {boolean} True if the hostname may be visited during focus.
+ */
+function isDomainAllowed(hostname, allowedDomains) {
+    return allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Checks whether a page is about one of the allowlisted topics, using its title, description,
+ * heading and AI topics.
+ * @param {object} pageData - The page data sent by the content script.
+ * @param {string[]} allowedTopics - The allowlisted topics.
+ * @returns {boolean} True if the page mentions an allowed topic.
+ */
+function isTopicAllowed(pageData, allowedTopics) {
+    const text = [pageData.title, pageData.description, pageData.h1, ...(pageData.aiTopics || [])]
+        .join(' ')
+        .toLowerCase();
+    return allowedTopics.some(topic => text.includes(topic.toLowerCase()));
+}
+
+/**
+ * Installs or removes the focus redirect rule to match the current state. When topics are allowlisted
+ * the rule is not used, because a page's topic is only known after it loads; those pages are checked
+ * by `enforceFocusOnPage` once they report, and by `enforceFocusOnTab` if they never will.
+ */
+async function syncFocusRule() {
+    const state = await getFocusState();
+    const config = getFocusSettings(await getSettings());
+    const useRule = state.active && config.allowedTopics.length === 0;
+
+    await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: [FOCUS_RULE_ID],
+        addRules: useRule ? [{
+            id: FOCUS_RULE_ID,
+            priority: 1,
+            action: {
+                type: 'redirect',
+                redirect: { extensionPath: FOCUS_BLOCK_PAGE_PATH }
+            },
+            condition: {
+                regexFilter: '^https?://',
+                excludedRequestDomains: config.allowedDomains.length > 0 ? config.allowedDomains : undefined,
+                resourceTypes: ['main_frame']
+            }
+        }] : []
+    });
+}
+
+/**
+ * Sends every open tab that is not on an allowlisted domain to the block page.
+ * @param {string[]} allowedDomains - The allowlisted domains.
+ */
+async function redirectOpenTabs(allowedDomains) {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        if (!tab.url || !tab.url.startsWith('http')) continue;
+        if (!isDomainAllowed(new URL(tab.url).hostname, allowedDomains)) {
+            await chrome.tabs.update(tab.id, { url: chrome.runtime.getURL(FOCUS_BLOCK_PAGE_PATH) });
+        }
+    }
+}
+
+/**
+ * Starts focus mode.
+ * @param {number} durationMinutes - How long focus should last.
+ * @param {string} [source] - 'manual' (from the popup) or 'schedule'.
+ */
+export async function startFocus(durationMinutes, source = 'manual') {
+    const endsAt = Date.now() + durationMinutes * 60 * 1000;
+    await chrome.storage.local.set({ [STORAGE_KEYS.focusState]: { active: true, endsAt, source, suppressedUntil: 0 } });
+    await chrome.alarms.create(FOCUS_END_ALARM, { when: endsAt });
+    await syncFocusRule();
+
+    // Without topics, anything off the allowlist is blocked right away; with topics, tabs are
+    // checked as their pages report in.
+    const config = getFocusSettings(await getSettings());
+    if (config.allowedTopics.length === 0) {
+        await redirectOpenTabs(config.allowedDomains);
+    }
+    console.log(`FOCUS_MODE: Focus started (${source}) until ${new Date(endsAt).toLocaleTimeString()}.`);
+}
+
+/**
+ * Ends focus mode. When the user ends a scheduled focus period early, the schedule is not allowed
+ * to start it again until that period is over.
+ */
+export async function stopFocus() {
+    const state = await getFocusState();
+    const suppressedUntil = state.active && state.source === 'schedule' ? state.endsAt : 0;
+    await chrome.storage.local.set({ [STORAGE_KEYS.focusState]: { active: false, endsAt: null, source: null, suppressedUntil } });
+    await chrome.alarms.clear(FOCUS_END_ALARM);
+    await syncFocusRule();
+    console.log("FOCUS_MODE: Focus ended.");
+}
+
+/**
+ * Runs when the focus period's end alarm fires.
+ */
+export async function handleFocusEnd() {
+    const state = await getFocusState();
+    if (state.active) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.focusState]: { active: false, endsAt: null, source: null, suppressedUntil: 0 } });
+        await syncFocusRule();
+        console.log("FOCUS_MODE: Focus period finished.");
+    }
+}
+
+/**
+ * Makes sure the schedule check alarm exists. Called when the extension is installed or the browser starts.
+ */
+export async function scheduleFocusChecks() {
+    await chrome.alarms.create(FOCUS_SCHEDULE_ALARM, { periodInMinutes: 1 });
+    await evaluateFocusSchedules();
+}
+
+/**
+ * Starts focus if the current time falls inside one of the user's schedules and focus is not already on.
+ */
+export async function evaluateFocusSchedules() {
+    const state = await getFocusState();
+    if (state.active) return;
+
+    const config = getFocusSettings(await getSettings());
+    const now = Date.now();
+    if (now < state.suppressedUntil) return;
+
+    for (const schedule of config.schedules) {
+        const end = getScheduleWindowEnd(schedule);
+        if (end !== null) {
+            await startFocus((end - now) / 60000, 'schedule');
+            return;
+        }
+    }
+}
+
+/**
+ * Checks a loaded page against the topic allowlist and sends its tab to the block page if it is off-topic.
+ * Only needed when topics are allowlisted; otherwise the redirect rule has already done the work.
+ * @param {object} pageData - The page data sent by the content script.
+ * @param {object} [tab] - The tab the page is in.
+ */
+export async function enforceFocusOnPage(pageData, tab) {
+    if (!tab || !pageData || !pageData.url || !pageData.url.startsWith('http')) return;
+
+    const state = await getFocusState();
+    if (!state.active) return;
+
+    const config = getFocusSettings(await getSettings());
+    if (config.allowedTopics.length === 0) return;
+
+    const hostname = new URL(pageData.url).hostname;
+    if (isDomainAllowed(hostname, config.allowedDomains) || isTopicAllowed(pageData, config.allowedTopics)) return;
+
+    await chrome.tabs.update(tab.id, { url: chrome.runtime.getURL(FOCUS_BLOCK_PAGE_PATH) });
+}
+
+/**
+ * Checks a tab that has finished loading while focus is on with allowlisted topics. A page off the
+ * domain allowlist can only get through on its topic, which its content script reports; pages that
+ * never report (excluded sites, and pages the content script cannot run on) are sent to the block
+ * page here instead of staying open unchecked.
+ * @param {object} tab - The tab that finished loading.
+ */
+export async function enforceFocusOnTab(tab) {
+    if (!tab || !tab.url || !tab.url.startsWith('http')) return;
+
+    const state = await getFocusState();
+    if (!state.active) return;
+
+    const config = getFocusSettings(await getSettings());
+    if (config.allowedTopics.length === 0) return;
+    if (isDomainAllowed(new URL(tab.url).hostname, config.allowedDomains)) return;
+
+    // Excluded pages are never read, so their topic can never be checked.
+    let reporting = !(await isTrackingExcluded(tab.url, tab.incognito));
+    if (reporting) {
+        // The content script answers if it is running on the page; it then reports the page's data
+        // to `enforceFocusOnPage`.
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'FOCUS_PING' }).catch(() => null);
+        reporting = Boolean(response && response.reporting);
+    }
+    if (!reporting) {
+        await chrome.tabs.update(tab.id, { url: chrome.runtime.getURL(FOCUS_BLOCK_PAGE_PATH) });
+    }
+}
+
+/**
+ * Re-applies the focus rule after the allowlist changes on the options page.
+ */
+export async function handleFocusSettingsChange() {
+    await syncFocusRule();
+}
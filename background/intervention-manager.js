@@ -0,0 +1,190 @@
+// background/intervention-manager.js
+/**
+ * @file This module decides when to nudge the user about a rabbithole in progress. It watches the
+ * live session's `rabbitholeSeverity` and, when it reaches "High", shows an in-page overlay (through
+ * the content script) or a system notification offering to go back to the original topic, save the
+ * session for later, snooze, or keep going. Quiet hours and the nudge frequency come from settings.
+ */
+
+import { getSettings } from '../utils/storage-manager.js';
+import { updateSessionFlags, getSessionStartUrl } from './session-manager.js';
+
+// The severity levels in increasing order, used to detect an escalation.
+const SEVERITY_ORDER = ['Low', 'Medium', 'High'];
+
+// Notification ids for nudges share this prefix, followed by the session id.
+const NOTIFICATION_PREFIX = 'rabbithole-nudge-';
+
+// How long "Snooze" silences nudges.
+const SNOOZE_DURATION = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * The default intervention settings. Saved values in `settings.interventions` override these.
+ */
+export const DEFAULT_INTERVENTION_SETTINGS = {
+    enabled: true,
+    style: 'overlay', // 'overlay' (in-page, falls back to a notification) or 'notification'.
+    minSeverity: 'High', // Nudges start once a session reaches this severity.
+    intervalMinutes: 15, // Minimum time between two nudges while a session stays at that severity.
+    quietHours: { start: '', end: '' } // Local "HH:MM" times. Empty means no quiet hours.
+};
+
+/**
+ * Merges the user's saved intervention settings over the defaults.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {object} The complete intervention settings.
+ */
+export function getInterventionSettings(settings = {}) {
+    const saved = settings.interventions || {};
+    return {
+        ...DEFAULT_INTERVENTION_SETTINGS,
+        ...saved,
+        quietHours: { ...DEFAULT_INTERVENTION_SETTINGS.quietHours, ...saved.quietHours }
+    };
+}
+
+/**
+ * Checks whether the current local time falls inside the quiet hours. Ranges that wrap past
+ * midnight (e.g., 22:00 to 07:00) are supported.
+ * @param {{start: string, end: string}} quietHours - The quiet hours in "HH:MM" format.
+ * @returns {boolean} True if nudges should be held back right now.
+ */
+function isQuietTime(quietHours) {
+    if (!quietHours.start || !quietHours.end) return false;
+
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const now = new Date();
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+/**
+ * Called whenever the live session changes. Shows a nudge if the session has just escalated to the
+ * configured severity, or if it is still there and enough time has passed since the last nudge.
+ *
+ * @param {object} session - The updated live session.
+ * @param {object} [previousSession] - The live session before the update, if any.
+ */
+export async function handleSessionUpdate(session, previousSession) {
+    if (!session || !session.rabbitholeSeverity) return;
+
+    const config = getInterventionSettings(await getSettings());
+    if (!config.enabled) return;
+    if (SEVERITY_ORDER.indexOf(session.rabbitholeSeverity) < SEVERITY_ORDER.indexOf(config.minSeverity)) return;
+    // The user chose "Keep going" for this session.
+    if (session.nudgesDismissed) return;
+
+    const data = await chrome.storage.session.get('nudgeState');
+    const nudgeState = data.nudgeState || { snoozedUntil: 0, lastNudgeAt: 0 };
+    const now = Date.now();
+
+    if (now < nudgeState.snoozedUntil || isQuietTime(config.quietHours)) return;
+
+    const previousSeverity = previousSession && previousSession.id === session.id ? previousSession.rabbitholeSeverity : 'Low';
+    const escalated = SEVERITY_ORDER.indexOf(session.rabbitholeSeverity) > SEVERITY_ORDER.indexOf(previousSeverity);
+    const intervalPassed = now - nudgeState.lastNudgeAt >= config.intervalMinutes * 60 * 1000;
+    if (!escalated && !intervalPassed) return;
+
+    nudgeState.lastNudgeAt = now;
+    await chrome.storage.session.set({ nudgeState });
+    await showNudge(session, config.style);
+}
+
+/**
+ * Shows the nudge, preferring the in-page overlay. Pages without our content script (such as the
+ * Chrome Web Store or the new tab page) get a notification instead.
+ * @param {object} session - The session that triggered the nudge.
+ * @param {string} style - 'overlay' or 'notification'.
+ */
+async function showNudge(session, style) {
+    const nudge = {
+        sessionId: session.id,
+        topic: session.primaryTopic,
+        severity: session.rabbitholeSeverity,
+        minutes: Math.round((session.lastActivity - session.startTime) / 60000)
+    };
+
+    if (style === 'overlay') {
+        const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (activeTab) {
+            try {
+                await chrome.tabs.sendMessage(activeTab.id, { type: 'SHOW_NUDGE', payload: nudge });
+                return;
+            } catch (error) {
+                console.warn("INTERVENTION: Could not show overlay, falling back to a notification.", error);
+            }
+        }
+    }
+
+    chrome.notifications.create(`${NOTIFICATION_PREFIX}${session.id}`, {
+        type: 'basic',
+        iconUrl: '../assets/icons/icon128.png',
+        title: chrome.i18n.getMessage("nudgeTitle") || 'Deep in a rabbithole?',
+        message: chrome.i18n.getMessage("nudgeMessage", [String(nudge.minutes), nudge.topic]) ||
+            `You've been exploring for ${nudge.minutes} minutes and drifted into "${nudge.topic}".`,
+        buttons: [
+            { title: chrome.i18n.getMessage("nudgeBackToTopic") || 'Back to original topic' },
+            { title: chrome.i18n.getMessage("nudgeSnooze") || 'Snooze 10 min' }
+        ],
+        priority: 2
+    });
+}
+
+/**
+ * Carries out the user's choice from a nudge.
+ *
+ * @param {string} action - One of 'back-to-topic', 'save-for-later', 'snooze' or 'keep-going'.
+ * @param {string} sessionId - The session the nudge was about.
+ * @param {number} [tabId] - The tab to navigate for 'back-to-topic'. Defaults to the active tab.
+ */
+export async function handleNudgeAction(action, sessionId, tabId) {
+    switch (action) {
+        case 'back-to-topic': {
+            // The first page of the session is where the original topic started.
+            const originalUrl = await getSessionStartUrl(sessionId);
+            if (!originalUrl) break;
+            if (tabId === undefined) {
+                const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+                tabId = activeTab ? activeTab.id : undefined;
+            }
+            if (tabId !== undefined) await chrome.tabs.update(tabId, { url: originalUrl });
+            break;
+        }
+        case 'save-for-later':
+            await updateSessionFlags(sessionId, { savedForLater: true });
+            break;
+        case 'snooze': {
+            const data = await chrome.storage.session.get('nudgeState');
+            const nudgeState = data.nudgeState || { snoozedUntil: 0, lastNudgeAt: 0 };
+            nudgeState.snoozedUntil = Date.now() + SNOOZE_DURATION;
+            await chrome.storage.session.set({ nudgeState });
+            break;
+        }
+        case 'keep-going':
+            await updateSessionFlags(sessionId, { nudgesDismissed: true });
+            break;
+        default:
+            console.warn(`INTERVENTION: Unknown nudge action "${action}".`);
+    }
+}
+
+/**
+ * Handles a click on one of the nudge notification's buttons.
+ * @param {string} notificationId - The id of the clicked notification.
+ * @param {number} buttonIndex - 0 for "Back to original topic", 1 for "Snooze".
+ * @returns {boolean} True if the notification was a nudge and has been handled.
+ */
+export function handleNotificationButton(notificationId, buttonIndex) {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return false;
+
+    const sessionId = notificationId.slice(NOTIFICATION_PREFIX.length);
+    handleNudgeAction(buttonIndex === 0 ? 'back-to-topic' : 'snooze', sessionId);
+    chrome.notifications.clear(notificationId);
+    return true;
+}
@@ -0,0 +1,161 @@
+// background/limit-indicator.js
+/**
+ * @file Tells the user how close they are to their time limits before they hit them. The toolbar
+ * badge counts down the time left on the active tab's site, a notification warns when a limit
+ * passes one of the warning thresholds (see `getLimitWarningSettings`), and the popup shows a
+ * progress bar for every limit. Everything is refreshed once a minute and whenever the active tab
+ * changes, counting the time on the current page that the time tracker has not saved yet.
+ */
+
+import { getSettings, getTodayKey } from '../utils/storage-manager.js';
+import { getActiveTabInfo, flushTracking } from './time-tracker.js';
+import { getLimitUsage } from './blocker-engine.js';
+import { ruleCoversHostname, describeLimitRule, getLimitWarningSettings, getReachedWarnings } from './limit-rules.js';
+
+// Fires once a minute to count the badge down and check the warning thresholds.
+export const LIMIT_INDICATOR_ALARM = 'limit-indicator';
+
+// The `chrome.storage.session` key recording the warnings already given today:
+// `{ dayKey, sent: { [ruleId]: ['80%', '5m'] } }`.
+const WARNINGS_SENT_KEY = 'limitWarningsSent';
+
+// Badge colors: neutral while there is plenty of time left, the accent color once a warning is reached.
+const BADGE_COLOR = '#6e6e73';
+const BADGE_WARNING_COLOR = '#ec4899';
+
+/**
+ * Returns the time spent on the active tab that has not been saved yet.
+ * @returns {Promise<{hostname: string, seconds: number}|null>} The live activity, or null if no tab is timed.
+ */
+async function getLiveActivity() {
+    const activeTabInfo = await getActiveTabInfo();
+    if (!activeTabInfo.startTime || !activeTabInfo.url) return null;
+    return {
+        hostname: new URL(activeTabInfo.url).hostname,
+        seconds: Math.round((Date.now() - activeTabInfo.startTime) / 1000)
+    };
+}
+
+/**
+ * Works out how much time is left under every limit that applies now and allows some time.
+ * @param {string|null} [hostname] - The active tab's hostname, to mark the limits that cover it.
+ * @returns {Promise<object[]>} For each limit, `{ rule, label, secondsUsed, secondsLeft, liveSeconds,
+ *     coversHostname }`. `secondsUsed` is today's time including the unsaved time on the active tab;
+ *     `secondsLeft` is the time left today, or before the per-session cap if that comes first.
+ */
+export async function getLimitStatus(hostname = null) {
+    const { usage, categories } = await getLimitUsage();
+    const live = await getLiveActivity();
+
+    return usage
+        .filter(({ rule, active }) => active && rule.minutes > 0)
+        .map(({ rule, secondsToday, continuous }) => {
+            const liveSeconds = live && ruleCoversHostname(rule, live.hostname, categories) ? live.seconds : 0;
+            const secondsUsed = secondsToday + liveSeconds;
+            let secondsLeft = rule.minutes * 60 - secondsUsed;
+            if (rule.sessionCapMinutes && (continuous || liveSeconds > 0)) {
+                const continuousSeconds = (continuous ? continuous.seconds : 0) + liveSeconds;
+                secondsLeft = Math.min(secondsLeft, rule.sessionCapMinutes * 60 - continuousSeconds);
+            }
+            return {
+                rule,
+                label: describeLimitRule(rule),
+                secondsUsed,
+                secondsLeft: Math.max(0, secondsLeft),
+                liveSeconds,
+                coversHostname: Boolean(hostname) && ruleCoversHostname(rule, hostname, categories)
+            };
+        });
+}
+
+/**
+ * Formats the time left for the badge, which fits about four characters (e.g., "25m", "1h05").
+ * @param {number} seconds - The time left.
+ * @returns {string} The badge text.
+ */
+function formatBadgeTime(seconds) {
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return hours >= 10 ? `${hours}h` : `${hours}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Gives a notification for every limit that has reached a warning threshold it has not been
+ * warned about today. Each threshold warns once a day per rule.
+ * @param {object[]} statuses - The limit statuses from `getLimitStatus`.
+ * @param {object} config - The limit warning settings.
+ */
+async function sendLimitWarnings(statuses, config) {
+    const dayKey = await getTodayKey();
+    const data = await chrome.storage.session.get(WARNINGS_SENT_KEY);
+    const record = data[WARNINGS_SENT_KEY] && data[WARNINGS_SENT_KEY].dayKey === dayKey
+        ? data[WARNINGS_SENT_KEY]
+        : { dayKey, sent: {} };
+
+    let changed = false;
+    statuses.forEach(({ rule, label, secondsUsed }) => {
+        const sent = record.sent[rule.id] || [];
+        const reached = getReachedWarnings(rule, secondsUsed, config);
+        if (reached.every(warning => sent.includes(warning))) return;
+
+        const minutesLeft = Math.ceil((rule.minutes * 60 - secondsUsed) / 60);
+        chrome.notifications.create(`limit-warning-${rule.id}`, {
+            type: 'basic',
+            iconUrl: '../assets/icons/icon128.png',
+            title: 'Time Limit Warning',
+            message: `${minutesLeft} minute${minutesLeft === 1 ? '' : 's'} left of your ${rule.minutes}-minute limit on ${label} today.`,
+            priority: 1
+        });
+        console.log(`LIMIT_INDICATOR: Warned about "${label}" (${reached.join(', ')}).`);
+        record.sent[rule.id] = [...new Set([...sent, ...reached])];
+        changed = true;
+    });
+    if (changed) await chrome.storage.session.set({ [WARNINGS_SENT_KEY]: record });
+}
+
+/**
+ * Shows the time left on the active tab's site on the toolbar badge, or clears the badge when no
+ * limit covers it. With several limits, the one that runs out first is shown.
+ * @param {object[]} statuses - The limit statuses of the limits that cover the active tab.
+ * @param {object} config - The limit warning settings.
+ */
+async function updateBadge(statuses, config) {
+    if (statuses.length === 0) {
+        await chrome.action.setBadgeText({ text: '' });
+        return;
+    }
+    const next = statuses.reduce((first, status) => (status.secondsLeft < first.secondsLeft ? status : first));
+    const warned = statuses.some(({ rule, secondsUsed }) => getReachedWarnings(rule, secondsUsed, config).length > 0);
+    await chrome.action.setBadgeBackgroundColor({ color: warned ? BADGE_WARNING_COLOR : BADGE_COLOR });
+    await chrome.action.setBadgeText({ text: formatBadgeTime(next.secondsLeft) });
+}
+
+/**
+ * Refreshes the badge and gives any due warnings. When a limit covering the page the user is on
+ * runs out, the page's time is saved straight away so that the limit is enforced.
+ */
+export async function refreshLimitIndicators() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        const hostname = tab && tab.url && tab.url.startsWith('http') ? new URL(tab.url).hostname : null;
+        const statuses = await getLimitStatus(hostname);
+        const config = getLimitWarningSettings(await getSettings());
+
+        await sendLimitWarnings(statuses, config);
+        await updateBadge(statuses.filter(status => status.coversHostname), config);
+
+        if (statuses.some(status => status.liveSeconds > 0 && status.secondsLeft === 0)) {
+            await flushTracking();
+        }
+    } catch (error) {
+        console.error("LIMIT_INDICATOR: Error refreshing the limit indicators", error);
+    }
+}
+
+/**
+ * Starts the once-a-minute refresh of the badge and warnings.
+ */
+export async function scheduleLimitIndicator() {
+    await chrome.alarms.create(LIMIT_INDICATOR_ALARM, { periodInMinutes: 1 });
+}
@@ -0,0 +1,225 @@
+// background/limit-rules.js
+/**
+ * @file Daily time limit rules. A rule caps the time spent today on what it covers:
+ * - 'site': one site and its subdomains (`domain`, a registrable domain such as "reddit.com").
+ * - 'pattern': hostnames matching a pattern with `*` wildcards (`pattern`, e.g. "*.reddit.com").
+ * - 'group': a named list of sites (`name` and `domains`, e.g. "Social media").
+ * - 'category': every site in a category (`category`, e.g. "Video").
+ * - 'budget': all browsing, as an overall daily budget.
+ * Every rule also has an `id` and a `minutes` limit. Rules are saved in `settings.limitRules`.
+ *
+ * A rule can also have a schedule. `days` (as in `Date.getDay()`, 0 = Sunday) limits it to some
+ * days of the week, so "30 min on weekdays, 2 h at weekends" is two rules. Days follow the user's
+ * day start hour, like the time records. `window` (`{ start: "HH:MM", end: "HH:MM" }`) limits it to
+ * a time of day, and is meant for `minutes: 0`, which blocks the sites for the whole window. Day
+ * records only hold daily totals, so the time spent inside a window cannot be measured: a rule with
+ * a window and a minute limit would count the whole day's time, and the options page does not offer
+ * one. `sessionCapMinutes` caps continuous time, which starts again from zero after a break of
+ * `SESSION_BREAK_MINUTES`.
+ */
+
+import { getRegistrableDomain, getCategory } from '../utils/domain-groups.js';
+import { canonicalizeHostname } from '../utils/url-canonicalizer.js';
+import { getDayKey } from '../utils/storage-manager.js';
+import { matchesDomainPattern } from './exclusion-manager.js';
+
+// The kinds of rule, in the order the options page offers them.
+export const LIMIT_RULE_TYPES = ['site', 'pattern', 'group', 'category', 'budget'];
+
+// How long a break from a rule's sites must be before its per-session cap starts again from zero.
+export const SESSION_BREAK_MINUTES = 10;
+
+/**
+ * The default warnings before a limit is reached. Saved values in `settings.limitWarnings` override
+ * these. A warning is given once a day per rule when its time passes a percentage of the limit
+ * (`percentages`) or gets down to a number of minutes left (`minutesLeft`).
+ */
+export const DEFAULT_LIMIT_WARNING_SETTINGS = {
+    percentages: [80],
+    minutesLeft: [5]
+};
+
+/**
+ * Returns the user's saved limit rules.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {object[]} The limit rules.
+ */
+export function getLimitRules(settings = {}) {
+    return settings.limitRules || [];
+}
+
+/**
+ * Merges the user's saved limit warning settings over the defaults.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {object} The complete limit warning settings.
+ */
+export function getLimitWarningSettings(settings = {}) {
+    return { ...DEFAULT_LIMIT_WARNING_SETTINGS, ...settings.limitWarnings };
+}
+
+/**
+ * Creates a limit rule with a new id.
+ * @param {object} fields - The rule's `type`, `minutes` and type-specific fields.
+ * @returns {object} The new rule.
+ */
+export function createLimitRule(fields) {
+    return { id: `rule-${Date.now()}`, ...fields };
+}
+
+/**
+ * Checks whether a hostname matches a limit pattern. A leading "*." also matches the bare domain,
+ * so "*.reddit.com" covers "reddit.com" as well as "old.reddit.com".
+ * @param {string} hostname - The canonical hostname.
+ * @param {string} pattern - The pattern, with `*` wildcards.
+ * @returns {boolean} True if the hostname matches.
+ */
+function matchesLimitPattern(hostname, pattern) {
+    return (pattern.startsWith('*.') && hostname === pattern.slice(2)) || matchesDomainPattern(hostname, pattern);
+}
+
+/**
+ * Checks whether time on a hostname counts towards a rule.
+ * @param {object} rule - The limit rule.
+ * @param {string} hostname - The hostname, as time is recorded under it.
+ * @param {Object<string, string>} categories - The category table (see `getDomainCategories`).
+ * @returns {boolean} True if the rule covers the hostname.
+ */
+export function ruleCoversHostname(rule, hostname, categories) {
+    const canonical = canonicalizeHostname(hostname);
+    switch (rule.type) {
+        case 'site': return getRegistrableDomain(canonical) === rule.domain;
+        case 'pattern': return matchesLimitPattern(canonical, rule.pattern);
+        case 'group': return rule.domains.some(domain => canonical === domain || canonical.endsWith(`.${domain}`));
+        case 'category': return getCategory(canonical, categories) === rule.category;
+        case 'budget': return true;
+        default: return false;
+    }
+}
+
+/**
+ * Adds up the time a rule covers in one day's records.
+ * @param {object} rule - The limit rule.
+ * @param {object} dayData - The day's time records, keyed by hostname.
+ * @param {Object<string, string>} categories - The category table.
+ * @returns {number} The covered time in seconds.
+ */
+export function getRuleUsage(rule, dayData, categories) {
+    let seconds = 0;
+    for (const hostname in dayData) {
+        if (ruleCoversHostname(rule, hostname, categories)) seconds += dayData[hostname].totalTime || 0;
+    }
+    return seconds;
+}
+
+/**
+ * Finds the warnings a rule has reached but not yet passed its limit. Minutes-left warnings that are
+ * not shorter than the limit itself are skipped, as they would fire before any time was spent.
+ * @param {object} rule - The limit rule.
+ * @param {number} secondsUsed - The time the rule covers today.
+ * @param {object} config - The limit warning settings (see `getLimitWarningSettings`).
+ * @returns {string[]} The reached warnings, as "80%" or "5m".
+ */
+export function getReachedWarnings(rule, secondsUsed, config) {
+    const limitSeconds = rule.minutes * 60;
+    if (limitSeconds === 0 || secondsUsed >= limitSeconds) return [];
+    return [
+        ...config.percentages.filter(percent => secondsUsed >= limitSeconds * percent / 100).map(percent => `${percent}%`),
+        ...config.minutesLeft.filter(minutes => minutes < rule.minutes && limitSeconds - secondsUsed <= minutes * 60).map(minutes => `${minutes}m`)
+    ];
+}
+
+/**
+ * Converts an "HH:MM" time into minutes after midnight.
+ * @param {string} time - The local time.
+ * @returns {number} The minutes after midnight.
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Returns the day of the week a moment belongs to. Before the day start hour, that is the previous day.
+ * @param {number} timestamp - The moment, in milliseconds.
+ * @param {number} dayStartHour - The local hour (0-23) at which a new day begins.
+ * @returns {number} The weekday, as in `Date.getDay()` (0 = Sunday).
+ */
+function getWeekday(timestamp, dayStartHour) {
+    const [year, month, day] = getDayKey(timestamp, dayStartHour).split('-').map(Number);
+    return new Date(year, month - 1, day).getDay();
+}
+
+/**
+ * Finds when the occurrence of a time window containing a moment began.
+ * @param {{start: string, end: string}} window - The window.
+ * @param {Date} date - The moment.
+ * @returns {number|null} The timestamp the window opened, or null if the moment is outside it.
+ */
+function getWindowStart(window, date) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inside) return null;
+
+    const opened = new Date(date);
+    // The part of an overnight window after midnight opened the evening before.
+    if (start > end && now < end) opened.setDate(opened.getDate() - 1);
+    opened.setHours(0, start, 0, 0);
+    return opened.getTime();
+}
+
+/**
+ * Checks whether a rule is in force at a given moment. Rules without `days` apply every day and
+ * rules without a `window` apply all day. Days start at the day start hour, as the time records do.
+ * A window may cross midnight (e.g., 22:00–06:00); it belongs to the day it opened on.
+ * @param {object} rule - The limit rule.
+ * @param {Date} [date] - The moment to check.
+ * @param {number} [dayStartHour] - The local hour (0-23) at which a new day begins.
+ * @returns {boolean} True if the rule applies at that moment.
+ */
+export function isRuleActive(rule, date = new Date(), dayStartHour = 0) {
+    const onDay = timestamp => !rule.days || rule.days.includes(getWeekday(timestamp, dayStartHour));
+    if (!rule.window) return onDay(date.getTime());
+
+    const opened = getWindowStart(rule.window, date);
+    return opened !== null && onDay(opened);
+}
+
+/**
+ * Finds the next moment at which a rule may start or stop applying: the start or end of a window,
+ * or the start of the next day for rules limited to some days.
+ * @param {object[]} rules - The limit rules.
+ * @param {number} [now] - The current time in milliseconds.
+ * @param {number} [dayStartHour] - The local hour (0-23) at which a new day begins.
+ * @returns {number|null} The timestamp of the next change, or null if no rule has a schedule.
+ */
+export function getNextScheduleChange(rules, now = Date.now(), dayStartHour = 0) {
+    const changes = [];
+    rules.forEach(rule => {
+        const times = rule.window ? [rule.window.start, rule.window.end] : (rule.days ? [`${String(dayStartHour).padStart(2, '0')}:00`] : []);
+        times.forEach(time => {
+            const at = new Date(now);
+            at.setHours(0, toMinutes(time), 0, 0);
+            if (at.getTime() <= now) at.setDate(at.getDate() + 1);
+            changes.push(at.getTime());
+        });
+    });
+    return changes.length > 0 ? Math.min(...changes) : null;
+}
+
+/**
+ * Describes what a rule covers, for notifications, the block page and logs.
+ * @param {object} rule - The limit rule.
+ * @returns {string} A short description, e.g. 'the "Social media" group'.
+ */
+export function describeLimitRule(rule) {
+    switch (rule.type) {
+        case 'site': return rule.domain;
+        case 'pattern': return rule.pattern;
+        case 'group': return `the "${rule.name}" group`;
+        case 'category': return `${rule.category} sites`;
+        case 'budget': return 'all browsing';
+        default: return rule.id;
+    }
+}
@@ -5,56 +5,234 @@
  * a browsing journey resembles an unintentional, deep dive across the web.
  */
 
+/**
+ * The default scoring model. Users can override any of these values from the options page;
+ * they are stored in `settings.scoring` with the same shape.
+ */
+export const DEFAULT_SCORING_MODEL = {
+    weights: {
+        perMinute: 0.5, // Points for every minute the session lasts.
+        perDomain: 1.5, // Points for every unique domain visited.
+        perPage: 0.2,   // Points for every individual page visit.
+        perTopic: 2,    // Points for every unique topic keyword found.
+        drift: 10,      // Points for a session that has drifted completely away from its opening topic.
+        skimming: 10,   // Points for a session where every page was skimmed rather than read.
+        reading: 5,     // Points taken off for a session where every page was read in depth.
+        perTab: 0.5,    // Points for every tab opened during the session.
+        perUnvisitedTab: 1 // Points for every tab opened "for later" and never looked at.
+    },
+    thresholds: {
+        medium: 15, // Scores above this are 'Medium'.
+        high: 30    // Scores above this are 'High'.
+    }
+};
+
+// A set of common "stop words" to filter out for more meaningful topic analysis.
+const STOP_WORDS = new Set(['a', 'an', 'the', 'in', 'on', 'of', 'for', 'to', 'and', 'is', 'was', 'as', 'it']);
+
+// How many of a session's first pages (with keywords) define its original topic.
+const OPENING_PAGE_COUNT = 2;
+
+// Pages whose similarity to the opening pages falls below this value are considered off-topic.
+const DEPARTURE_SIMILARITY = 0.15;
+
+/**
+ * Splits text (AI topic sentences, page titles) into cleaned keywords and counts their frequency.
+ *
+ * @param {string[]} texts - The sentences to split.
+ * @returns {object} A map of keyword to the number of times it appears.
+ */
+export function extractKeywords(texts) {
+    const keywordCounts = {};
+    texts.forEach(text => {
+        // Split sentences into individual keywords.
+        text.split(/\s+/).forEach(keyword => {
+            // Clean up each keyword and count its frequency.
+            const cleanKeyword = keyword.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, "").toLowerCase();
+            if (cleanKeyword.length > 3 && !STOP_WORDS.has(cleanKeyword)) {
+                keywordCounts[cleanKeyword] = (keywordCounts[cleanKeyword] || 0) + 1;
+            }
+        });
+    });
+    return keywordCounts;
+}
+
+/**
+ * Calculates the cosine similarity between two keyword frequency vectors.
+ *
+ * @param {object} a - A map of keyword to count.
+ * @param {object} b - A map of keyword to count.
+ * @returns {number} A value between 0 (nothing in common) and 1 (identical distribution).
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (const keyword in a) {
+        if (b[keyword]) dot += a[keyword] * b[keyword];
+    }
+    const magnitude = vector => Math.sqrt(Object.values(vector).reduce((sum, count) => sum + count * count, 0));
+    const denominator = magnitude(a) * magnitude(b);
+    return denominator === 0 ? 0 : dot / denominator;
+}
+
+/**
+ * Measures how far a session has drifted from where it started. Each page's keywords (from its
+ * AI topics and title) are compared with the combined keywords of the session's opening pages.
+ *
+ * @param {object} session - The session object.
+ * @returns {{driftScore: number, driftCurve: Array<object>, departurePageId: string|null}} - The drift score
+ *     (0 = on topic, 1 = completely elsewhere; the mean drift of the pages after the opening ones), the
+ *     drift of every page with keywords, and the id of the first page where the user left the original topic.
+ */
+export function analyzeTopicDrift(session) {
+    const pageVectors = session.pages
+        .map(page => ({ page, vector: extractKeywords([...(page.aiTopics || []), page.title || '']) }))
+        .filter(({ vector }) => Object.keys(vector).length > 0);
+
+    if (pageVectors.length <= OPENING_PAGE_COUNT) {
+        return { driftScore: 0, driftCurve: [], departurePageId: null };
+    }
+
+    // The original topic is the combined keyword vector of the opening pages.
+    const origin = {};
+    pageVectors.slice(0, OPENING_PAGE_COUNT).forEach(({ vector }) => {
+        for (const keyword in vector) origin[keyword] = (origin[keyword] || 0) + vector[keyword];
+    });
+
+    let departurePageId = null;
+    const driftCurve = pageVectors.map(({ page, vector }, index) => {
+        const similarity = cosineSimilarity(vector, origin);
+        if (!departurePageId && index >= OPENING_PAGE_COUNT && similarity < DEPARTURE_SIMILARITY) {
+            departurePageId = page.id || null;
+        }
+        return {
+            pageId: page.id || null,
+            similarity: parseFloat(similarity.toFixed(2)),
+            drift: parseFloat((1 - similarity).toFixed(2))
+        };
+    });
+
+    const laterPages = driftCurve.slice(OPENING_PAGE_COUNT);
+    const driftScore = laterPages.reduce((sum, point) => sum + point.drift, 0) / laterPages.length;
+
+    return { driftScore: parseFloat(driftScore.toFixed(2)), driftCurve, departurePageId };
+}
+
+/**
+ * Works out how much of a session was skimmed, from the engagement metrics the content script
+ * attaches to each page (see `updatePageEngagement`).
+ *
+ * @param {object} session - The session object.
+ * @returns {number} The share of measured pages that were skimmed rather than read, from 0 to 1.
+ *     Sessions without measured pages count as 0.
+ */
+export function getSkimmingShare(session) {
+    const measured = session.pages.filter(page => page.engagement);
+    if (measured.length === 0) return 0;
+    return measured.filter(page => page.engagement.readingStyle === 'skimmed').length / measured.length;
+}
+
+/**
+ * Works out how much of a session was read in depth, the counterpart of `getSkimmingShare`.
+ *
+ * @param {object} session - The session object.
+ * @returns {number} The share of measured pages that were read, from 0 to 1. Sessions without
+ *     measured pages count as 0.
+ */
+export function getReadingShare(session) {
+    const measured = session.pages.filter(page => page.engagement);
+    if (measured.length === 0) return 0;
+    return measured.filter(page => page.engagement.readingStyle === 'read').length / measured.length;
+}
+
+/**
+ * Merges the user's saved scoring settings over the defaults, so that a partially saved or
+ * outdated model still has every weight and threshold.
+ *
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {object} A complete scoring model with `weights` and `thresholds`.
+ */
+export function getScoringModel(settings = {}) {
+    const saved = settings.scoring || {};
+    return {
+        weights: { ...DEFAULT_SCORING_MODEL.weights, ...saved.weights },
+        thresholds: { ...DEFAULT_SCORING_MODEL.thresholds, ...saved.thresholds }
+    };
+}
+
 /**
  * Calculates a numerical score for a given session based on several weighted factors.
  * A higher score indicates a higher likelihood of the session being a "rabbithole".
  *
  * @param {object} session - The session object from `chrome.storage.session`, containing details about the browsing journey.
- * @returns {{rabbitholeScore: number, rabbitholeSeverity: string}} - An object containing the final numerical score and a severity label ('Low', 'Medium', 'High').
+ * @param {object} [model] - The scoring model to use (see `getScoringModel`). Defaults to `DEFAULT_SCORING_MODEL`.
+ * @returns {{rabbitholeScore: number, rabbitholeSeverity: string, scoreBreakdown: Array<object>}} - An object containing the
+ *     final numerical score, a severity label ('Low', 'Medium', 'High'), and the contribution of each factor.
  */
-export function scoreSession(session) {
-    let score = 0;
+export function scoreSession(session, model = DEFAULT_SCORING_MODEL) {
+    const { weights, thresholds } = model;
 
     // --- Scoring Factors ---
     // The final score is an aggregate of several weighted metrics designed to quantify "rabbithole" behavior.
+    // Each factor is recorded with its raw value and the points it contributed, so the UI can explain the score.
 
     // Factor 1: Time Duration. Longer sessions are more likely to be rabbitholes.
-    // Weighting: 0.5 points are added for every minute the session lasts.
     const durationInMinutes = (session.lastActivity - session.startTime) / 60000;
-    score += durationInMinutes * 0.5;
 
     // Factor 2: Domain Hops. A high number of unique domains suggests topic drifting and wide exploration.
-    // Weighting: 1.5 points are added for every unique domain visited.
     const domainCount = session.domains.length;
-    score += domainCount * 1.5;
 
     // Factor 3: Page Depth. A high number of total pages visited within the session indicates a deep dive.
-    // Weighting: 0.2 points are added for each individual page visit.
     const pageCount = session.pages.length;
-    score += pageCount * 0.2;
 
     // Factor 4: Topic Diversity (powered by AI data). A high number of unique keywords
     // suggests a lack of focus or a wide-ranging, exploratory rabbithole.
-    // Weighting: 2 points are added for every unique topic keyword found.
     // This is a robust check that prevents a crash if `session.allTopics` is missing for any reason.
+    // A single keyword is not diversity, so it only counts once there is more than one.
     const uniqueTopics = session.allTopics ? Object.keys(session.allTopics).length : 0;
-    if (uniqueTopics > 1) {
-        score += uniqueTopics * 2;
-    }
+
+    // Factor 5: Topic Drift. Wandering away from the opening topic is the defining feature of a rabbithole.
+    // The session manager stores the drift with each page visit; sessions recorded before drift was
+    // measured are analyzed here.
+    const driftScore = session.driftScore !== undefined ? session.driftScore : analyzeTopicDrift(session).driftScore;
+
+    // Factor 6: Skimming. Hopping from link to link without reading is typical of a rabbithole, while
+    // reading pages in depth is not, so reading takes points off. Only pages whose engagement was measured are counted.
+    const skimmingShare = getSkimmingShare(session);
+    const readingShare = getReadingShare(session);
+
+    // Factor 7: Tab Hoarding. Opening tab after tab, and leaving them unread "for later", is how a
+    // rabbithole spreads sideways. Sessions recorded before tabs were counted have no `tabStats`.
+    const { opened: tabsOpened = 0, unvisited: unvisitedTabs = 0 } = session.tabStats || {};
+
+    const scoreBreakdown = [
+        { factor: 'duration', value: parseFloat(durationInMinutes.toFixed(1)), points: durationInMinutes * weights.perMinute },
+        { factor: 'domains', value: domainCount, points: domainCount * weights.perDomain },
+        { factor: 'pages', value: pageCount, points: pageCount * weights.perPage },
+        { factor: 'topics', value: uniqueTopics, points: uniqueTopics > 1 ? uniqueTopics * weights.perTopic : 0 },
+        { factor: 'drift', value: Math.round(driftScore * 100), points: driftScore * weights.drift },
+        { factor: 'skimming', value: Math.round(skimmingShare * 100), points: skimmingShare * weights.skimming },
+        { factor: 'reading', value: Math.round(readingShare * 100), points: -readingShare * weights.reading },
+        { factor: 'tabs', value: tabsOpened, points: tabsOpened * weights.perTab },
+        { factor: 'unvisitedTabs', value: unvisitedTabs, points: unvisitedTabs * weights.perUnvisitedTab }
+    ].map(entry => ({ ...entry, points: parseFloat(entry.points.toFixed(2)) }));
+
+    // Reading can take a session's score down, but not below zero.
+    const score = Math.max(0, scoreBreakdown.reduce((sum, entry) => sum + entry.points, 0));
 
     // --- Severity Classification ---
-    // The final numerical score is classified into a simple, human-readable severity level.
-    // These thresholds (15 and 30) can be adjusted to change the sensitivity of the detector.
+    // The final numerical score is classified into a simple, human-readable severity level
+    // using the model's thresholds.
     let severity = 'Low';
-    if (score > 15) severity = 'Medium';
-    if (score > 30) severity = 'High';
+    if (score > thresholds.medium) severity = 'Medium';
+    if (score > thresholds.high) severity = 'High';
 
     // Log the result for debugging and verification purposes.
     console.log(`DETECTOR: Scored session ${session.id}. Score: ${score.toFixed(2)}, Severity: ${severity}`);
-    
-    // Return the final score and severity level as a structured object.
+
+    // Return the final score, severity level and breakdown as a structured object.
     return {
         rabbitholeScore: parseFloat(score.toFixed(2)),
-        rabbitholeSeverity: severity
+        rabbitholeSeverity: severity,
+        scoreBreakdown
     };
-}
\ No newline at end of file
+}
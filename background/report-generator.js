@@ -6,11 +6,17 @@
  * is then displayed to the user in a new tab.
  */
 
+import { getSessionById, saveLatestReport } from '../utils/storage-manager.js';
+import { buildNavigationTree, flattenNavigationTree } from '../utils/navigation-tree.js';
+
 /**
- * The main function to generate a report from the current browsing session. This function
- * is triggered by a message from the popup UI when the user clicks "Export Session".
+ * The main function to generate a report from a browsing session. This function is triggered
+ * by a message from the popup UI when the user clicks "Export Session", or from the history
+ * page when the user regenerates the report for an archived session.
+ *
+ * @param {string} [sessionId] - The id of an archived session. If omitted, the live session is used.
  */
-export async function generateSessionReport() {
+export async function generateSessionReport(sessionId) {
     console.log("REPORT_GENERATOR: Starting session report generation...");
 
     // 1. Feature Detection & Availability Check.
@@ -28,9 +34,14 @@ export async function generateSessionReport() {
         return; // Exit if the model isn't ready.
     }
 
-    // 2. Retrieve the current session data from temporary storage.
-    const data = await chrome.storage.session.get('currentSession');
-    const session = data.currentSession;
+    // 2. Retrieve the session data, either from the archive or from temporary storage for the live session.
+    let session;
+    if (sessionId) {
+        session = await getSessionById(sessionId);
+    } else {
+        const data = await chrome.storage.session.get('currentSession');
+        session = data.currentSession;
+    }
 
     // Ensure there is valid session data to generate a report from.
     if (!session || !session.pages || session.pages.length === 0) {
@@ -40,11 +51,26 @@ export async function generateSessionReport() {
 
     // 3. Format the session data into a simple text block for the AI prompt.
     // This consolidates all the titles and AI-extracted topics into a clean, readable format.
+    // Pages are listed in navigation-tree order; indented entries are branches the user followed from the page above.
     let promptData = `Primary Topic: ${session.primaryTopic}\n\nPages Visited:\n`;
-    session.pages.forEach(page => {
-        promptData += `- Title: ${page.title}\n`;
+    flattenNavigationTree(buildNavigationTree(session.pages)).forEach(({ page, depth }) => {
+        const indent = '  '.repeat(depth);
+        promptData += `${indent}- Title: ${page.title}\n`;
+        if (page.domainData) {
+            // Structured fields from the site-specific parsers, e.g. "channelName: Veritasium".
+            const details = Object.entries(page.domainData)
+                .filter(([key, value]) => key !== 'source' && value && value.length !== 0)
+                .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+            if (details.length > 0) {
+                promptData += `${indent}  Details (${page.domainData.source}): ${details.join('; ')}\n`;
+            }
+        }
+        if (page.engagement) {
+            const style = page.engagement.readingStyle === 'read' ? 'read in depth' : 'skimmed';
+            promptData += `${indent}  Engagement: ${style} (${page.engagement.maxScrollDepth}% scrolled, ${page.engagement.linkClicksOut} links followed)\n`;
+        }
         if (page.aiTopics && page.aiTopics.length > 0) {
-            promptData += `  AI Topics: ${page.aiTopics.join(', ')}\n`;
+            promptData += `${indent}  AI Topics: ${page.aiTopics.join(', ')}\n`;
         }
     });
 
@@ -81,7 +107,7 @@ export async function generateSessionReport() {
 async function displayReportInNewTab(reportContent) {
     // Step 1: Save the report content to a temporary location in `chrome.storage.local`.
     // The report page's script will retrieve the content from this location.
-    await chrome.storage.local.set({ latestReport: reportContent });
+    await saveLatestReport(reportContent);
 
     // Step 2: Open our dedicated, sandboxed `report.html` page. This is more secure and reliable
     // than using a 'data:' URL, as it avoids issues with Content Security Policy (CSP).
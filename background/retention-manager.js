@@ -0,0 +1,54 @@
+// background/retention-manager.js
+/**
+ * @file This module enforces the data retention policy. Day records keep the time spent on every
+ * full URL, so they grow without bound. Once a day is older than the retention period chosen on the
+ * options page (`settings.retentionDays`), a daily alarm compacts it into per-domain totals.
+ */
+
+import { getSettings, getDayKey, getDayStartHour, compactDaysBefore } from '../utils/storage-manager.js';
+
+// Fires once a day to compact records that have passed the retention period.
+export const RETENTION_ALARM = 'data-retention';
+
+// How many days keep their per-URL detail when the user has not chosen a retention period.
+// 0 keeps the detail forever.
+export const DEFAULT_RETENTION_DAYS = 365;
+
+/**
+ * Reads the retention period from the user's settings.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {number} The number of days to keep in full, or 0 to keep everything.
+ */
+export function getRetentionDays(settings = {}) {
+    return settings.retentionDays ?? DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Makes sure the daily retention alarm exists. Called when the extension is installed or the browser starts.
+ */
+export async function scheduleRetention() {
+    const existing = await chrome.alarms.get(RETENTION_ALARM);
+    if (!existing) {
+        await chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+    }
+}
+
+/**
+ * Compacts every day older than the retention period.
+ */
+export async function enforceRetention() {
+    const retentionDays = getRetentionDays(await getSettings());
+    if (retentionDays <= 0) return;
+
+    try {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+        const cutoffDayKey = getDayKey(cutoff.getTime(), await getDayStartHour());
+        const compactedCount = await compactDaysBefore(cutoffDayKey);
+        if (compactedCount > 0) {
+            console.log(`RETENTION: Compacted ${compactedCount} day(s) older than ${cutoffDayKey}.`);
+        }
+    } catch (error) {
+        console.error("RETENTION: Failed to enforce the retention period", error);
+    }
+}
@@ -8,9 +8,30 @@
 
 // --- Module Imports ---
 // Imports the core functions from our specialized background modules.
-import { initialize as initializeTimeTracker, trackTab } from './time-tracker.js';
-import { addPageVisitToSession } from './session-manager.js';
+import {
+    initialize as initializeTimeTracker, trackTab, pauseTracking, flushTracking, scheduleHeartbeat, HEARTBEAT_ALARM,
+    applyIdleThreshold, setMediaPlayback, checkPassiveWatching
+} from './time-tracker.js';
+import {
+    addPageVisitToSession, recordNavigation, forgetTab, removeLivePages, discardLiveSessions, updatePageEngagement,
+    updateSessionFlags
+} from './session-manager.js';
+import { recordTabOpened, recordTabActivated, recordTabClosed, recordTabCount } from './tab-tracker.js';
 import { generateSessionReport } from './report-generator.js';
+import { isTrackingExcluded } from './exclusion-manager.js';
+import {
+    runMigrations, getSettings, getDayKey, getDayStartHour, deleteDomainHistory, deleteDateRange, deletePageHistory
+} from '../utils/storage-manager.js';
+import { canonicalizeUrl, canonicalizeHostname, getUrlPrivacySettings } from '../utils/url-canonicalizer.js';
+import { scheduleRetention, enforceRetention, RETENTION_ALARM } from './retention-manager.js';
+import { syncBlockingRules, scheduleDailyReset, handleDailyReset, DAILY_RESET_ALARM, LIMIT_SCHEDULE_ALARM } from './blocker-engine.js';
+import { syncBackgroundMedia, setPictureInPicture } from './background-media-tracker.js';
+import { refreshLimitIndicators, scheduleLimitIndicator, getLimitStatus, LIMIT_INDICATOR_ALARM } from './limit-indicator.js';
+import { handleSessionUpdate, handleNudgeAction, handleNotificationButton } from './intervention-manager.js';
+import {
+    startFocus, stopFocus, handleFocusEnd, scheduleFocusChecks, evaluateFocusSchedules,
+    enforceFocusOnPage, enforceFocusOnTab, handleFocusSettingsChange, FOCUS_END_ALARM, FOCUS_SCHEDULE_ALARM
+} from './focus-mode.js';
 
 console.log("Rabbithole Insight Engine: Service Worker starting up...");
 
@@ -20,19 +41,92 @@ console.log("Rabbithole Insight Engine: Service Worker starting up...");
  * This listener runs once when the extension is first installed or updated to a new version.
  * It's the perfect place to set up initial configurations and state.
  */
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
     console.log("Extension installed or updated.");
-    // We initialize the time tracker to set up its idle detection listener.
-    initializeTimeTracker();
+    // Bring data stored by an older version up to the current schema before tracking resumes.
+    await runMigrations();
+    // Save the running timer's time once a minute.
+    scheduleHeartbeat();
+    // Schedule the midnight reset and make sure the blocking rules match today's usage.
+    scheduleDailyReset();
+    syncBlockingRules();
+    // Count the time left on the toolbar badge once a minute.
+    scheduleLimitIndicator();
+    // Start checking the focus schedules once a minute.
+    scheduleFocusChecks();
+    // Compact old day records once a day.
+    scheduleRetention();
 });
 
 /**
  * This listener runs every time the browser is started.
- * We re-initialize the time tracker to ensure idle detection is active from the very beginning of a browser session.
  */
 chrome.runtime.onStartup.addListener(() => {
     console.log("Browser startup.");
-    initializeTimeTracker();
+    scheduleHeartbeat();
+    scheduleDailyReset();
+    syncBlockingRules();
+    scheduleLimitIndicator();
+    scheduleFocusChecks();
+    scheduleRetention();
+});
+
+// --- Alarm & Storage Listeners ---
+
+/**
+ * Fired when a scheduled alarm goes off. The daily reset clears yesterday's time limit blocks,
+ * the focus alarms end focus periods and start scheduled ones, the retention alarm compacts old records,
+ * the heartbeat saves the time spent on the current page and in background media tabs, and the
+ * limit indicator alarm counts down the badge and gives warnings before limits are reached.
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === DAILY_RESET_ALARM) {
+        handleDailyReset();
+    } else if (alarm.name === FOCUS_END_ALARM) {
+        handleFocusEnd();
+    } else if (alarm.name === FOCUS_SCHEDULE_ALARM) {
+        evaluateFocusSchedules();
+    } else if (alarm.name === RETENTION_ALARM) {
+        enforceRetention();
+    } else if (alarm.name === LIMIT_SCHEDULE_ALARM) {
+        syncBlockingRules();
+    } else if (alarm.name === HEARTBEAT_ALARM) {
+        // One after the other, so the alarm's work is done before the worker may be suspended.
+        await flushTracking();
+        await syncBackgroundMedia({ flush: true });
+    } else if (alarm.name === LIMIT_INDICATOR_ALARM) {
+        refreshLimitIndicators();
+    }
+});
+
+/**
+ * Fired when stored data changes. When the user edits their time limits or focus allowlist on the
+ * options page, we rebuild the blocking rules so that the changes take effect immediately.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settings) {
+        syncBlockingRules();
+        refreshLimitIndicators();
+        applyIdleThreshold();
+        // The "day starts at" hour may have changed, which moves the next daily reset.
+        scheduleDailyReset();
+        handleFocusSettingsChange();
+        // A shorter retention period applies right away rather than at the next daily run.
+        const { oldValue = {}, newValue = {} } = changes.settings;
+        if (oldValue.retentionDays !== newValue.retentionDays) enforceRetention();
+    }
+    // Every update to the live session is passed to the intervention manager, which nudges
+    // the user when the session's rabbithole severity escalates.
+    if (areaName === 'session' && changes.currentSession) {
+        handleSessionUpdate(changes.currentSession.newValue, changes.currentSession.oldValue);
+    }
+});
+
+/**
+ * Fired when the user clicks a button on one of our notifications, such as a rabbithole nudge.
+ */
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    handleNotificationButton(notificationId, buttonIndex);
 });
 
 // --- Tab Event Listeners ---
@@ -42,12 +136,17 @@ chrome.runtime.onStartup.addListener(() => {
  * Fired when the user physically switches to a different tab. This is the most direct signal of a change in focus.
  */
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
+    // Recorded first, so the session update that follows no longer counts the tab as never looked at.
+    recordTabActivated(activeInfo.tabId);
     try {
         // We get the full tab object to access its URL and title.
         const tab = await chrome.tabs.get(activeInfo.tabId);
         if (tab) {
             // Pass the newly active tab to the time tracker module to start a new timing session.
-            trackTab(tab);
+            // A tab playing media moves between the main and background timers as it gains or loses the foreground.
+            trackTab(tab).then(() => syncBackgroundMedia());
+            // The badge shows the time left on the new tab's site.
+            refreshLimitIndicators();
         }
     } catch (error) {
         // This catch block handles rare edge cases where the tab might be closed before we can get its info.
@@ -59,29 +158,72 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
  * Fired when a tab's properties are updated, most importantly when its URL changes due to navigation.
  */
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    // A tab falling silent may end passive watching, if the user is idle.
+    if (changeInfo.audible === false) {
+        checkPassiveWatching(tabId);
+    }
+    // A tab starting or stopping sound, or navigating, starts or stops its background timer.
+    if (changeInfo.audible !== undefined || changeInfo.mutedInfo || changeInfo.url) {
+        syncBackgroundMedia();
+    }
     // We are only interested in the event when the page has finished loading (`status === 'complete'`)
     // to ensure we capture the final, correct URL and title.
     if (changeInfo.status === 'complete') {
+        // During focus mode with allowlisted topics, pages that will never report their content are blocked.
+        enforceFocusOnTab(tab);
         // We must also verify that this updated tab is the one the user is currently looking at.
         // This prevents tracking of background tabs that might be auto-refreshing.
         const activeTabs = await chrome.tabs.query({ active: true, currentWindow: true });
         if (activeTabs.length > 0 && activeTabs[0].id === tabId) {
-            trackTab(tab);
+            trackTab(tab).then(() => syncBackgroundMedia());
+            refreshLimitIndicators();
         }
     }
 });
 
+/**
+ * Fired when a tab is opened. Tabs opened in the background are counted as never looked at until
+ * the user switches to them. The new number of open tabs is recorded for the sessions' tab statistics.
+ */
+chrome.tabs.onCreated.addListener((tab) => {
+    recordTabOpened(tab);
+});
+
+/**
+ * Fired when a tab is closed. The session manager forgets the tab's place in its navigation tree,
+ * the tab tracker forgets whether it was looked at and records the new tab count, and the time
+ * trackers forget whether it was playing media, saving its background time.
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+    forgetTab(tabId);
+    recordTabClosed(tabId);
+    setMediaPlayback(tabId, false);
+    setPictureInPicture(tabId, false).then(() => syncBackgroundMedia());
+});
+
+/**
+ * Fired when a top-level navigation is committed. The transition type (link, typed, bookmark, back/forward...)
+ * tells the session manager whether the next page continues the tab's current thread or starts a new one.
+ */
+chrome.webNavigation.onCommitted.addListener((details) => {
+    recordNavigation(details);
+});
+
 /**
  * Fired when the user focuses on a Chrome window (e.g., switching back from another application).
  */
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
-    // A windowId of -1 (WINDOW_ID_NONE) means the user has switched away from all Chrome windows.
-    // That "pause" state is handled by the time-tracker's idle detection. Here, we only care when they return.
-    if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    // A windowId of -1 (WINDOW_ID_NONE) means the user has switched away from all Chrome windows,
+    // so the timer pauses until they return rather than running on until idle detection fires.
+    // Music or video still playing in the paused tab carries on as background time.
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+        pauseTracking().then(() => syncBackgroundMedia());
+    } else {
         // Find the active tab in the newly focused window and start/resume tracking it.
         const activeTabs = await chrome.tabs.query({ active: true, currentWindow: true });
         if (activeTabs.length > 0) {
-            trackTab(activeTabs[0]);
+            trackTab(activeTabs[0]).then(() => syncBackgroundMedia());
+            refreshLimitIndicators();
         }
     }
 });
@@ -91,15 +233,72 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Case 1: Received enriched data (title, AI topics) from a content script.
     if (message.type === 'PAGE_DATA') {
-        // Pass this data to the session manager for further processing and analysis.
-        addPageVisitToSession(message.payload);
+        // Pass this data to the session manager for further processing and analysis,
+        // along with the sending tab so the page can be placed in the right session's navigation tree.
+        addPageVisitToSession(message.payload, sender.tab);
+        // During focus mode with allowlisted topics, off-topic pages are blocked once their content is known.
+        enforceFocusOnPage(message.payload, sender.tab);
     } 
-    // Case 2: Received a command from the popup to generate a session report.
+    // Case 2: A content script asks whether its page may be tracked and summarized.
+    else if (message.type === 'CHECK_EXCLUSION') {
+        const tab = sender.tab || {};
+        isTrackingExcluded(tab.url || message.url, tab.incognito).then(excluded => {
+            sendResponse({ excluded });
+        }).catch(error => sendResponse({ error: error.message }));
+    }
+    // Case 3: A content script reports that media on its page started or stopped playing, or
+    // entered or left picture-in-picture.
+    else if (message.type === 'MEDIA_STATE') {
+        if (sender.tab) {
+            setMediaPlayback(sender.tab.id, message.playing);
+            setPictureInPicture(sender.tab.id, message.pictureInPicture === true);
+        }
+    }
+    // Case 4: A content script reports how its page was read (scroll depth, reading time, links followed).
+    else if (message.type === 'ENGAGEMENT') {
+        updatePageEngagement(message.url, message.payload, sender.tab);
+    }
+    // Case 5: The user picked an option on the in-page rabbithole nudge overlay.
+    else if (message.type === 'NUDGE_ACTION') {
+        handleNudgeAction(message.action, message.sessionId, sender.tab ? sender.tab.id : undefined).then(() => {
+            sendResponse({ status: "done" });
+        }).catch(error => sendResponse({ error: error.message }));
+    }
+    // Case 6: The user started or ended focus mode from the popup.
+    else if (message.type === 'START_FOCUS') {
+        startFocus(message.durationMinutes).then(() => {
+            sendResponse({ status: "done" });
+        }).catch(error => sendResponse({ error: error.message }));
+    }
+    else if (message.type === 'STOP_FOCUS') {
+        stopFocus().then(() => {
+            sendResponse({ status: "done" });
+        }).catch(error => sendResponse({ error: error.message }));
+    }
+    // Case 7: Received a command from the popup (live session) or history page (archived session) to generate a session report.
     else if (message.type === 'GENERATE_SESSION_REPORT') {
         // We call the async report generation function. When it completes, we send a "done" response.
-        generateSessionReport().then(() => {
+        generateSessionReport(message.sessionId).then(() => {
             sendResponse({ status: "done" });
-        });
+        }).catch(error => sendResponse({ error: error.message }));
+    }
+    // Case 8: The popup's tab triage saved a session's stale tabs as a list before closing them.
+    else if (message.type === 'SAVE_TAB_LIST') {
+        saveTabList(message.sessionId, message.savedTabs).then(() => {
+            sendResponse({ status: "done" });
+        }).catch(error => sendResponse({ error: error.message }));
+    }
+    // Case 9: The popup asks how much time is left under each limit, for its progress bars.
+    else if (message.type === 'GET_LIMIT_STATUS') {
+        getLimitStatus(message.hostname).then(statuses => {
+            sendResponse({ statuses });
+        }).catch(error => sendResponse({ error: error.message }));
+    }
+    // Case 10: The user deleted part of their history on the options page.
+    else if (message.type === 'DELETE_HISTORY') {
+        deleteHistory(message).then(() => {
+            sendResponse({ status: "done" });
+        }).catch(error => sendResponse({ error: error.message }));
     }
 
     // Crucially, we return `true` to indicate that `sendResponse` will be called asynchronously.
@@ -107,6 +306,52 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
 });
 
+/**
+ * Saves a list of tabs on a session. Like page addresses, the saved addresses are cleaned of
+ * tracking parameters and tokens, but stay readable (even with hashed page addresses), as the
+ * list is only useful if its links can be opened again.
+ * @param {string} sessionId - The session the tabs were opened in.
+ * @param {Array<{url: string, title: string, savedAt: number}>} savedTabs - The session's complete list of saved tabs.
+ */
+async function saveTabList(sessionId, savedTabs) {
+    const config = { ...getUrlPrivacySettings(await getSettings()), hashPaths: false };
+    const cleanTabs = await Promise.all(savedTabs.map(async savedTab => ({ ...savedTab, url: await canonicalizeUrl(savedTab.url, config) })));
+    await updateSessionFlags(sessionId, { savedTabs: cleanTabs });
+}
+
+/**
+ * Deletes part of the history from storage and from the live sessions, which would otherwise
+ * put the deleted pages back the next time they are archived.
+ * @param {object} request - The DELETE_HISTORY message: `scope` is 'domain' (with `domain`),
+ *     'range' (with `from` and `to` day keys), 'page' (with `url`) or 'live'.
+ */
+async function deleteHistory(request) {
+    const domain = request.domain ? canonicalizeHostname(request.domain) : null;
+    const matchesDomain = hostname => hostname === domain || hostname.endsWith(`.${domain}`);
+
+    if (request.scope === 'domain') {
+        await removeLivePages(page => matchesDomain(new URL(page.url).hostname));
+        await deleteDomainHistory(request.domain);
+    } else if (request.scope === 'range') {
+        const dayStartHour = await getDayStartHour();
+        await discardLiveSessions(session => {
+            const dayKey = getDayKey(session.startTime, dayStartHour);
+            return dayKey >= request.from && dayKey <= request.to;
+        });
+        await deleteDateRange(request.from, request.to);
+    } else if (request.scope === 'page') {
+        const pageKey = await canonicalizeUrl(request.url, getUrlPrivacySettings(await getSettings()));
+        await removeLivePages(page => page.url === pageKey);
+        await deletePageHistory(request.url);
+    } else if (request.scope === 'live') {
+        await discardLiveSessions();
+    }
+}
+
+// --- Time Tracker Setup ---
+// Listeners must be registered every time the worker starts, as they are lost when it is suspended.
+initializeTimeTracker();
+
 // --- Initial Tracking ---
 /**
  * This function runs when the service worker first starts up. Its purpose is to immediately
@@ -116,9 +361,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 async function initializeCurrentTab() {
     const activeTabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (activeTabs.length > 0) {
-        trackTab(activeTabs[0]);
+        await trackTab(activeTabs[0]);
     }
+    syncBackgroundMedia();
 }
 
 // Kick off the initial tracking as soon as the service worker script is loaded.
-initializeCurrentTab();
\ No newline at end of file
+initializeCurrentTab();
+// Seed the open-tab count, which is otherwise only sampled when tabs are opened or closed.
+recordTabCount();
\ No newline at end of file
@@ -7,81 +7,409 @@
  */
 
 // Imports the scoring function to analyze the session's "rabbithole" severity.
-import { scoreSession } from './rabbithole-detector.js';
+import { scoreSession, getScoringModel, extractKeywords, analyzeTopicDrift } from './rabbithole-detector.js';
+// Imports the archive function so sessions outlive the temporary session storage, and the settings
+// that hold the user's scoring weights and thresholds.
+import { archiveSession, getSettings, getSessionById, pruneSessionPages, deleteSession } from '../utils/storage-manager.js';
+import { isTrackingExcluded } from './exclusion-manager.js';
+import { canonicalizeUrl, getUrlPrivacySettings } from '../utils/url-canonicalizer.js';
+import { getSessionTabStats } from './tab-tracker.js';
 
 // Defines the period of inactivity (in milliseconds) that will automatically end a session and start a new one.
 const SESSION_GAP_THRESHOLD = 30 * 60 * 1000; // 30 minutes
 
+// Navigation types (from `chrome.webNavigation`) where the user went somewhere new on purpose,
+// rather than following a link. In a tab that already belongs to a session, these start a new thread.
+const NEW_THREAD_TRANSITIONS = new Set(['typed', 'auto_bookmark', 'generated', 'keyword', 'start_page']);
+
+// Page visits are processed one at a time. Each update reads and rewrites several storage keys, and the
+// time tracker and content script usually report the same page within milliseconds of each other.
+let updateQueue = Promise.resolve();
+
 /**
  * The main entry point for this module. It takes page data (from a content script or time tracker),
- * adds it to the current session, or starts a new session if necessary. After updating the session,
- * it triggers the advanced topic synthesis and rabbithole scoring.
+ * adds it to the session that the tab belongs to, or starts a new session if necessary. After updating
+ * the session, it triggers the advanced topic synthesis and rabbithole scoring.
  *
  * @param {object} pageData - A data object containing the URL, title, and any AI-extracted topics for a page visit.
+ * @param {object} [tab] - The Chrome tab the page was visited in, used to follow tab lineage via `openerTabId`.
+ * @returns {Promise<void>} Resolves once the visit has been saved.
+ */
+export function addPageVisitToSession(pageData, tab) {
+    updateQueue = updateQueue.then(() => processPageVisit(pageData, tab))
+        .catch(error => console.error("SESSION_MANAGER: Error updating session:", error));
+    return updateQueue;
+}
+
+/**
+ * Records how a tab's latest navigation was started (link click, typed URL, back button, etc.).
+ * Called from the service worker's `chrome.webNavigation.onCommitted` listener; the next page visit
+ * reported for that tab consumes it to decide where the page belongs in the navigation tree.
+ *
+ * @param {object} details - The `onCommitted` event details.
+ */
+export function recordNavigation(details) {
+    // Only top-level navigations matter; frames inside a page are ignored.
+    if (details.frameId !== 0) return;
+
+    updateQueue = updateQueue.then(async () => {
+        const data = await chrome.storage.session.get('tabTransitions');
+        const tabTransitions = data.tabTransitions || {};
+        tabTransitions[details.tabId] = {
+            // Stored in canonical form, to match the page data it will be compared with.
+            url: await canonicalizeUrl(details.url, getUrlPrivacySettings(await getSettings())),
+            transitionType: details.transitionType,
+            transitionQualifiers: details.transitionQualifiers || []
+        };
+        await chrome.storage.session.set({ tabTransitions });
+    }).catch(error => console.error("SESSION_MANAGER: Error recording navigation:", error));
+}
+
+/**
+ * Forgets a closed tab's place in its session, so a later tab reusing the id starts fresh.
+ * @param {number} tabId - The id of the removed tab.
+ */
+export function forgetTab(tabId) {
+    updateQueue = updateQueue.then(async () => {
+        const data = await chrome.storage.session.get(['tabState', 'tabTransitions', 'deferredVisits']);
+        const tabState = data.tabState || {};
+        const tabTransitions = data.tabTransitions || {};
+        const deferredVisits = data.deferredVisits || {};
+        delete tabState[tabId];
+        delete tabTransitions[tabId];
+        delete deferredVisits[tabId];
+        await chrome.storage.session.set({ tabState, tabTransitions, deferredVisits });
+    }).catch(error => console.error("SESSION_MANAGER: Error forgetting tab:", error));
+}
+
+/**
+ * Sets flags on a session, such as `savedForLater` from an intervention nudge. Live sessions are
+ * updated in session storage as well as in the history, so the next page visit does not undo the change.
+ *
+ * @param {string} sessionId - The id of the session to update.
+ * @param {object} flags - The fields to set on the session.
+ * @returns {Promise<void>} Resolves once the session has been saved.
+ */
+export function updateSessionFlags(sessionId, flags) {
+    updateQueue = updateQueue.then(async () => {
+        const data = await chrome.storage.session.get(['liveSessions', 'currentSession']);
+        const liveSessions = data.liveSessions || {};
+        const session = liveSessions[sessionId] || await getSessionById(sessionId);
+        if (!session) return;
+
+        Object.assign(session, flags);
+        if (liveSessions[sessionId]) {
+            const changes = { liveSessions };
+            if (data.currentSession && data.currentSession.id === sessionId) changes.currentSession = session;
+            await chrome.storage.session.set(changes);
+        }
+        await archiveSession(session);
+    }).catch(error => console.error("SESSION_MANAGER: Error updating session flags:", error));
+    return updateQueue;
+}
+
+/**
+ * Removes matching pages from every live session, so a deletion on the options page is not undone
+ * when the live session is next archived. Sessions left without pages are discarded, along with
+ * their archived copies.
+ *
+ * @param {function(object, object): boolean} shouldRemove - Receives a page and its session, and
+ *     returns true for pages to remove.
+ * @returns {Promise<void>} Resolves once the live sessions have been saved.
  */
-export async function addPageVisitToSession(pageData) {
+export function removeLivePages(shouldRemove) {
+    updateQueue = updateQueue.then(async () => {
+        const data = await chrome.storage.session.get(['liveSessions', 'tabState', 'startUrls', 'currentSession']);
+        const liveSessions = data.liveSessions || {};
+        const tabState = data.tabState || {};
+        const startUrls = data.startUrls || {};
+        let currentSession = data.currentSession || null;
+
+        for (const sessionId in liveSessions) {
+            const session = liveSessions[sessionId];
+            const pruned = pruneSessionPages(session, page => shouldRemove(page, session));
+            if (pruned) {
+                liveSessions[sessionId] = pruned;
+                // The readable start address goes with the first page if that was removed.
+                if (pruned.pages[0].id !== session.pages[0].id) delete startUrls[sessionId];
+            } else {
+                delete liveSessions[sessionId];
+                delete startUrls[sessionId];
+                await deleteSession(sessionId);
+            }
+            if (currentSession && currentSession.id === sessionId) currentSession = pruned;
+        }
+        for (const id in tabState) {
+            if (!liveSessions[tabState[id].sessionId]) delete tabState[id];
+        }
+
+        await chrome.storage.session.set({ liveSessions, tabState, startUrls });
+        if (currentSession) {
+            await chrome.storage.session.set({ currentSession });
+        } else {
+            await chrome.storage.session.remove('currentSession');
+        }
+    }).catch(error => console.error("SESSION_MANAGER: Error removing live pages:", error));
+    return updateQueue;
+}
+
+/**
+ * Discards live sessions and their archived copies. Their tabs start a new session on the next visit.
+ *
+ * @param {function(object): boolean} [shouldDiscard] - Returns true for sessions to discard. Defaults to all.
+ * @returns {Promise<void>} Resolves once the sessions have been removed.
+ */
+export function discardLiveSessions(shouldDiscard = () => true) {
+    return removeLivePages((page, session) => shouldDiscard(session));
+}
+
+/**
+ * Returns the address of the page a live session started on, for navigating back to it. With
+ * `hashPaths` on, the session's stored page URLs are hashes, and the readable address is kept
+ * separately in `chrome.storage.session` until the session ends.
+ *
+ * @param {string} sessionId - The live session.
+ * @returns {Promise<string|null>} The URL, or null if the session is not live or has no pages.
+ */
+export async function getSessionStartUrl(sessionId) {
+    const data = await chrome.storage.session.get(['liveSessions', 'startUrls']);
+    const session = (data.liveSessions || {})[sessionId];
+    if (!session || session.pages.length === 0) return null;
+    return (data.startUrls || {})[sessionId] || session.pages[0].url;
+}
+
+/**
+ * Attaches a page's engagement metrics (scroll depth, reading time, links followed, read or skimmed),
+ * reported by its content script when the page is hidden, and re-scores the page's session. The tab
+ * may already have moved on to the next page, so the latest visit of the URL in the tab is used.
+ *
+ * @param {string} url - The URL of the page the metrics belong to.
+ * @param {object} engagement - The metrics measured by the content script.
+ * @param {object} tab - The Chrome tab the page was visited in.
+ * @returns {Promise<void>} Resolves once the session has been saved.
+ */
+export function updatePageEngagement(url, engagement, tab) {
+    updateQueue = updateQueue.then(async () => {
+        if (!tab || await isTrackingExcluded(url, tab.incognito)) return;
+        const settings = await getSettings();
+        const pageUrl = await canonicalizeUrl(url, getUrlPrivacySettings(settings));
+
+        const data = await chrome.storage.session.get(['liveSessions', 'tabState', 'currentSession']);
+        const liveSessions = data.liveSessions || {};
+        const state = (data.tabState || {})[tab.id];
+        // The tab's current session is searched first, then every other live session.
+        const tabSession = state ? liveSessions[state.sessionId] : null;
+        const sessions = Object.values(liveSessions).filter(session => session !== tabSession);
+        for (const session of tabSession ? [tabSession, ...sessions] : sessions) {
+            const page = [...session.pages].reverse().find(visited => visited.tabId === tab.id && visited.url === pageUrl);
+            if (!page) continue;
+
+            page.engagement = engagement;
+            applyScore(session, settings);
+            const changes = { liveSessions };
+            if (data.currentSession && data.currentSession.id === session.id) changes.currentSession = session;
+            await chrome.storage.session.set(changes);
+            await archiveSession(session);
+            return;
+        }
+    }).catch(error => console.error("SESSION_MANAGER: Error updating page engagement:", error));
+    return updateQueue;
+}
+
+/**
+ * Scores a session for "rabbithole" severity and stores the result on it. The user's weights and
+ * thresholds from the options page are applied over the defaults.
+ * @param {object} session - The session to score.
+ * @param {object} settings - The user's settings object from storage.
+ */
+function applyScore(session, settings) {
+    const { rabbitholeScore, rabbitholeSeverity, scoreBreakdown } = scoreSession(session, getScoringModel(settings));
+    session.rabbitholeScore = rabbitholeScore;
+    session.rabbitholeSeverity = rabbitholeSeverity;
+    session.scoreBreakdown = scoreBreakdown;
+}
+
+/**
+ * Copies newly reported fields onto an existing page entry, keeping its position in the tree.
+ * Empty values and the time tracker's "Loading..." title never overwrite real data.
+ * @param {object} page - The existing page entry.
+ * @param {object} pageData - The newly reported data for the same URL.
+ */
+function mergePageData(page, pageData) {
+    for (const [key, value] of Object.entries(pageData)) {
+        const isEmpty = value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+        if (isEmpty || (key === 'title' && value === 'Loading...')) continue;
+        page[key] = value;
+    }
+}
+
+/**
+ * Creates a new, empty session object.
+ * @param {number} now - The current timestamp.
+ * @returns {object} The session object.
+ */
+function createSession(now) {
+    return {
+        id: `session-${now}`,
+        startTime: now,
+        pages: [],
+        domains: [],
+        allTopics: {}, // Will store the frequency of each keyword for rabbithole scoring.
+        primaryTopic: 'Unknown', // The final, AI-synthesized topic for the session.
+        lastActivity: now
+    };
+}
+
+/**
+ * Adds a single page visit to the right session. See `addPageVisitToSession`.
+ * @param {object} pageData - The page data.
+ * @param {object} [tab] - The Chrome tab the page was visited in.
+ */
+async function processPageVisit(pageData, tab) {
     // Ignore function call if page data is invalid.
     if (!pageData || !pageData.url) return;
 
     try {
-        // 1. Load the current session object from temporary session storage.
-        const data = await chrome.storage.session.get('currentSession');
-        let session = data.currentSession;
+        // Excluded pages never become part of a session.
+        if (await isTrackingExcluded(pageData.url, tab ? tab.incognito : false)) return;
+
+        // 0. Pages are stored by their canonical URL, without tracking parameters, tokens or fragments.
+        const settings = await getSettings();
+        const urlPrivacy = getUrlPrivacySettings(settings);
+        const visitedUrl = pageData.url;
+        pageData = { ...pageData, url: await canonicalizeUrl(visitedUrl, urlPrivacy) };
+
+        // 1. Load every live session, each tab's position in them, and pending navigation types.
+        const data = await chrome.storage.session.get(['liveSessions', 'tabState', 'tabTransitions', 'startUrls', 'deferredVisits']);
+        const liveSessions = data.liveSessions || {};
+        const tabState = data.tabState || {};
+        const tabTransitions = data.tabTransitions || {};
+        const startUrls = data.startUrls || {};
+        const deferredVisits = data.deferredVisits || {};
         const now = Date.now();
+        const tabId = tab ? tab.id : undefined;
+
+        // 2. Check for session expiration. Any session that has been inactive for longer than the threshold
+        // is closed, its final state archived, and removed, along with the tabs that pointed to it.
+        for (const sessionId in liveSessions) {
+            const expiredSession = liveSessions[sessionId];
+            if (now - expiredSession.lastActivity > SESSION_GAP_THRESHOLD) {
+                expiredSession.endTime = expiredSession.lastActivity;
+                await archiveSession(expiredSession);
+                delete liveSessions[sessionId];
+            }
+        }
+        for (const id in tabState) {
+            if (!liveSessions[tabState[id].sessionId]) delete tabState[id];
+        }
+        for (const sessionId in startUrls) {
+            if (!liveSessions[sessionId]) delete startUrls[sessionId];
+        }
+
+        // 3. Work out which session and which parent page this visit belongs to.
+        const state = tabState[tabId];
+        let session = state ? liveSessions[state.sessionId] : null;
+        const currentPage = session ? session.pages.find(page => page.id === state.pageId) : null;
+        // A navigation type only applies to the page it was recorded for.
+        const transition = tabTransitions[tabId] && tabTransitions[tabId].url === pageData.url ? tabTransitions[tabId] : null;
+
+        let page = null;
+        let parentId = state ? state.pageId : null;
+
+        if (currentPage && currentPage.url === pageData.url) {
+            // a. The same page reported again (the content script after the time tracker, or the tab being
+            // re-activated). Merge the richer data into the existing entry instead of adding a duplicate.
+            page = currentPage;
+            mergePageData(page, pageData);
+        } else if (session && transition && transition.transitionQualifiers.includes('forward_back')) {
+            // b. Back/forward to a page this tab already visited: move back to that node so the
+            // next link the user follows branches from it.
+            page = [...session.pages].reverse().find(visited => visited.tabId === tabId && visited.url === pageData.url) || null;
+        } else if (session && transition && NEW_THREAD_TRANSITIONS.has(transition.transitionType)) {
+            // c. The user typed an address, used a bookmark or searched from the address bar: a new thread.
+            session = null;
+            parentId = null;
+        }
+
+        // A tab opened in the background joins when first looked at, where it was opened from, with the
+        // content its page reported while it waited.
+        const deferred = !state ? deferredVisits[tabId] : null;
+        delete deferredVisits[tabId];
+        const deferredMatches = Boolean(deferred) && deferred.pageData.url === pageData.url;
+        if (deferredMatches) {
+            const reported = { ...deferred.pageData };
+            mergePageData(reported, pageData);
+            pageData = reported;
+        }
+        const deferredSession = deferredMatches ? liveSessions[deferred.sessionId] : null;
+        if (deferredSession) {
+            session = deferredSession;
+            parentId = session.pages.some(visited => visited.id === deferred.parentId) ? deferred.parentId : null;
+            session.pendingTabIds = (session.pendingTabIds || []).filter(id => id !== tabId);
+        } else if (!state && tab && tab.openerTabId !== undefined && tabState[tab.openerTabId]) {
+            // d. A new tab opened from another tab joins the opener's session, branching from its current page.
+            session = liveSessions[tabState[tab.openerTabId].sessionId];
+            parentId = tabState[tab.openerTabId].pageId;
+        }
 
-        // 2. Check for session expiration. If the user has been inactive for longer than the threshold,
-        // we end the current session by setting it to null, which will force a new one to be created.
-        if (session) {
-            const timeSinceLastVisit = now - session.lastActivity;
-            if (timeSinceLastVisit > SESSION_GAP_THRESHOLD) {
-                session = null;
+        if (!state && tab && tab.active === false) {
+            // e. A tab opened in the background has not been looked at, so its page is held back until the
+            // tab is activated: it adds no pages or domains and does not keep the session alive. The
+            // session only notes the tab, which its tab statistics count as opened and never visited.
+            deferredVisits[tabId] = { pageData, sessionId: session ? session.id : null, parentId: session ? parentId : null };
+            const changes = { liveSessions, tabState, startUrls, deferredVisits };
+            if (session && !(session.pendingTabIds || []).includes(tabId)) {
+                session.pendingTabIds = [...(session.pendingTabIds || []), tabId];
+                session.tabStats = await getSessionTabStats(session);
+                applyScore(session, settings);
+                const current = (await chrome.storage.session.get('currentSession')).currentSession;
+                if (current && current.id === session.id) changes.currentSession = session;
+                await chrome.storage.session.set(changes);
+                await archiveSession(session);
+            } else {
+                await chrome.storage.session.set(changes);
             }
+            return;
         }
 
-        // 3. If no session exists (either because it's the first run or the previous one expired),
-        // create a new, empty session object with the current timestamp.
+        // 4. If no session exists (first visit, expired session or a new thread), create a new one.
         if (!session) {
-            session = {
-                id: `session-${now}`,
-                startTime: now,
-                pages: [],
-                domains: [],
-                allTopics: {}, // Will store the frequency of each keyword for rabbithole scoring.
-                primaryTopic: 'Unknown', // The final, AI-synthesized topic for the session.
-                lastActivity: now
+            session = createSession(now);
+            liveSessions[session.id] = session;
+            // With hashed paths the first page's URL no longer leads back to it, so the readable
+            // address is kept for "Back to topic" while the session is live. It is never archived.
+            if (urlPrivacy.hashPaths) {
+                startUrls[session.id] = await canonicalizeUrl(visitedUrl, { ...urlPrivacy, hashPaths: false });
+            }
+        }
+
+        // 5. Record the page as a new node in the navigation tree, linked to the page it came from.
+        // The visit timestamp lets the history page work out how long was spent on each page.
+        if (!page) {
+            page = {
+                ...pageData,
+                id: `page-${now}-${tabId}`,
+                parentId,
+                tabId,
+                transitionType: transition ? transition.transitionType : null,
+                visitedAt: now
             };
+            session.pages.push(page);
         }
-        
-        // 4. Update the session with the new page visit information.
-        session.pages.push(pageData);
+        if (transition) delete tabTransitions[tabId];
+        tabState[tabId] = { sessionId: session.id, pageId: page.id };
+
         session.lastActivity = now; // Always update the last activity timestamp.
         const domain = new URL(pageData.url).hostname;
         if (!session.domains.includes(domain)) {
             session.domains.push(domain);
         }
 
-        // 5. Perform advanced topic analysis using the collected AI data.
+        // 6. Perform advanced topic analysis using the collected AI data.
         if (session.pages.length > 0) {
-            const keywordCounts = {};
-            // A set of common "stop words" to filter out for more meaningful topic analysis.
-            const stopWords = new Set(['a', 'an', 'the', 'in', 'on', 'of', 'for', 'to', 'and', 'is', 'was', 'as', 'it']);
-
-            // a. Aggregate all AI-generated topic sentences from every page in the session.
-            session.pages.forEach(page => {
-                if (page.aiTopics) {
-                    page.aiTopics.forEach(topicSentence => {
-                        // b. Split sentences into individual keywords.
-                        const keywords = topicSentence.split(/\s+/);
-                        keywords.forEach(keyword => {
-                            // c. Clean up each keyword and count its frequency.
-                            const cleanKeyword = keyword.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g,"").toLowerCase();
-                            if (cleanKeyword.length > 3 && !stopWords.has(cleanKeyword)) {
-                                keywordCounts[cleanKeyword] = (keywordCounts[cleanKeyword] || 0) + 1;
-                            }
-                        });
-                    });
-                }
-            });
+            // a-c. Aggregate all AI-generated topic sentences from every page in the session, split them
+            // into individual keywords, and count each keyword's frequency.
+            const keywordCounts = extractKeywords(session.pages.flatMap(page => page.aiTopics || []));
             
             // This object is used by the rabbithole-detector for scoring.
             session.allTopics = keywordCounts;
@@ -116,13 +444,25 @@ export async function addPageVisitToSession(pageData) {
             }
         }
         
-        // 6. Score the newly updated session for "rabbithole" severity.
-        const { rabbitholeScore, rabbitholeSeverity } = scoreSession(session);
-        session.rabbitholeScore = rabbitholeScore;
-        session.rabbitholeSeverity = rabbitholeSeverity;
+        // 7. Measure how far the session has drifted from the topic of its opening pages.
+        const { driftScore, driftCurve, departurePageId } = analyzeTopicDrift(session);
+        session.driftScore = driftScore;
+        session.driftCurve = driftCurve;
+        session.driftDeparturePageId = departurePageId;
+
+        // 8. Count the tabs opened during the session, and those opened but never looked at.
+        session.tabStats = await getSessionTabStats(session);
+
+        // 9. Score the newly updated session for "rabbithole" severity.
+        applyScore(session, settings);
         
-        // 7. Save the fully updated session object back to storage.
-        await chrome.storage.session.set({ currentSession: session });
+        // 10. Save everything back to storage. `currentSession` always holds the most recently active
+        // session, which is what the popup and the "Export Session" report show.
+        await chrome.storage.session.set({ liveSessions, tabState, tabTransitions, startUrls, deferredVisits, currentSession: session });
+
+        // 11. Mirror the live session into the durable history. `chrome.storage.session` is wiped when the
+        // browser restarts, so archiving on every update means an interrupted session is never lost.
+        await archiveSession(session);
 
     } catch (error) {
         console.error("SESSION_MANAGER: Error updating session:", error);
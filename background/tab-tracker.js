@@ -0,0 +1,158 @@
+// background/tab-tracker.js
+/**
+ * @file Watches how tabs pile up. Every tab opened while the extension runs is recorded with whether
+ * the user has looked at it since, so tabs opened "for later" and never visited can be found. From
+ * this, each session gets tab statistics for rabbithole scoring (tabs opened, tabs never looked at,
+ * and the number of open tabs over time), and the popup's tab triage view lists the stale tabs.
+ * The number of open tabs is sampled when the worker starts and whenever a tab is opened or closed.
+ */
+
+// The `chrome.storage.session` key recording each tab opened since the browser started:
+// `{ [tabId]: { openedAt, activated } }`. Tabs that were already open are not listed.
+const TAB_ACTIVITY_KEY = 'tabActivity';
+
+// The `chrome.storage.session` key recording the number of open tabs over time, as `{ time, count }`
+// samples taken whenever the count changes.
+const TAB_COUNT_KEY = 'tabCounts';
+
+// A session keeps at most this many open-tab count samples, one per change in the count.
+const MAX_TAB_COUNT_SAMPLES = 100;
+
+// At most this many samples are kept across all sessions; the oldest are dropped first.
+const MAX_TAB_COUNT_HISTORY = 1000;
+
+// Updates run one after another, so that a tab opened and activated at once is recorded correctly.
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Queues an update of the recorded tab activity or tab counts.
+ * @param {function(): Promise<void>} task - The update.
+ * @returns {Promise<void>} Resolves when the update has been saved.
+ */
+function enqueue(task) {
+    pendingUpdate = pendingUpdate.then(task).catch(error => console.error("TAB_TRACKER: Error updating tab activity:", error));
+    return pendingUpdate;
+}
+
+/**
+ * Applies a change to the recorded tab activity.
+ * @param {function(object): void} change - Receives the tab activity and changes it in place.
+ * @returns {Promise<void>} Resolves when the activity has been saved.
+ */
+function updateTabActivity(change) {
+    return enqueue(async () => {
+        const data = await chrome.storage.session.get(TAB_ACTIVITY_KEY);
+        const tabActivity = data[TAB_ACTIVITY_KEY] || {};
+        change(tabActivity);
+        await chrome.storage.session.set({ [TAB_ACTIVITY_KEY]: tabActivity });
+    });
+}
+
+/**
+ * Samples the number of open tabs, recording it if it changed since the last sample. Called when the
+ * worker starts, which seeds the count, and from the tab open and close listeners.
+ * @param {number} [closedTabId] - A tab that has just been closed, in case it is still listed.
+ * @returns {Promise<void>} Resolves when the count has been recorded.
+ */
+export function recordTabCount(closedTabId) {
+    return enqueue(async () => {
+        const count = (await chrome.tabs.query({})).filter(tab => tab.id !== closedTabId).length;
+        const data = await chrome.storage.session.get(TAB_COUNT_KEY);
+        const tabCounts = data[TAB_COUNT_KEY] || [];
+        const last = tabCounts[tabCounts.length - 1];
+        if (last && last.count === count) return;
+        tabCounts.push({ time: Date.now(), count });
+        await chrome.storage.session.set({ [TAB_COUNT_KEY]: tabCounts.slice(-MAX_TAB_COUNT_HISTORY) });
+    });
+}
+
+/**
+ * Records a newly opened tab. Tabs opened in the background count as not looked at until activated.
+ * @param {object} tab - The new Chrome tab.
+ * @returns {Promise<void>} Resolves when the tab and the new tab count have been recorded.
+ */
+export function recordTabOpened(tab) {
+    updateTabActivity(tabActivity => {
+        tabActivity[tab.id] = { openedAt: Date.now(), activated: Boolean(tab.active) };
+    });
+    return recordTabCount();
+}
+
+/**
+ * Records that the user looked at a tab.
+ * @param {number} tabId - The activated tab.
+ * @returns {Promise<void>} Resolves when the tab has been recorded.
+ */
+export function recordTabActivated(tabId) {
+    return updateTabActivity(tabActivity => {
+        if (tabActivity[tabId]) tabActivity[tabId].activated = true;
+    });
+}
+
+/**
+ * Forgets a closed tab.
+ * @param {number} tabId - The removed tab.
+ * @returns {Promise<void>} Resolves when the tab has been forgotten and the new tab count recorded.
+ */
+export function recordTabClosed(tabId) {
+    updateTabActivity(tabActivity => {
+        delete tabActivity[tabId];
+    });
+    return recordTabCount(tabId);
+}
+
+/**
+ * Lists the tabs a session's pages were visited in, along with the tabs opened from it in the
+ * background whose pages join the session only once the tabs are looked at.
+ * @param {object} session - The session.
+ * @returns {Set<number>} The tab ids.
+ */
+function getSessionTabIds(session) {
+    const tabIds = [...session.pages.map(page => page.tabId), ...(session.pendingTabIds || [])];
+    return new Set(tabIds.filter(tabId => tabId !== undefined));
+}
+
+/**
+ * Finds the open tabs of a session that were opened but never looked at.
+ * @param {object} session - The session, whose pages record the tab they were visited in.
+ * @returns {Promise<object[]>} The stale Chrome tabs, oldest first.
+ */
+export async function getStaleTabs(session) {
+    const data = await chrome.storage.session.get(TAB_ACTIVITY_KEY);
+    const tabActivity = data[TAB_ACTIVITY_KEY] || {};
+    const sessionTabIds = getSessionTabIds(session);
+    const tabs = await chrome.tabs.query({});
+    return tabs
+        .filter(tab => sessionTabIds.has(tab.id) && tabActivity[tab.id] && !tabActivity[tab.id].activated)
+        .sort((a, b) => tabActivity[a.id].openedAt - tabActivity[b.id].openedAt);
+}
+
+/**
+ * Works out a session's tab statistics from the open-tab counts sampled since it started.
+ * @param {object} session - The session. Tabs other than the one it started in were opened from its pages.
+ * @returns {Promise<{opened: number, unvisited: number, peakOpen: number, openTabCounts: Array<object>}>}
+ *     The number of tabs opened during the session, how many of them are still open and were never
+ *     looked at, the most tabs open at once, and the open-tab count over time as `{ time, count }` samples.
+ */
+export async function getSessionTabStats(session) {
+    await pendingUpdate; // Let a count being recorded for a tab that just opened land first.
+    const data = await chrome.storage.session.get(TAB_COUNT_KEY);
+    const tabCounts = data[TAB_COUNT_KEY] || [];
+    const tabIds = getSessionTabIds(session);
+
+    // The count in effect when the session started, then every change since.
+    const firstChange = tabCounts.findIndex(sample => sample.time > session.startTime);
+    const sinceStart = firstChange === -1 ? tabCounts.slice(-1) : tabCounts.slice(Math.max(0, firstChange - 1));
+    const openTabCounts = sinceStart.map(({ time, count }) => ({ time: Math.max(time, session.startTime), count }));
+    if (openTabCounts.length === 0) {
+        // Nothing sampled yet, as the worker has only just started.
+        openTabCounts.push({ time: Date.now(), count: (await chrome.tabs.query({})).length });
+    }
+
+    return {
+        opened: Math.max(0, tabIds.size - 1),
+        unvisited: (await getStaleTabs(session)).length,
+        peakOpen: Math.max(...openTabCounts.map(sample => sample.count)),
+        openTabCounts: openTabCounts.slice(-MAX_TAB_COUNT_SAMPLES)
+    };
+}
@@ -3,34 +3,101 @@
  * @file This module is the core engine for measuring time spent on web pages.
  * It handles the logic for starting and stopping timers, detecting when the user is idle
  * versus active, and orchestrating the saving of time records to permanent storage.
+ *
+ * Chrome suspends the service worker when it has nothing to do, which wipes module variables, so
+ * the running timer is also kept in `chrome.storage.session` and restored before it is used. A
+ * heartbeat alarm saves the time spent so far once a minute, so little is lost if the browser closes.
+ *
+ * When the user goes idle while the timed tab is playing video or audio, the timer keeps running as
+ * "passive watching": it counts towards the day's time and limits, and is also recorded separately.
  */
 
 // Imports functions from other modules to delegate tasks.
 import { addPageVisitToSession } from './session-manager.js';
-import { saveTimeRecord } from '../utils/storage-manager.js';
+import { saveTimeRecord, getIdleThreshold } from '../utils/storage-manager.js';
+import { isTrackingExcluded } from './exclusion-manager.js';
 import { checkTimeLimits } from './blocker-engine.js';
 
+// The alarm that saves the running timer's time once a minute.
+export const HEARTBEAT_ALARM = 'tracker-heartbeat';
+
+// The `chrome.storage.session` key the running timer is kept under, so it survives the worker being suspended.
+const TRACKER_STATE_KEY = 'activeTabInfo';
+
+// The `chrome.storage.session` key listing the tabs whose page reports media playing: `{ [tabId]: true }`.
+const MEDIA_TABS_KEY = 'mediaTabs';
+
+// The longest stretch of time saved in one go. The heartbeat saves every minute, so a longer stretch
+// means the browser or computer was asleep, and only the time up to this limit is counted.
+export const MAX_UNSAVED_SECONDS = 2 * 60;
+
 /**
  * A state object that holds the details of the currently active tab being timed.
- * It is exported so other modules can access live, unsaved data if needed.
- * This object acts as the module's "memory" for the current tracking activity.
+ * This object acts as the module's "memory" for the current tracking activity; it is mirrored in
+ * `chrome.storage.session` and may be empty after the worker restarts until `restoreTracking` runs.
+ * `passive` is set while the user is idle and the tab is playing media.
  */
-export let activeTabInfo = {
+let activeTabInfo = {
     tabId: null,
     url: null,
     startTime: null
 };
 
+// Tracking changes run one at a time, in order, so that a heartbeat and a tab switch never save the same time twice.
+let pendingTask = Promise.resolve();
+
+/**
+ * Queues a change to the tracking state behind any change already running.
+ * @param {function(): Promise<void>} task The change to make.
+ * @returns {Promise<void>} Resolves when the change has been made.
+ */
+function enqueue(task) {
+    pendingTask = pendingTask.then(task).catch(error => {
+        console.error("TIME_TRACKER: Error updating the tracking state", error);
+    });
+    return pendingTask;
+}
+
+/**
+ * Updates the tracking state, in memory and in `chrome.storage.session`.
+ * @param {object} info The new state: the timed tab's `tabId` and `url`, the timer's `startTime`,
+ *     and whether the time is `passive` watching.
+ */
+async function setActiveTabInfo(info) {
+    activeTabInfo = info;
+    await chrome.storage.session.set({ [TRACKER_STATE_KEY]: info });
+}
+
+/**
+ * Reloads the tracking state from `chrome.storage.session` after the service worker was restarted.
+ */
+async function restoreTracking() {
+    if (activeTabInfo.startTime) return;
+    const data = await chrome.storage.session.get(TRACKER_STATE_KEY);
+    if (data[TRACKER_STATE_KEY]) activeTabInfo = data[TRACKER_STATE_KEY];
+}
+
+/**
+ * Returns the tab being timed, for modules that need the live, unsaved time.
+ * @returns {Promise<object>} A copy of the state: `tabId`, `url`, `startTime` (all null when nothing
+ *     is timed) and `passive`.
+ */
+export async function getActiveTabInfo() {
+    await restoreTracking();
+    return { ...activeTabInfo };
+}
+
 /**
  * Stops the timer for the currently active tab, calculates the elapsed duration,
  * saves the record to storage, and triggers a check against user-set time limits.
  * This function is async because it must wait for storage operations to complete.
  */
 async function stopTracking() {
+    await restoreTracking();
     // If there's no active timer running, there's nothing to stop.
     if (!activeTabInfo.startTime) return;
 
-    const endTime = Date.now();
+    const endTime = Math.min(Date.now(), activeTabInfo.startTime + MAX_UNSAVED_SECONDS * 1000);
     const timeSpentInSeconds = Math.round((endTime - activeTabInfo.startTime) / 1000);
 
     // Only save meaningful durations (e.g., more than 1 second) to avoid polluting storage with brief visits.
@@ -39,19 +106,112 @@ async function stopTracking() {
         const urlToSave = activeTabInfo.url;
         
         // a. Save the time record to permanent storage (`chrome.storage.local`) for long-term analysis.
-        await saveTimeRecord(urlToSave, timeSpentInSeconds);
+        await saveTimeRecord(urlToSave, timeSpentInSeconds, endTime, activeTabInfo.passive ? 'passive' : 'active');
 
         // b. After saving, check if the new total time for this domain exceeds any user-defined limits.
         try {
             const domain = new URL(urlToSave).hostname;
-            await checkTimeLimits(domain);
+            await checkTimeLimits(domain, timeSpentInSeconds, endTime);
         } catch (error) {
             console.error("TIME_TRACKER: Error checking time limits", error);
         }
     }
     
     // Reset the state object to be ready for the next tab/activity.
-    activeTabInfo = { tabId: null, url: null, startTime: null };
+    await setActiveTabInfo({ tabId: null, url: null, startTime: null });
+}
+
+/**
+ * Saves the time spent so far on the active tab and keeps timing it. Runs on every heartbeat, and
+ * when a limit runs out while the user stays on the same page so that the limit is enforced
+ * without waiting for a tab switch.
+ * @returns {Promise<void>} Resolves when the time has been saved.
+ */
+export function flushTracking() {
+    return enqueue(async () => {
+        await restoreTracking();
+        const { tabId, url, passive } = activeTabInfo;
+        if (!tabId) return;
+        await stopTracking();
+        await setActiveTabInfo({ tabId, url, startTime: Date.now(), passive });
+    });
+}
+
+/**
+ * Stops the timer without starting another, e.g. when the browser window loses focus.
+ * @returns {Promise<void>} Resolves when the time has been saved.
+ */
+export function pauseTracking() {
+    return enqueue(stopTracking);
+}
+
+/**
+ * Checks whether a tab is playing media, as reported by its page or shown by Chrome's audio indicator.
+ * The audio indicator also covers players the content script cannot see, such as embedded frames.
+ * @param {number} tabId The tab to check.
+ * @returns {Promise<boolean>} True if the tab is playing video or audio.
+ */
+async function isPlayingMedia(tabId) {
+    const data = await chrome.storage.session.get(MEDIA_TABS_KEY);
+    if ((data[MEDIA_TABS_KEY] || {})[tabId]) return true;
+    try {
+        return (await chrome.tabs.get(tabId)).audible === true;
+    } catch (error) {
+        return false; // The tab has been closed.
+    }
+}
+
+/**
+ * Handles the user going idle. If the timed tab is playing media, the time so far is saved and
+ * the timer carries on as passive watching; otherwise the timer stops.
+ * @returns {Promise<void>} Resolves when the timer has been updated.
+ */
+function startPassiveWatching() {
+    return enqueue(async () => {
+        await restoreTracking();
+        const { tabId, url } = activeTabInfo;
+        const playing = tabId !== null && await isPlayingMedia(tabId);
+        await stopTracking();
+        if (playing) {
+            console.log("TIME_TRACKER: User is idle while media plays; counting passive watching.");
+            await setActiveTabInfo({ tabId, url, startTime: Date.now(), passive: true });
+        }
+    });
+}
+
+/**
+ * Ends passive watching on a tab once it has stopped playing media, as the user is no longer watching.
+ * @param {number} tabId The tab whose playback may have stopped.
+ * @returns {Promise<void>} Resolves when the timer has been updated.
+ */
+export function checkPassiveWatching(tabId) {
+    return enqueue(async () => {
+        await restoreTracking();
+        if (activeTabInfo.passive && activeTabInfo.tabId === tabId && !(await isPlayingMedia(tabId))) {
+            await stopTracking();
+        }
+    });
+}
+
+/**
+ * Records whether a tab's page is playing media, as reported by its content script.
+ * @param {number} tabId The tab.
+ * @param {boolean} playing Whether a video or audio element on the page is playing.
+ * @returns {Promise<void>} Resolves when the state has been saved.
+ */
+export function setMediaPlayback(tabId, playing) {
+    // Queued, so reports from several tabs at once do not overwrite each other's entries.
+    const saved = enqueue(async () => {
+        const data = await chrome.storage.session.get(MEDIA_TABS_KEY);
+        const mediaTabs = data[MEDIA_TABS_KEY] || {};
+        if (playing) {
+            mediaTabs[tabId] = true;
+        } else {
+            delete mediaTabs[tabId];
+        }
+        await chrome.storage.session.set({ [MEDIA_TABS_KEY]: mediaTabs });
+    });
+    return playing ? saved : checkPassiveWatching(tabId);
 }
 
 /**
@@ -61,16 +221,22 @@ async function stopTracking() {
  */
 export function trackTab(tab) {
     // Always stop the previous timer before starting a new one.
-    // We use .then() to ensure the async `stopTracking` function fully completes before we proceed.
-    stopTracking().then(() => {
+    // The queue ensures the async `stopTracking` function fully completes before we proceed.
+    return enqueue(async () => {
+        await stopTracking();
         // Only track valid web pages (i.e., ignore chrome:// pages, file:// pages, etc.).
         if (tab && tab.id && tab.url && tab.url.startsWith('http')) {
+            // Pages on the user's exclusion list (or in incognito, if excluded) are never timed.
+            if (await isTrackingExcluded(tab.url, tab.incognito)) return;
+            // Only the active tab of the focused window is timed, so a page loading behind another app is not.
+            if (tab.windowId !== undefined && !(await chrome.windows.get(tab.windowId)).focused) return;
+
             // Set the new active tab info and record the start time.
-            activeTabInfo = {
+            await setActiveTabInfo({
                 tabId: tab.id,
                 url: tab.url,
                 startTime: Date.now()
-            };
+            });
             
             // Immediately send basic page data to the session manager.
             // This is a crucial step to ensure no page visit is missed, even if the
@@ -79,19 +245,19 @@ export function trackTab(tab) {
                 url: tab.url,
                 title: tab.title || 'Loading...' // Use the tab's title as a fallback.
             };
-            addPageVisitToSession(basicPageData);
+            addPageVisitToSession(basicPageData, tab);
         }
     });
 }
 
 /**
- * Initializes the time tracker module. This is called once by the service worker
- * when the extension is installed or the browser starts. Its main purpose is to
- * set up the idle state listener.
+ * Initializes the time tracker module. This is called by the service worker every time it starts,
+ * including after being suspended, because event listeners do not survive a restart. Its main
+ * purpose is to set up the idle state listener.
  */
 export function initialize() {
-    // Set the idle detection threshold. The minimum allowed value by Chrome is 15 seconds.
-    chrome.idle.setDetectionInterval(15);
+    // Set the idle detection threshold from the settings.
+    applyIdleThreshold();
 
     // This listener fires whenever the user's system state changes between 'active', 'idle', or 'locked'.
     chrome.idle.onStateChanged.addListener((newState) => {
@@ -102,9 +268,28 @@ export function initialize() {
                     trackTab(tabs[0]);
                 }
             });
+        } else if (newState === 'idle') {
+            // The user has stopped using the keyboard and mouse. Unless they are watching or listening
+            // to something, stop the timer to pause tracking.
+            startPassiveWatching();
         } else {
-            // The user is 'idle' or has 'locked' the screen. Stop the timer to pause tracking.
-            stopTracking();
+            // The user has 'locked' the screen, so they are away even if media is playing.
+            pauseTracking();
         }
     });
+}
+
+/**
+ * Applies the user's idle threshold (see `getIdleThreshold`) to Chrome's idle detection.
+ * Called at start-up and whenever the settings change.
+ */
+export async function applyIdleThreshold() {
+    chrome.idle.setDetectionInterval(await getIdleThreshold());
+}
+
+/**
+ * Starts the once-a-minute heartbeat that saves the running timer's time.
+ */
+export async function scheduleHeartbeat() {
+    await chrome.alarms.create(HEARTBEAT_ALARM, { periodInMinutes: 1 });
 }
\ No newline at end of file
@@ -18,13 +18,22 @@ function applyStaticTranslations() {
 }
 
 /**
- * Handles the dynamic part of the message which includes the site name placeholder.
+ * Handles the dynamic part of the message which includes the site name placeholder,
+ * or the focus mode message when the page was blocked by Focus Mode.
  */
 function displayDynamicMessage() {
     const messageContainer = document.getElementById('dynamic-message-container');
     const urlParams = new URLSearchParams(window.location.search);
     const site = urlParams.get('site');
 
+    // Pages blocked by Focus Mode get their own heading and message instead of the time limit one.
+    if (urlParams.get('reason') === 'focus') {
+        document.title = chrome.i18n.getMessage("blockPageFocusHeader");
+        document.querySelector('h1').textContent = chrome.i18n.getMessage("blockPageFocusHeader");
+        messageContainer.textContent = chrome.i18n.getMessage("blockPageFocusMessage");
+        return;
+    }
+
     if (site && messageContainer) {
         // Get the translated message, passing the 'site' variable as the substitution
         // for the "$1" placeholder we defined in messages.json.
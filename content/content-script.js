@@ -4,13 +4,23 @@
 // 1. Checking if the browser's built-in Summarizer AI is available.
 // 2. Handling the one-time, user-approved download of the AI model.
 // 3. If the AI is ready, summarizing the page content to extract key topics.
-// 4. Sending this enriched page data to the background service worker for session management.
+// 4. Running the domain-specific parser for sites like YouTube or Wikipedia.
+// 5. Sending this enriched page data to the background service worker for session management.
+// 6. Reporting when video or audio on the page plays, so watching without input is not counted as idle.
+// 7. Measuring how the page was read (scroll depth, reading time, links followed) for rabbithole scoring.
+// Pages on the user's exclusion list are left alone: nothing is read, summarized or sent.
 
 /**
  * Main initialization function that runs once the page has loaded.
  * It orchestrates the entire process of checking for AI and summarizing content.
  */
 async function initializeAI() {
+    // Sensitive pages (banking, health, email...) can be excluded; don't read or summarize them.
+    if (await isPageExcluded()) return;
+
+    watchMediaPlayback();
+    trackEngagement();
+
     console.log("AI SCRIPT: Initializing AI check for:", window.location.href);
 
     // First, check if the 'Summarizer' API constructor exists on the window object.
@@ -51,6 +61,112 @@ async function initializeAI() {
     }
 }
 
+/**
+ * Asks the service worker whether this page is on the user's exclusion list.
+ * @returns {Promise<boolean>} True if the page must not be tracked. Errs on the side of excluding.
+ */
+async function isPageExcluded() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'CHECK_EXCLUSION', url: window.location.href });
+        return !response || Boolean(response.error) || response.excluded;
+    } catch (error) {
+        console.error("AI SCRIPT: Could not check the exclusion list:", error);
+        return true;
+    }
+}
+
+/**
+ * Tells the service worker whenever video or audio on the page starts or stops playing, so that
+ * watching without touching the mouse or keyboard still counts as time on the page, and whenever
+ * a video enters or leaves picture-in-picture, so it is timed while the user is on other tabs.
+ */
+function watchMediaPlayback() {
+    let lastState = { playing: false, pictureInPicture: false };
+    const reportPlayback = () => {
+        const state = {
+            playing: [...document.querySelectorAll('video, audio')].some(media => !media.paused && !media.ended),
+            pictureInPicture: Boolean(document.pictureInPictureElement)
+        };
+        if (state.playing === lastState.playing && state.pictureInPicture === lastState.pictureInPicture) return;
+        lastState = state;
+        chrome.runtime.sendMessage({ type: 'MEDIA_STATE', ...state }).catch(error => {
+            console.error("AI SCRIPT: Could not report media playback:", error);
+        });
+    };
+    // Media events do not bubble, so they are caught on their way down to the element.
+    ['play', 'playing', 'pause', 'ended', 'emptied', 'enterpictureinpicture', 'leavepictureinpicture']
+        .forEach(type => document.addEventListener(type, reportPlayback, true));
+    reportPlayback();
+}
+
+// Average adult reading speed, used to estimate how long the page's text takes to read.
+const WORDS_PER_MINUTE = 230;
+
+/**
+ * Measures how the user engages with the page and reports it to the service worker whenever the
+ * page is hidden (tab switch, navigation, closing), so the session page knows whether it was read
+ * in depth or skimmed on the way somewhere else. The metrics add up over the page's lifetime; each
+ * report replaces the previous one.
+ */
+function trackEngagement() {
+    // `innerText` only contains rendered text, so hidden menus and templates are not counted.
+    const wordCount = (document.body.innerText.match(/\S+/g) || []).length;
+    const metrics = { maxScrollDepth: 0, activeSeconds: 0, focusChanges: 0, linkClicksOut: 0 };
+    let activeSince = document.visibilityState === 'visible' && document.hasFocus() ? Date.now() : null;
+    let lastReport = null;
+
+    const updateScrollDepth = () => {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const depth = scrollable > 0 ? Math.round(Math.min(1, window.scrollY / scrollable) * 100) : 100;
+        metrics.maxScrollDepth = Math.max(metrics.maxScrollDepth, depth);
+    };
+    // Time only counts while the page is visible in the focused window.
+    const pause = () => {
+        if (activeSince === null) return;
+        metrics.activeSeconds += Math.round((Date.now() - activeSince) / 1000);
+        activeSince = null;
+    };
+    const resume = () => {
+        if (activeSince === null && document.visibilityState === 'visible') activeSince = Date.now();
+    };
+    const report = () => {
+        pause();
+        const readingTimeSeconds = Math.round(wordCount / WORDS_PER_MINUTE * 60);
+        // Read: enough time for a good part of the text (or 15 seconds on short pages), and most
+        // of the page scrolled past. Anything less is skimming.
+        const read = metrics.activeSeconds >= Math.max(15, readingTimeSeconds * 0.4) && metrics.maxScrollDepth >= 50;
+        const payload = { ...metrics, wordCount, readingTimeSeconds, readingStyle: read ? 'read' : 'skimmed' };
+        // Leaving the page fires both `pagehide` and `visibilitychange`; nothing new, nothing to send.
+        if (JSON.stringify(payload) === lastReport) return;
+        lastReport = JSON.stringify(payload);
+        chrome.runtime.sendMessage({ type: 'ENGAGEMENT', url: window.location.href, payload }).catch(error => console.error("AI SCRIPT: Could not report engagement:", error));
+    };
+
+    updateScrollDepth();
+    window.addEventListener('scroll', updateScrollDepth, { passive: true });
+    window.addEventListener('focus', resume);
+    window.addEventListener('blur', () => {
+        metrics.focusChanges++;
+        pause();
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            report();
+        } else if (document.hasFocus()) {
+            resume();
+        }
+    });
+    window.addEventListener('pagehide', report);
+    // Links that lead to another page (not an anchor on this one) count as links followed out,
+    // including those opened in a new tab with a middle click.
+    const countLinkClick = event => {
+        const link = event.target.closest && event.target.closest('a[href]');
+        if (link && link.href.split('#')[0] !== window.location.href.split('#')[0]) metrics.linkClicksOut++;
+    };
+    document.addEventListener('click', countLinkClick, true);
+    document.addEventListener('auxclick', countLinkClick, true);
+}
+
 /**
  * Creates and injects a button onto the page to get the user's explicit permission
  * (a "user gesture") to download the AI model for the first time.
@@ -146,14 +262,34 @@ async function runSummarization(summarizer, pageData) {
     }
 }
 
+/**
+ * Runs the domain-specific parser for the current site and attaches its structured fields
+ * (e.g., channel name, subreddit, article title) to the page data.
+ * Content scripts cannot be ES modules, so the parser registry is loaded with a dynamic import.
+ * @param {object} pageData - The page data object to enrich.
+ */
+async function attachDomainData(pageData) {
+    try {
+        const src = chrome.runtime.getURL('content/domain-specific-parsers.js');
+        const { parseDomainSpecificContent } = await import(src);
+        const domainData = parseDomainSpecificContent();
+        if (Object.keys(domainData).length > 0) {
+            pageData.domainData = domainData;
+        }
+    } catch (error) {
+        console.error("AI SCRIPT: Failed to run domain-specific parser:", error);
+    }
+}
+
 /**
  * A robust helper function to send the final page data object to the service worker.
  * It includes a small delay to prevent race conditions where chrome.runtime might not be ready.
  */
-function sendMessage(pageData) {
+async function sendMessage(pageData) {
     if (!pageData) {
         pageData = getPageData();
     }
+    await attachDomainData(pageData);
     console.log("AI SCRIPT: Sending final pageData object to service worker:", pageData);
 
     setTimeout(() => {
@@ -171,5 +307,75 @@ function sendMessage(pageData) {
     }, 100); // 100ms delay for stability.
 }
 
+/**
+ * Shows the rabbithole nudge overlay requested by the service worker's intervention manager.
+ * Each option is sent back to the service worker as a `NUDGE_ACTION` message.
+ * @param {object} nudge - The nudge details: sessionId, topic, severity and minutes.
+ */
+function showNudgeOverlay(nudge) {
+    // Only one nudge is shown at a time.
+    document.getElementById('rabbithole-nudge-overlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'rabbithole-nudge-overlay';
+    // Styles are applied via JS to keep the overlay self-contained, like the "Enable AI" button.
+    Object.assign(overlay.style, {
+        position: 'fixed', top: '20px', right: '20px', zIndex: '2147483647', width: '320px',
+        padding: '16px', backgroundColor: '#ffffff', color: '#1d1d1f', borderRadius: '12px',
+        border: '2px solid #ec4899', boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif', fontSize: '14px'
+    });
+
+    const title = document.createElement('div');
+    title.textContent = chrome.i18n.getMessage("nudgeTitle") || 'Deep in a rabbithole?';
+    Object.assign(title.style, { fontWeight: 'bold', fontSize: '16px', marginBottom: '6px' });
+
+    const message = document.createElement('div');
+    message.textContent = chrome.i18n.getMessage("nudgeMessage", [String(nudge.minutes), nudge.topic]) ||
+        `You've been exploring for ${nudge.minutes} minutes and drifted into "${nudge.topic}".`;
+    Object.assign(message.style, { marginBottom: '12px', lineHeight: '1.4' });
+
+    const actions = document.createElement('div');
+    Object.assign(actions.style, { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' });
+
+    const options = [
+        ['back-to-topic', 'nudgeBackToTopic', 'Back to original topic'],
+        ['save-for-later', 'nudgeSaveForLater', 'Save session for later'],
+        ['snooze', 'nudgeSnooze', 'Snooze 10 min'],
+        ['keep-going', 'nudgeKeepGoing', 'Keep going']
+    ];
+    options.forEach(([action, messageKey, fallbackText]) => {
+        const button = document.createElement('button');
+        button.textContent = chrome.i18n.getMessage(messageKey) || fallbackText;
+        Object.assign(button.style, {
+            padding: '8px', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '12px',
+            fontWeight: 'bold', backgroundColor: action === 'back-to-topic' ? '#ec4899' : '#f1f1f1',
+            color: action === 'back-to-topic' ? 'white' : '#1d1d1f'
+        });
+        button.addEventListener('click', () => {
+            chrome.runtime.sendMessage({ type: 'NUDGE_ACTION', action, sessionId: nudge.sessionId });
+            overlay.remove();
+        }, { once: true });
+        actions.appendChild(button);
+    });
+
+    overlay.append(title, message, actions);
+    document.body.appendChild(overlay);
+}
+
+// Listens for requests from the service worker, such as showing a rabbithole nudge.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'SHOW_NUDGE') {
+        showNudgeOverlay(message.payload);
+        // Confirm, so the service worker knows it does not need to fall back to a notification.
+        sendResponse({ status: 'shown' });
+    }
+    // Focus mode asks whether this page will report its content for the topic check. The service
+    // worker checks exclusions itself, so a running script always answers yes.
+    else if (message.type === 'FOCUS_PING') {
+        sendResponse({ reporting: true });
+    }
+});
+
 // The entry point for the script. It waits for the entire page to load before initializing.
 window.addEventListener('load', initializeAI, { once: true });
\ No newline at end of file
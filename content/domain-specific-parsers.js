@@ -1,50 +1,155 @@
+// content/domain-specific-parsers.js
+// A registry of parsers that extract structured data (channel, subreddit, article title, etc.)
+// from sites with a well-known page structure. The content script imports this module and
+// attaches the result to the page data it sends to the service worker.
+
 // Helper function to safely get text content from an element.
 function getText(selector) {
     const element = document.querySelector(selector);
-    return element ? element.innerText : '';
+    return element ? element.innerText.trim() : '';
 }
 
-// --- Parsers for each domain ---
-
-function parseYouTube() {
-    // Selectors for YouTube's video page structure.
-    const videoTitle = getText('h1.ytd-watch-metadata');
-    const channelName = getText('#owner-name a');
-    const description = getText('#description-inline-expander .ytd-text-inline-expander');
-    return { videoTitle, channelName, description };
+// Helper function to get the text of every element matching a selector.
+function getAllText(selector) {
+    return [...document.querySelectorAll(selector)].map(element => element.innerText.trim()).filter(Boolean);
 }
 
-function parseWikipedia() {
-    // Wikipedia articles have a very consistent title ID.
-    const articleTitle = getText('#firstHeading');
-    return { articleTitle };
+/**
+ * The registered parsers, checked in order. Each entry is `{ name, hostnames, parse }`.
+ */
+const parsers = [];
+
+/**
+ * Adds a parser to the registry.
+ * @param {object} parser - The parser definition.
+ * @param {string} parser.name - A short identifier stored with the result (e.g., 'youtube').
+ * @param {string[]} parser.hostnames - The domains it handles. Subdomains match too.
+ * @param {function(): object} parser.parse - Reads the current document and returns its structured fields.
+ */
+export function registerParser(parser) {
+    parsers.push(parser);
 }
 
-function parseReddit() {
-    // Selectors for Reddit's post structure.
-    const postTitle = getText('h1[slot="title"]');
-    const subreddit = getText('a[slot="subredditName"]');
-    return { postTitle, subreddit };
+/**
+ * Finds the registered parser for a hostname.
+ * @param {string} hostname - The hostname of the current page.
+ * @returns {object|undefined} The matching parser, if any.
+ */
+function findParser(hostname) {
+    return parsers.find(parser => parser.hostnames.some(domain =>
+        hostname === domain || hostname.endsWith(`.${domain}`)));
 }
 
+// --- Parsers for each domain ---
+
+registerParser({
+    name: 'youtube',
+    hostnames: ['youtube.com'],
+    parse() {
+        // Selectors for YouTube's video page structure.
+        const videoTitle = getText('h1.ytd-watch-metadata');
+        const channelName = getText('#owner-name a');
+        const description = getText('#description-inline-expander .ytd-text-inline-expander');
+        return { videoTitle, channelName, description };
+    }
+});
+
+registerParser({
+    name: 'wikipedia',
+    hostnames: ['wikipedia.org'],
+    parse() {
+        // Wikipedia articles have a very consistent title ID.
+        const articleTitle = getText('#firstHeading');
+        return { articleTitle };
+    }
+});
+
+registerParser({
+    name: 'reddit',
+    hostnames: ['reddit.com'],
+    parse() {
+        // Selectors for Reddit's post structure.
+        const postTitle = getText('h1[slot="title"]');
+        const subreddit = getText('a[slot="subredditName"]');
+        return { postTitle, subreddit };
+    }
+});
+
+registerParser({
+    name: 'hackernews',
+    hostnames: ['news.ycombinator.com'],
+    parse() {
+        // Item pages show a single story; listing pages show many, so only the first is taken.
+        const storyTitle = getText('.titleline > a');
+        const storySite = getText('.titleline .sitestr');
+        const points = getText('.score');
+        return { storyTitle, storySite, points };
+    }
+});
+
+registerParser({
+    name: 'stackoverflow',
+    hostnames: ['stackoverflow.com'],
+    parse() {
+        const questionTitle = getText('#question-header h1');
+        const tags = [...new Set(getAllText('.question .post-tag'))];
+        const hasAcceptedAnswer = !!document.querySelector('.accepted-answer');
+        return { questionTitle, tags, hasAcceptedAnswer };
+    }
+});
+
+registerParser({
+    name: 'github',
+    hostnames: ['github.com'],
+    parse() {
+        // Repository pages have the form /owner/repo/...
+        const [owner, repo] = window.location.pathname.split('/').filter(Boolean);
+        const repository = owner && repo ? `${owner}/${repo}` : '';
+        const description = getText('.BorderGrid p.f4');
+        const issueTitle = getText('.js-issue-title, [data-testid="issue-title"]');
+        return { repository, description, issueTitle };
+    }
+});
+
+registerParser({
+    name: 'medium',
+    hostnames: ['medium.com'],
+    parse() {
+        const articleTitle = getText('h1[data-testid="storyTitle"], article h1');
+        const author = getText('[data-testid="authorName"]');
+        return { articleTitle, author };
+    }
+});
+
+registerParser({
+    name: 'twitter',
+    hostnames: ['twitter.com', 'x.com'],
+    parse() {
+        // On a status page the first tweet is the one being viewed.
+        const author = getText('[data-testid="User-Name"]').split('\n').join(' ');
+        const tweetText = getText('[data-testid="tweetText"]');
+        return { author, tweetText };
+    }
+});
+
 /**
  * Main exported function. It checks the current domain and runs the
  * appropriate parser.
- * @returns {object} An object containing domain-specific data.
+ * @returns {object} An object containing domain-specific data, tagged with the parser's
+ *     `source` name, or an empty object if no parser matches.
  */
 export function parseDomainSpecificContent() {
     const { hostname } = window.location;
+    const parser = findParser(hostname);
 
-    if (hostname.includes('youtube.com')) {
-        return parseYouTube();
-    }
-    if (hostname.includes('wikipedia.org')) {
-        return parseWikipedia();
-    }
-    if (hostname.includes('reddit.com')) {
-        return parseReddit();
-    }
-    
     // If the domain doesn't match, return an empty object.
-    return {};
-}
\ No newline at end of file
+    if (!parser) return {};
+
+    try {
+        return { source: parser.name, ...parser.parse() };
+    } catch (error) {
+        // A site redesign should never stop the rest of the page data from being sent.
+        console.error(`PARSERS: The '${parser.name}' parser failed:`, error);
+        return {};
+    }
+}
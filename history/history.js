@@ -0,0 +1,335 @@
+// history/history.js
+// This script powers the Session History page (history.html).
+// It lists the archived browsing sessions, lets the user filter them by severity, date range
+// and domain, and shows a page-by-page timeline for any session the user clicks on.
+
+let storageManager; // Holds the dynamically imported storage manager module.
+let navigationTree; // Holds the dynamically imported navigation tree helpers.
+let urlCanonicalizer; // Holds the dynamically imported URL canonicalizer.
+let selectedSession = null; // The session currently shown in the detail view.
+
+/**
+ * Dynamically imports the storage manager, navigation tree and URL canonicalizer modules.
+ */
+async function initImports() {
+    try {
+        storageManager = await import(chrome.runtime.getURL('utils/storage-manager.js'));
+        navigationTree = await import(chrome.runtime.getURL('utils/navigation-tree.js'));
+        urlCanonicalizer = await import(chrome.runtime.getURL('utils/url-canonicalizer.js'));
+    } catch (error) {
+        console.error("HISTORY: Failed to import modules", error);
+    }
+}
+
+/**
+ * Applies translations to the static elements and placeholders on the page.
+ */
+function applyTranslations() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        const key = element.getAttribute('data-i18n');
+        const translatedText = chrome.i18n.getMessage(key);
+        if (translatedText) element.textContent = translatedText;
+    });
+
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        const key = element.getAttribute('data-i18n-placeholder');
+        const translatedText = chrome.i18n.getMessage(key);
+        if (translatedText) element.placeholder = translatedText;
+    });
+
+    document.title = chrome.i18n.getMessage("sessionHistory") || document.title;
+}
+
+/**
+ * Formats a duration in milliseconds into a human-readable string (e.g., "1h 5m").
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted time string.
+ */
+function formatDuration(ms) {
+    if (ms < 0) ms = 0;
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Creates a severity badge element for a session.
+ * @param {string} severity - The session's `rabbitholeSeverity` ('Low', 'Medium', 'High').
+ * @returns {HTMLElement} The badge element.
+ */
+function createSeverityBadge(severity) {
+    const badge = document.createElement('span');
+    const level = severity || 'Low';
+    badge.className = `severity-badge severity-badge--${level.toLowerCase()}`;
+    badge.textContent = chrome.i18n.getMessage(`severity${level}`) || level;
+    return badge;
+}
+
+/**
+ * Creates the row of favicons showing the order in which a session moved between domains.
+ * @param {string[]} domains - The session's domains, in visit order.
+ * @returns {HTMLElement} The journey element.
+ */
+function createDomainJourney(domains) {
+    const journey = document.createElement('div');
+    journey.className = 'journey';
+    domains.forEach((domain, index) => {
+        const icon = document.createElement('img');
+        icon.src = `https://icons.duckduckgo.com/ip3/${domain}.ico`;
+        icon.alt = domain;
+        icon.title = domain;
+        journey.appendChild(icon);
+
+        if (index < domains.length - 1) {
+            const arrow = document.createElement('span');
+            arrow.className = 'arrow';
+            arrow.textContent = '→';
+            journey.appendChild(arrow);
+        }
+    });
+    return journey;
+}
+
+/**
+ * Builds the timeline steps for a session and works out how long was spent on each page.
+ * Sessions archived before navigation tracking reported each page twice (once from the time
+ * tracker, once from the content script), so consecutive legacy entries for the same URL are
+ * collapsed, with the later, richer entry winning.
+ * @param {object} session - An archived session.
+ * @returns {Array<{page: object, depth: number}>} The steps in navigation-tree order, each page
+ *     with a `timeSpent` in milliseconds, and its branch depth.
+ */
+function buildTimeline(session) {
+    const steps = [];
+    session.pages.forEach(page => {
+        const previous = steps[steps.length - 1];
+        if (previous && !page.id && previous.url === page.url) {
+            Object.assign(previous, page, { visitedAt: previous.visitedAt });
+        } else {
+            steps.push({ ...page });
+        }
+    });
+
+    const endTime = session.endTime || session.lastActivity;
+    steps.forEach((step, index) => {
+        const next = steps[index + 1];
+        // Sessions archived before visit timestamps were recorded have no per-page time.
+        if (step.visitedAt) {
+            step.timeSpent = (next && next.visitedAt ? next.visitedAt : endTime) - step.visitedAt;
+        }
+    });
+    return navigationTree.flattenNavigationTree(navigationTree.buildNavigationTree(steps));
+}
+
+/**
+ * Reads the filter form and returns the filters understood by `getSessionHistory`.
+ * @returns {object} The filters object.
+ */
+function readFilters() {
+    const severity = document.getElementById('severity-filter').value;
+    const from = document.getElementById('from-filter').value;
+    const to = document.getElementById('to-filter').value;
+    const domain = document.getElementById('domain-filter').value.trim().replace(/^www\./, '');
+
+    const filters = {};
+    if (severity) filters.severity = severity;
+    // Date inputs are interpreted in the user's local time, covering the whole of the "to" day.
+    if (from) filters.since = new Date(`${from}T00:00:00`).getTime();
+    if (to) filters.until = new Date(`${to}T23:59:59.999`).getTime();
+    if (domain) filters.domain = domain;
+    return filters;
+}
+
+/**
+ * Fetches the sessions matching the current filters and renders the list view.
+ */
+async function renderSessionList() {
+    const sessionList = document.getElementById('session-list');
+    const noSessions = document.getElementById('no-sessions');
+    const sessions = await storageManager.getSessionHistory(readFilters());
+
+    sessionList.innerHTML = '';
+    noSessions.style.display = sessions.length === 0 ? 'block' : 'none';
+
+    sessions.forEach(session => {
+        const li = document.createElement('li');
+        li.className = 'session-item';
+
+        const header = document.createElement('div');
+        header.className = 'session-item__header';
+        const topic = document.createElement('span');
+        topic.className = 'session-topic';
+        topic.textContent = session.primaryTopic !== 'Unknown' ? session.primaryTopic : (session.pages[0]?.title || session.id);
+        // Sessions saved from a rabbithole nudge, or with tabs saved from them, are starred so they are easy to come back to.
+        if (session.savedForLater || session.savedTabs) topic.textContent = `★ ${topic.textContent}`;
+        header.append(topic, createSeverityBadge(session.rabbitholeSeverity));
+
+        const meta = document.createElement('p');
+        meta.className = 'session-meta';
+        const endTime = session.endTime || session.lastActivity;
+        meta.textContent = `${new Date(session.startTime).toLocaleString()} · ${formatDuration(endTime - session.startTime)}`;
+
+        li.append(header, meta, createDomainJourney(session.domains));
+        li.addEventListener('click', () => showSessionDetail(session));
+        sessionList.appendChild(li);
+    });
+}
+
+/**
+ * Switches to the detail view and renders the page-by-page timeline of a session.
+ * @param {object} session - The archived session to show.
+ */
+function showSessionDetail(session) {
+    selectedSession = session;
+    document.getElementById('session-list-view').style.display = 'none';
+    document.getElementById('session-detail-view').style.display = 'block';
+
+    const topicElement = document.getElementById('detail-topic');
+    topicElement.textContent = session.primaryTopic;
+    topicElement.appendChild(createSeverityBadge(session.rabbitholeSeverity));
+
+    const endTime = session.endTime || session.lastActivity;
+    const metaParts = [new Date(session.startTime).toLocaleString(), formatDuration(endTime - session.startTime), session.domains.join(' → ')];
+    if (session.driftScore !== undefined) {
+        metaParts.push(chrome.i18n.getMessage("topicDriftPercent", [String(Math.round(session.driftScore * 100))]) || `${Math.round(session.driftScore * 100)}% topic drift`);
+    }
+    document.getElementById('detail-meta').textContent = metaParts.join(' · ');
+
+    const timeline = document.getElementById('detail-timeline');
+    timeline.innerHTML = '';
+    buildTimeline(session).forEach(({ page: step, depth }) => {
+        const li = document.createElement('li');
+        li.className = 'timeline__step';
+        // Branches (pages opened from an earlier page in another tab or direction) are indented.
+        li.style.marginLeft = `${depth * 24}px`;
+
+        // Pages recorded with hashed paths cannot be opened again, so their titles are not links.
+        const hashed = urlCanonicalizer.isHashedUrl(step.url);
+        const title = document.createElement(hashed ? 'span' : 'a');
+        title.className = 'timeline__title';
+        if (hashed) {
+            title.title = chrome.i18n.getMessage("hashedPageNotLinked") || 'Only a hash of this page\'s address was stored, so it cannot be opened.';
+        } else {
+            title.href = step.url;
+            title.target = '_blank';
+        }
+        title.textContent = step.title || step.url;
+
+        const url = document.createElement('p');
+        url.className = 'timeline__url';
+        url.textContent = step.url;
+
+        li.append(title, url);
+
+        // Mark the page where the session left the topic it started with.
+        if (step.id && step.id === session.driftDeparturePageId) {
+            li.classList.add('timeline__step--departure');
+            const departure = document.createElement('span');
+            departure.className = 'timeline__departure';
+            departure.textContent = chrome.i18n.getMessage("leftOriginalTopic") || 'Left the original topic here';
+            li.appendChild(departure);
+        }
+
+        if (step.timeSpent !== undefined) {
+            const time = document.createElement('span');
+            time.className = 'timeline__time';
+            time.textContent = formatDuration(step.timeSpent);
+            li.appendChild(time);
+        }
+
+        if (step.engagement) {
+            li.appendChild(createEngagementLabel(step.engagement));
+        }
+
+        if (step.aiTopics && step.aiTopics.length > 0) {
+            const topics = document.createElement('ul');
+            topics.className = 'timeline__topics';
+            step.aiTopics.forEach(aiTopic => {
+                const item = document.createElement('li');
+                item.textContent = aiTopic;
+                topics.appendChild(item);
+            });
+            li.appendChild(topics);
+        }
+
+        timeline.appendChild(li);
+    });
+
+    renderSavedTabs(session.savedTabs || []);
+}
+
+/**
+ * Lists the tabs saved from the session in the popup's tab triage, or hides the list if there are none.
+ * @param {Array<{url: string, title: string}>} savedTabs - The saved tabs.
+ */
+function renderSavedTabs(savedTabs) {
+    document.getElementById('detail-saved-tabs').style.display = savedTabs.length > 0 ? 'block' : 'none';
+    const list = document.getElementById('saved-tab-list');
+    list.innerHTML = '';
+    savedTabs.forEach(savedTab => {
+        const li = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = savedTab.url;
+        link.target = '_blank';
+        link.textContent = savedTab.title || savedTab.url;
+        li.appendChild(link);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Creates the label showing whether a page was read or skimmed, with its scroll depth and the
+ * number of links followed from it.
+ * @param {object} engagement - The page's engagement metrics, as measured by the content script.
+ * @returns {HTMLElement} The label element.
+ */
+function createEngagementLabel(engagement) {
+    const read = engagement.readingStyle === 'read';
+    const label = document.createElement('span');
+    label.className = `timeline__engagement timeline__engagement--${engagement.readingStyle}`;
+    const style = read ? (chrome.i18n.getMessage("engagementRead") || 'Read') : (chrome.i18n.getMessage("engagementSkimmed") || 'Skimmed');
+    const details = chrome.i18n.getMessage("engagementDetails", [String(engagement.maxScrollDepth), String(engagement.linkClicksOut)]) ||
+        `${engagement.maxScrollDepth}% scrolled · ${engagement.linkClicksOut} links followed`;
+    label.textContent = `${style} · ${details}`;
+    return label;
+}
+
+/**
+ * Returns from the detail view to the filtered session list.
+ */
+function showSessionList() {
+    selectedSession = null;
+    document.getElementById('session-detail-view').style.display = 'none';
+    document.getElementById('session-list-view').style.display = 'block';
+}
+
+// --- Main Script ---
+// Runs once the history page HTML is fully loaded.
+document.addEventListener('DOMContentLoaded', async () => {
+    applyTranslations();
+    await initImports();
+    if (!storageManager || !navigationTree) return;
+
+    // Re-render the list whenever any filter changes.
+    const filterForm = document.getElementById('filter-form');
+    filterForm.addEventListener('input', renderSessionList);
+    filterForm.addEventListener('submit', (e) => e.preventDefault());
+
+    document.getElementById('back-btn').addEventListener('click', showSessionList);
+
+    // Asks the service worker to run the Writer API over the selected archived session.
+    const regenerateBtn = document.getElementById('regenerate-report-btn');
+    regenerateBtn.addEventListener('click', () => {
+        if (!selectedSession) return;
+        regenerateBtn.disabled = true;
+        chrome.runtime.sendMessage({ type: 'GENERATE_SESSION_REPORT', sessionId: selectedSession.id }, () => {
+            regenerateBtn.disabled = false;
+        });
+    });
+
+    await renderSessionList();
+});
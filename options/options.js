@@ -3,8 +3,17 @@
 // It handles loading saved settings from storage, displaying them to the user,
 // and saving any changes made by the user (adding/removing time limits, clearing data).
 
-// A global variable to hold the dynamically imported storage manager module.
+// Global variables to hold the dynamically imported storage manager and rabbithole detector modules.
 let storageManager;
+let rabbitholeDetector;
+let interventionManager;
+let focusMode;
+let dataTransfer;
+let retentionManager;
+let exclusionManager;
+let urlCanonicalizer;
+let domainGroups;
+let limitRules;
 
 /**
  * Initializes the script by dynamically importing the storage manager module.
@@ -51,6 +60,15 @@ async function init() {
     try {
         const src = chrome.runtime.getURL('utils/storage-manager.js');
         storageManager = await import(src);
+        rabbitholeDetector = await import(chrome.runtime.getURL('background/rabbithole-detector.js'));
+        interventionManager = await import(chrome.runtime.getURL('background/intervention-manager.js'));
+        focusMode = await import(chrome.runtime.getURL('background/focus-mode.js'));
+        dataTransfer = await import(chrome.runtime.getURL('utils/data-transfer.js'));
+        retentionManager = await import(chrome.runtime.getURL('background/retention-manager.js'));
+        exclusionManager = await import(chrome.runtime.getURL('background/exclusion-manager.js'));
+        urlCanonicalizer = await import(chrome.runtime.getURL('utils/url-canonicalizer.js'));
+        domainGroups = await import(chrome.runtime.getURL('utils/domain-groups.js'));
+        limitRules = await import(chrome.runtime.getURL('background/limit-rules.js'));
         loadSettings();
     } catch (e) { console.error(e); }
 }
@@ -58,35 +76,515 @@ async function init() {
 // --- DOM Element References ---
 const limitList = document.getElementById('limit-list');
 const addLimitForm = document.getElementById('add-limit-form');
-const domainInput = document.getElementById('domain-input');
+const limitTypeSelect = document.getElementById('limit-type');
 const limitInput = document.getElementById('limit-input');
+const limitDays = document.getElementById('limit-days');
+const limitSchedulePreview = document.getElementById('limit-schedule-preview');
+const categoryOverrideList = document.getElementById('category-override-list');
+const addCategoryOverrideForm = document.getElementById('add-category-override-form');
 const statusMessage = document.getElementById('status-message');
 const clearHistoryBtn = document.getElementById('clear-history-btn');
+const deleteDomainForm = document.getElementById('delete-domain-form');
+const deleteRangeForm = document.getElementById('delete-range-form');
+const deletePageForm = document.getElementById('delete-page-form');
+const discardLiveBtn = document.getElementById('discard-live-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+const csvLevelSelect = document.getElementById('csv-level');
+const importForm = document.getElementById('import-form');
+const scoringForm = document.getElementById('scoring-form');
+const resetScoringBtn = document.getElementById('reset-scoring-btn');
+const scoringPreview = document.getElementById('scoring-preview');
+const interventionsForm = document.getElementById('interventions-form');
+const generalForm = document.getElementById('general-form');
+const dayStartHourInput = document.getElementById('day-start-hour');
+const idleThresholdInput = document.getElementById('idle-threshold');
+const retentionForm = document.getElementById('retention-form');
+const retentionDaysSelect = document.getElementById('retention-days');
+const storageUsage = document.getElementById('storage-usage');
+const focusAllowlistForm = document.getElementById('focus-allowlist-form');
+const exclusionsForm = document.getElementById('exclusions-form');
+const urlPrivacyForm = document.getElementById('url-privacy-form');
+const limitWarningsForm = document.getElementById('limit-warnings-form');
+const scheduleList = document.getElementById('schedule-list');
+const addScheduleForm = document.getElementById('add-schedule-form');
+const scheduleDays = document.getElementById('schedule-days');
 
 // A local variable to hold the settings object for quick access.
 let currentSettings = {};
 
 /**
- * Renders the list of currently saved time limits to the UI.
+ * Returns the text shown for a limit rule in the list, e.g. "Group of sites: Social media (x.com, reddit.com)".
+ * @param {object} rule - The limit rule.
+ * @returns {string} The translated label.
+ */
+function getLimitRuleLabel(rule) {
+    const typeLabel = chrome.i18n.getMessage(`limitType${rule.type.charAt(0).toUpperCase()}${rule.type.slice(1)}`) || rule.type;
+    const target = {
+        site: () => rule.domain,
+        pattern: () => rule.pattern,
+        group: () => `${rule.name} (${rule.domains.join(', ')})`,
+        category: () => getCategoryLabel(rule.category),
+        budget: () => null
+    }[rule.type]();
+    return target ? `${typeLabel}: ${target}` : typeLabel;
+}
+
+/**
+ * Returns the part of the day a time window covers, as minute ranges. A window that crosses
+ * midnight is split in two.
+ * @param {object} [window] - The rule's `{ start, end }` window; without one the whole day is covered.
+ * @returns {Array<[number, number]>} The covered ranges, in minutes after midnight.
+ */
+function getWindowSegments(window) {
+    if (!window) return [[0, 1440]];
+    const [start, end] = [window.start, window.end].map(time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    });
+    return start <= end ? [[start, end]] : [[start, 1440], [0, end]];
+}
+
+/**
+ * Draws a rule's schedule: the days of the week it applies on, and a 24-hour bar showing its window.
+ * @param {object} rule - The limit rule.
+ * @returns {HTMLElement} The schedule element.
+ */
+function createSchedulePreview(rule) {
+    const preview = document.createElement('div');
+    preview.className = 'rule-schedule';
+
+    const days = document.createElement('div');
+    days.className = 'rule-schedule__days';
+    getWeekdayNames().forEach((name, day) => {
+        const chip = document.createElement('span');
+        const active = !rule.days || rule.days.includes(day);
+        chip.className = `rule-schedule__day${active ? ' rule-schedule__day--active' : ''}`;
+        chip.textContent = name;
+        days.appendChild(chip);
+    });
+
+    const timeline = document.createElement('div');
+    timeline.className = 'rule-schedule__timeline';
+    timeline.title = rule.window ? `${rule.window.start}–${rule.window.end}` : chrome.i18n.getMessage("limitAllDay");
+    getWindowSegments(rule.window).forEach(([from, to]) => {
+        const segment = document.createElement('span');
+        segment.className = 'rule-schedule__window';
+        segment.style.left = `${(from / 1440) * 100}%`;
+        segment.style.width = `${((to - from) / 1440) * 100}%`;
+        timeline.appendChild(segment);
+    });
+
+    preview.append(days, timeline);
+    return preview;
+}
+
+/**
+ * Describes a rule's limit, e.g. "30 min/day, max 20 min in a row", or "blocked" for a zero-minute window.
+ * @param {object} rule - The limit rule.
+ * @returns {string} The description.
+ */
+function getLimitAmountLabel(rule) {
+    const parts = [rule.minutes === 0 ? chrome.i18n.getMessage("limitBlocked") : `${rule.minutes} min/day`];
+    if (rule.sessionCapMinutes) parts.push(chrome.i18n.getMessage("limitSessionCapLabel", [String(rule.sessionCapMinutes)]));
+    return parts.join(', ');
+}
+
+/**
+ * Renders the list of currently saved limit rules to the UI.
  * It clears the existing list and rebuilds it from the `currentSettings` object.
  */
 function renderLimits() {
     limitList.innerHTML = '';
-    const timeLimits = currentSettings.timeLimits || {};
-    // Loop through each saved limit and create a list item for it.
+    // Loop through each saved rule and create a list item for it.
     const removeButtonText = chrome.i18n.getMessage("removeButton");
-    for (const domain in timeLimits) {
+    limitRules.getLimitRules(currentSettings).forEach(rule => {
+        // Rules can come from imported files, so every part of the row is set as text rather than HTML.
+        const ruleLabel = document.createElement('span');
+        ruleLabel.className = 'limit-domain';
+        ruleLabel.textContent = getLimitRuleLabel(rule);
+
+        const amountLabel = document.createElement('span');
+        amountLabel.className = 'limit-time';
+        amountLabel.textContent = ` - ${getLimitAmountLabel(rule)}`;
+
+        const label = document.createElement('div');
+        label.append(ruleLabel, amountLabel, createSchedulePreview(rule));
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-remove';
+        removeButton.dataset.id = rule.id;
+        removeButton.textContent = removeButtonText;
+
         const li = document.createElement('li');
-        // Using a template literal to easily create the HTML structure for each list item.
-        li.innerHTML = `
-            <div>
-                <span class="limit-domain">${domain}</span>
-                <span class="limit-time">- ${timeLimits[domain]} min/day</span>
-            </div>
-            <button class="btn-remove" data-domain="${domain}">${removeButtonText}</button>
-        `;
+        li.append(label, removeButton);
         limitList.appendChild(li);
+    });
+}
+
+/**
+ * Reads the schedule part of the "add limit" form. Fields are only set when they narrow the rule,
+ * so a rule for every day, all day, without a cap has none of them.
+ * @returns {{days?: number[], window?: object, sessionCapMinutes?: number}} The schedule fields.
+ */
+function readLimitSchedule() {
+    const schedule = {};
+    const days = [...limitDays.querySelectorAll('input:checked')].map(checkbox => Number(checkbox.value));
+    if (days.length < 7) schedule.days = days;
+
+    const start = document.getElementById('limit-window-start').value;
+    const end = document.getElementById('limit-window-end').value;
+    if (start && end && start !== end) schedule.window = { start, end };
+
+    const sessionCapMinutes = parseInt(document.getElementById('limit-session-cap').value, 10);
+    if (sessionCapMinutes > 0) schedule.sessionCapMinutes = sessionCapMinutes;
+    return schedule;
+}
+
+/**
+ * Redraws the schedule preview of the rule being added.
+ */
+function renderDraftSchedulePreview() {
+    limitSchedulePreview.innerHTML = '';
+    limitSchedulePreview.appendChild(createSchedulePreview(readLimitSchedule()));
+}
+
+/**
+ * Shows only the inputs the selected kind of limit needs, and makes those required.
+ */
+function updateLimitFormFields() {
+    addLimitForm.querySelectorAll('[data-limit-type]').forEach(field => {
+        const visible = field.dataset.limitType === limitTypeSelect.value;
+        field.hidden = !visible;
+        field.required = visible;
+    });
+}
+
+/**
+ * Reads the "add limit" form into the type-specific fields of a limit rule.
+ * @returns {object|null} The rule fields, or null if the input is not usable.
+ */
+function readLimitRuleFields() {
+    const type = limitTypeSelect.value;
+    const value = id => document.getElementById(id).value.trim();
+    switch (type) {
+        case 'site':
+            // Site limits cover a whole site, so "en.wikipedia.org" is saved as "wikipedia.org".
+            return value('domain-input') ? { type, domain: domainGroups.getRegistrableDomain(value('domain-input')) } : null;
+        case 'pattern':
+            return value('pattern-input') ? { type, pattern: value('pattern-input').toLowerCase() } : null;
+        case 'group': {
+            const domains = value('group-domains-input').split(/[\s,]+/).filter(Boolean).map(urlCanonicalizer.canonicalizeHostname);
+            return value('group-name-input') && domains.length > 0 ? { type, name: value('group-name-input'), domains } : null;
+        }
+        case 'category':
+            return { type, category: document.getElementById('category-limit-select').value };
+        case 'budget':
+            return { type };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the display name of a category.
+ * @param {string} category - One of the category ids, e.g. "Social".
+ * @returns {string} The translated name.
+ */
+function getCategoryLabel(category) {
+    return chrome.i18n.getMessage(`category${category}`) || category;
+}
+
+/**
+ * Fills the category dropdowns. Sites can also be moved to "Other", but "Other" cannot be limited.
+ */
+function renderCategorySelects() {
+    const fill = (select, categories) => {
+        select.innerHTML = '';
+        categories.forEach(category => select.add(new Option(getCategoryLabel(category), category)));
+    };
+    fill(document.getElementById('category-limit-select'), domainGroups.CATEGORIES);
+    fill(document.getElementById('category-override-select'), [...domainGroups.CATEGORIES, domainGroups.UNCATEGORIZED]);
+}
+
+/**
+ * Renders the user's category overrides. The built-in table is not listed.
+ */
+function renderCategoryOverrides() {
+    categoryOverrideList.innerHTML = '';
+    const overrides = currentSettings.domainCategories || {};
+    const removeButtonText = chrome.i18n.getMessage("removeButton");
+    for (const domain in overrides) {
+        // Domains come from user input and imported files, so they are only ever set as text.
+        const domainLabel = document.createElement('span');
+        domainLabel.className = 'limit-domain';
+        domainLabel.textContent = domain;
+
+        const categoryLabel = document.createElement('span');
+        categoryLabel.className = 'limit-time';
+        categoryLabel.textContent = ` - ${getCategoryLabel(overrides[domain])}`;
+
+        const label = document.createElement('div');
+        label.append(domainLabel, categoryLabel);
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-remove';
+        removeButton.dataset.domain = domain;
+        removeButton.textContent = removeButtonText;
+
+        const li = document.createElement('li');
+        li.append(label, removeButton);
+        categoryOverrideList.appendChild(li);
+    }
+}
+
+/**
+ * Shows a brief confirmation tick next to the data management buttons.
+ */
+function showSavedStatus() {
+    statusMessage.textContent = "✓";
+    setTimeout(() => { statusMessage.textContent = ""; }, 2000);
+}
+
+/**
+ * Saves text as a file through the browser's downloads.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} mimeType - The file's MIME type.
+ */
+function downloadFile(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Asks the service worker to delete part of the history, after the user confirms.
+ * The service worker also removes the pages from the live sessions.
+ * @param {object} request - The DELETE_HISTORY message fields (`scope` and its parameters).
+ * @param {string} confirmationMessage - The question shown to the user.
+ * @returns {Promise<boolean>} True if the history was deleted.
+ */
+async function deleteHistory(request, confirmationMessage) {
+    if (!confirm(confirmationMessage)) return false;
+    const response = await chrome.runtime.sendMessage({ type: 'DELETE_HISTORY', ...request });
+    if (!response || response.error) {
+        console.error("OPTIONS: Could not delete the history:", response && response.error);
+        return false;
+    }
+    showSavedStatus();
+    renderStorageUsage();
+    return true;
+}
+
+/**
+ * Fills the exclusions form from the exclusion settings.
+ * @param {object} config - The complete exclusion settings.
+ */
+function renderExclusions(config) {
+    document.getElementById('excluded-domains').value = config.domains.join('\n');
+    document.getElementById('excluded-url-patterns').value = config.urlPatterns.join('\n');
+    document.getElementById('exclude-incognito').checked = config.excludeIncognito;
+}
+
+/**
+ * Fills the limit warnings form from the limit warning settings.
+ * @param {object} config - The complete limit warning settings.
+ */
+function renderLimitWarnings(config) {
+    document.getElementById('warning-percentages').value = config.percentages.join(', ');
+    document.getElementById('warning-minutes-left').value = config.minutesLeft.join(', ');
+}
+
+/**
+ * Reads a comma-separated list of positive numbers from a text field, ignoring anything else.
+ * @param {string} id - The id of the text field.
+ * @param {number} [max] - The largest allowed value.
+ * @returns {number[]} The numbers, in ascending order and without duplicates.
+ */
+function readNumberList(id, max = Infinity) {
+    const numbers = document.getElementById(id).value
+        .split(',')
+        .map(part => Number(part.trim()))
+        .filter(number => number > 0 && number <= max);
+    return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Fills the page address privacy form from the URL privacy settings.
+ * @param {object} config - The complete URL privacy settings.
+ */
+function renderUrlPrivacy(config) {
+    document.getElementById('stripped-query-keys').value = config.stripQueryKeys.join('\n');
+    document.getElementById('hash-paths').checked = config.hashPaths;
+}
+
+/**
+ * Formats a number of bytes for display (e.g., "1.4 MB").
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size.
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Shows how much of the local storage quota the extension is using.
+ */
+async function renderStorageUsage() {
+    const { bytesInUse, quotaBytes } = await storageManager.getStorageUsage();
+    storageUsage.textContent = chrome.i18n.getMessage("storageUsage", [formatBytes(bytesInUse), formatBytes(quotaBytes)]) ||
+        `Using ${formatBytes(bytesInUse)} of ${formatBytes(quotaBytes)}`;
+}
+
+/**
+ * Fills the scoring form inputs from a scoring model.
+ * @param {object} model - A complete scoring model with `weights` and `thresholds`.
+ */
+function renderScoringForm(model) {
+    scoringForm.querySelectorAll('input[data-group]').forEach(input => {
+        input.value = model[input.dataset.group][input.dataset.key];
+    });
+}
+
+/**
+ * Reads the scoring form inputs into a scoring model.
+ * @returns {object} The scoring model currently entered on the page.
+ */
+function readScoringForm() {
+    const model = { weights: {}, thresholds: {} };
+    scoringForm.querySelectorAll('input[data-group]').forEach(input => {
+        model[input.dataset.group][input.dataset.key] = parseFloat(input.value) || 0;
+    });
+    return model;
+}
+
+/**
+ * Re-scores the most recent sessions with the model entered on the page, so users can see
+ * the effect of their changes before saving.
+ */
+async function renderScoringPreview() {
+    const sessions = await storageManager.getSessionHistory({ limit: 5 });
+    const model = readScoringForm();
+    scoringPreview.innerHTML = '';
+
+    if (sessions.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = chrome.i18n.getMessage("noSessionsToPreview") || 'No sessions recorded yet.';
+        scoringPreview.appendChild(li);
+        return;
     }
+
+    sessions.forEach(session => {
+        const { rabbitholeScore, rabbitholeSeverity } = rabbitholeDetector.scoreSession(session, model);
+        const li = document.createElement('li');
+
+        const topic = document.createElement('span');
+        topic.className = 'limit-domain';
+        topic.textContent = session.primaryTopic;
+
+        const change = document.createElement('span');
+        change.className = rabbitholeSeverity !== session.rabbitholeSeverity ? 'preview-change' : 'limit-time';
+        change.textContent = `${session.rabbitholeSeverity || '-'} → ${rabbitholeSeverity} (${rabbitholeScore})`;
+
+        li.append(topic, change);
+        scoringPreview.appendChild(li);
+    });
+}
+
+/**
+ * Fills the nudge settings form.
+ * @param {object} config - The complete intervention settings.
+ */
+function renderInterventionsForm(config) {
+    document.getElementById('nudges-enabled').checked = config.enabled;
+    document.getElementById('nudge-style').value = config.style;
+    document.getElementById('nudge-min-severity').value = config.minSeverity;
+    document.getElementById('nudge-interval').value = config.intervalMinutes;
+    document.getElementById('quiet-hours-start').value = config.quietHours.start;
+    document.getElementById('quiet-hours-end').value = config.quietHours.end;
+}
+
+/**
+ * Returns the short, localized weekday names, indexed like `Date.getDay()` (0 = Sunday).
+ * @returns {string[]} The weekday names.
+ */
+function getWeekdayNames() {
+    // 2023-01-01 was a Sunday.
+    return [...Array(7).keys()].map(day =>
+        new Date(2023, 0, 1 + day).toLocaleDateString(undefined, { weekday: 'short' }));
+}
+
+/**
+ * Fills the focus allowlist textareas and renders the list of focus schedules.
+ * @param {object} config - The complete focus settings.
+ */
+function renderFocusSettings(config) {
+    document.getElementById('allowed-domains').value = config.allowedDomains.join('\n');
+    document.getElementById('allowed-topics').value = config.allowedTopics.join('\n');
+
+    const weekdayNames = getWeekdayNames();
+    const removeButtonText = chrome.i18n.getMessage("removeButton");
+    scheduleList.innerHTML = '';
+    config.schedules.forEach((schedule, index) => {
+        const daysLabel = document.createElement('span');
+        daysLabel.className = 'limit-domain';
+        daysLabel.textContent = schedule.days.map(day => weekdayNames[day]).join(', ');
+
+        const timeLabel = document.createElement('span');
+        timeLabel.className = 'limit-time';
+        timeLabel.textContent = ` - ${schedule.start}–${schedule.end}`;
+
+        const label = document.createElement('div');
+        label.append(daysLabel, timeLabel);
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-remove';
+        removeButton.dataset.index = index;
+        removeButton.textContent = removeButtonText;
+
+        const li = document.createElement('li');
+        li.append(label, removeButton);
+        scheduleList.appendChild(li);
+    });
+}
+
+/**
+ * Builds weekday checkboxes into a day picker.
+ * @param {HTMLElement} container - The element to fill.
+ * @param {function(number): boolean} isSelected - Whether a day (0 = Sunday) starts out selected.
+ */
+function renderDayPicker(container, isSelected) {
+    container.innerHTML = '';
+    getWeekdayNames().forEach((name, day) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = day;
+        checkbox.checked = isSelected(day);
+        label.append(checkbox, ` ${name}`);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Builds the weekday checkboxes of the "add schedule" form. Weekdays are selected by default.
+ */
+function renderScheduleDayPicker() {
+    renderDayPicker(scheduleDays, day => day >= 1 && day <= 5);
+}
+
+/**
+ * Builds the weekday checkboxes of the "add limit" form. Every day is selected by default.
+ */
+function renderLimitDayPicker() {
+    renderDayPicker(limitDays, () => true);
+    renderDraftSchedulePreview();
 }
 
 /**
@@ -95,27 +593,82 @@ function renderLimits() {
 async function loadSettings() {
     if (!storageManager) return;
     currentSettings = await storageManager.getSettings();
+    dayStartHourInput.value = currentSettings.dayStartHour || 0;
+    idleThresholdInput.value = currentSettings.idleThresholdSeconds || storageManager.DEFAULT_IDLE_THRESHOLD_SECONDS;
+    retentionDaysSelect.value = String(retentionManager.getRetentionDays(currentSettings));
+    renderStorageUsage();
     renderLimits();
+    renderCategorySelects();
+    updateLimitFormFields();
+    renderCategoryOverrides();
+    renderScoringForm(rabbitholeDetector.getScoringModel(currentSettings));
+    renderScoringPreview();
+    renderInterventionsForm(interventionManager.getInterventionSettings(currentSettings));
+    renderFocusSettings(focusMode.getFocusSettings(currentSettings));
+    renderExclusions(exclusionManager.getExclusionSettings(currentSettings));
+    renderUrlPrivacy(urlCanonicalizer.getUrlPrivacySettings(currentSettings));
+    renderLimitWarnings(limitRules.getLimitWarningSettings(currentSettings));
 }
 
 // --- Event Listeners ---
 
+// Saves the hour at which a new day begins, and the idle threshold. They apply to time recorded from now on.
+generalForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const hour = parseInt(dayStartHourInput.value, 10);
+    currentSettings.dayStartHour = hour >= 0 && hour <= 23 ? hour : 0;
+    const idleThreshold = parseInt(idleThresholdInput.value, 10);
+    currentSettings.idleThresholdSeconds = Math.max(storageManager.DEFAULT_IDLE_THRESHOLD_SECONDS, idleThreshold || 0);
+    await storageManager.saveSettings(currentSettings);
+    showSavedStatus();
+});
+
+// Saves the retention period. The service worker compacts older days as soon as it changes.
+retentionForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    currentSettings.retentionDays = parseInt(retentionDaysSelect.value, 10);
+    await storageManager.saveSettings(currentSettings);
+    showSavedStatus();
+    // Give the compaction a moment before measuring again.
+    setTimeout(renderStorageUsage, 1000);
+});
+
+limitTypeSelect.addEventListener('change', updateLimitFormFields);
+addLimitForm.addEventListener('input', renderDraftSchedulePreview);
+
 // Handles the submission of the "Add Limit" form.
 addLimitForm.addEventListener('submit', async (e) => {
     e.preventDefault(); // Prevent the form from causing a page reload.
-    const domain = domainInput.value.trim();
+    const fields = readLimitRuleFields();
+    const schedule = readLimitSchedule();
     const limit = parseInt(limitInput.value, 10);
+    if (schedule.days && schedule.days.length === 0) {
+        alert(chrome.i18n.getMessage("limitNoDays"));
+        return;
+    }
+    // Zero minutes means "blocked", which only makes sense for part of the day.
+    if (limit === 0 && !schedule.window) {
+        alert(chrome.i18n.getMessage("limitBlockedNeedsWindow"));
+        return;
+    }
+    // Only daily totals are recorded, so a minute limit cannot be measured within a time window.
+    if (limit > 0 && schedule.window) {
+        alert(chrome.i18n.getMessage("limitWindowOnlyBlocks"));
+        return;
+    }
     
-    if (domain && limit > 0) {
-        if (!currentSettings.timeLimits) {
-            currentSettings.timeLimits = {};
-        }
-        currentSettings.timeLimits[domain] = limit;
+    if (fields && limit >= 0) {
+        // There is only one daily budget for each schedule, so a new one replaces the old.
+        const rules = limitRules.getLimitRules(currentSettings).filter(rule => fields.type !== 'budget' || rule.type !== 'budget' ||
+            JSON.stringify([rule.days, rule.window]) !== JSON.stringify([schedule.days, schedule.window]));
+        currentSettings.limitRules = [...rules, limitRules.createLimitRule({ ...fields, ...schedule, minutes: limit })];
         await storageManager.saveSettings(currentSettings);
         
         // Update the UI to reflect the change.
         renderLimits();
         addLimitForm.reset(); // Clear the input fields.
+        updateLimitFormFields();
+        renderLimitDayPicker();
         
         // Provide user feedback.
         statusMessage.textContent = "✓";
@@ -127,18 +680,249 @@ addLimitForm.addEventListener('submit', async (e) => {
 limitList.addEventListener('click', async (e) => {
     // Only act if the clicked element is a remove button.
     if (e.target.classList.contains('btn-remove')) {
-        const domainToRemove = e.target.dataset.domain;
-        if (currentSettings.timeLimits && currentSettings.timeLimits[domainToRemove]) {
-            delete currentSettings.timeLimits[domainToRemove];
-            await storageManager.saveSettings(currentSettings);
-            
-            // Re-render the UI to show the limit has been removed.
-            renderLimits();
-
-            statusMessage.textContent = "✓";
-            setTimeout(() => { statusMessage.textContent = ""; }, 2000);
+        currentSettings.limitRules = limitRules.getLimitRules(currentSettings).filter(rule => rule.id !== e.target.dataset.id);
+        await storageManager.saveSettings(currentSettings);
+        
+        // Re-render the UI to show the limit has been removed.
+        renderLimits();
+
+        statusMessage.textContent = "✓";
+        setTimeout(() => { statusMessage.textContent = ""; }, 2000);
+    }
+});
+
+// Puts a site (or a single subdomain) in a category, overriding the built-in one.
+addCategoryOverrideForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const domain = urlCanonicalizer.canonicalizeHostname(document.getElementById('category-domain-input').value.trim());
+    if (!domain) return;
+    const category = document.getElementById('category-override-select').value;
+    currentSettings.domainCategories = { ...currentSettings.domainCategories, [domain]: category };
+    await storageManager.saveSettings(currentSettings);
+    renderCategoryOverrides();
+    addCategoryOverrideForm.reset();
+    showSavedStatus();
+});
+
+categoryOverrideList.addEventListener('click', async (e) => {
+    if (!e.target.classList.contains('btn-remove')) return;
+    delete currentSettings.domainCategories[e.target.dataset.domain];
+    await storageManager.saveSettings(currentSettings);
+    renderCategoryOverrides();
+    showSavedStatus();
+});
+
+// Updates the live preview as the user edits the scoring model.
+scoringForm.addEventListener('input', () => {
+    renderScoringPreview();
+});
+
+// Saves the scoring model. New values apply to the next page visit of the live session.
+scoringForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    currentSettings.scoring = readScoringForm();
+    await storageManager.saveSettings(currentSettings);
+    showSavedStatus();
+});
+
+// Restores the built-in weights and thresholds.
+resetScoringBtn.addEventListener('click', async () => {
+    delete currentSettings.scoring;
+    await storageManager.saveSettings(currentSettings);
+    renderScoringForm(rabbitholeDetector.getScoringModel(currentSettings));
+    renderScoringPreview();
+    showSavedStatus();
+});
+
+// Saves the nudge settings.
+interventionsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    currentSettings.interventions = {
+        enabled: document.getElementById('nudges-enabled').checked,
+        style: document.getElementById('nudge-style').value,
+        minSeverity: document.getElementById('nudge-min-severity').value,
+        intervalMinutes: parseInt(document.getElementById('nudge-interval').value, 10) || 15,
+        quietHours: {
+            start: document.getElementById('quiet-hours-start').value,
+            end: document.getElementById('quiet-hours-end').value
+        }
+    };
+    await storageManager.saveSettings(currentSettings);
+    showSavedStatus();
+});
+
+// Saves the focus allowlist. Each non-empty line is one domain or topic.
+focusAllowlistForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const readLines = (id) => document.getElementById(id).value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    const config = focusMode.getFocusSettings(currentSettings);
+    currentSettings.focus = {
+        ...config,
+        allowedDomains: readLines('allowed-domains').map(domain => domain.replace(/^www\./, '')),
+        allowedTopics: readLines('allowed-topics')
+    };
+    await storageManager.saveSettings(currentSettings);
+    renderFocusSettings(currentSettings.focus);
+    showSavedStatus();
+});
+
+// Saves the exclusion list. URL patterns must be valid regular expressions.
+exclusionsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const readLines = (id) => document.getElementById(id).value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    const urlPatterns = readLines('excluded-url-patterns');
+    for (const pattern of urlPatterns) {
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            alert(chrome.i18n.getMessage("invalidUrlPattern", [pattern]));
+            return;
         }
     }
+    currentSettings.exclusions = {
+        domains: readLines('excluded-domains').map(domain => domain.replace(/^www\./, '')),
+        urlPatterns,
+        excludeIncognito: document.getElementById('exclude-incognito').checked
+    };
+    await storageManager.saveSettings(currentSettings);
+    renderExclusions(currentSettings.exclusions);
+    showSavedStatus();
+});
+
+// Saves the warning thresholds. An empty field turns that kind of warning off.
+limitWarningsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    currentSettings.limitWarnings = {
+        percentages: readNumberList('warning-percentages', 99),
+        minutesLeft: readNumberList('warning-minutes-left')
+    };
+    await storageManager.saveSettings(currentSettings);
+    renderLimitWarnings(currentSettings.limitWarnings);
+    showSavedStatus();
+});
+
+// Saves the page address privacy options. They apply to pages recorded from now on.
+urlPrivacyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    currentSettings.urlPrivacy = {
+        stripQueryKeys: document.getElementById('stripped-query-keys').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean),
+        hashPaths: document.getElementById('hash-paths').checked
+    };
+    await storageManager.saveSettings(currentSettings);
+    renderUrlPrivacy(currentSettings.urlPrivacy);
+    showSavedStatus();
+});
+
+// Adds a recurring focus schedule.
+addScheduleForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const days = [...scheduleDays.querySelectorAll('input:checked')].map(checkbox => Number(checkbox.value));
+    const start = document.getElementById('schedule-start').value;
+    const end = document.getElementById('schedule-end').value;
+    // An end before the start is an overnight schedule (e.g. 22:00–06:00), which focus mode supports.
+    if (days.length === 0 || !start || !end || start === end) return;
+
+    const config = focusMode.getFocusSettings(currentSettings);
+    currentSettings.focus = { ...config, schedules: [...config.schedules, { days, start, end }] };
+    await storageManager.saveSettings(currentSettings);
+    renderFocusSettings(currentSettings.focus);
+    addScheduleForm.reset();
+    renderScheduleDayPicker();
+    showSavedStatus();
+});
+
+// Uses event delegation to handle clicks on any schedule's "Remove" button.
+scheduleList.addEventListener('click', async (e) => {
+    if (e.target.classList.contains('btn-remove')) {
+        const config = focusMode.getFocusSettings(currentSettings);
+        const index = Number(e.target.dataset.index);
+        currentSettings.focus = { ...config, schedules: config.schedules.filter((_, i) => i !== index) };
+        await storageManager.saveSettings(currentSettings);
+        renderFocusSettings(currentSettings.focus);
+        showSavedStatus();
+    }
+});
+
+// Downloads everything as a JSON bundle that can be imported again later.
+exportJsonBtn.addEventListener('click', async () => {
+    const bundle = await dataTransfer.exportAllData();
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(JSON.stringify(bundle, null, 2), `rabbithole-tracker-${date}.json`, 'application/json');
+    showSavedStatus();
+});
+
+// Downloads the daily time records as CSV at the chosen level of detail.
+exportCsvBtn.addEventListener('click', async () => {
+    const level = csvLevelSelect.value;
+    const csv = await dataTransfer.exportCsv(level);
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(csv, `rabbithole-tracker-${level}-${date}.csv`, 'text/csv');
+    showSavedStatus();
+});
+
+// Imports a JSON bundle, merging it into or replacing the existing data.
+importForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const file = document.getElementById('import-file').files[0];
+    const mode = importForm.querySelector('input[name="import-mode"]:checked').value;
+    if (!file) return;
+    if (mode === 'replace' && !confirm(chrome.i18n.getMessage("importReplaceConfirm"))) return;
+
+    try {
+        const bundle = JSON.parse(await file.text());
+        const result = await dataTransfer.importData(bundle, mode);
+        alert(chrome.i18n.getMessage("importSuccess", [String(result.days), String(result.sessions)]));
+        importForm.reset();
+        loadSettings();
+    } catch (error) {
+        console.error("OPTIONS: Import failed", error);
+        alert(chrome.i18n.getMessage("importFailed", [error.message]));
+    }
+});
+
+// Deletes one site's history, including its subdomains.
+deleteDomainForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const domain = document.getElementById('delete-domain-input').value.trim().replace(/^www\./, '');
+    if (!domain) return;
+    if (await deleteHistory({ scope: 'domain', domain }, chrome.i18n.getMessage("deleteDomainConfirm", [domain]))) {
+        deleteDomainForm.reset();
+    }
+});
+
+// Deletes every day in a date range, and the sessions that started in it.
+deleteRangeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const from = document.getElementById('delete-from-input').value;
+    const to = document.getElementById('delete-to-input').value;
+    if (!from || !to || from > to) return;
+    if (await deleteHistory({ scope: 'range', from, to }, chrome.i18n.getMessage("deleteRangeConfirm", [from, to]))) {
+        deleteRangeForm.reset();
+    }
+});
+
+// Deletes a single page URL.
+deletePageForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const url = document.getElementById('delete-page-input').value.trim();
+    if (!url) return;
+    if (await deleteHistory({ scope: 'page', url }, chrome.i18n.getMessage("deletePageConfirm", [url]))) {
+        deletePageForm.reset();
+    }
+});
+
+// Deletes the sessions that are still in progress.
+discardLiveBtn.addEventListener('click', () => {
+    deleteHistory({ scope: 'live' }, chrome.i18n.getMessage("discardLiveSessionConfirm"));
 });
 
 // Handles the click on the "Clear All History" button, a destructive action.
@@ -146,10 +930,11 @@ clearHistoryBtn.addEventListener('click', async () => {
     const confirmationMessage = chrome.i18n.getMessage("clearHistoryConfirm");
     // Use a confirmation dialog to prevent accidental data loss.
     if (confirm(confirmationMessage)) {
-        // Clear all data from chrome.storage.local.
-        await chrome.storage.local.clear();
-        // IMPORTANT: Re-save the user's settings, which are also stored in local storage.
-        await storageManager.saveSettings(currentSettings);
+        // Clear the browsing data from chrome.storage.local, keeping the user's settings and weekly report,
+        // and the sessions in progress, which would otherwise be archived again on the next page visit.
+        await storageManager.clearAllData();
+        await chrome.runtime.sendMessage({ type: 'DELETE_HISTORY', scope: 'live' });
+        renderStorageUsage();
         
         statusMessage.textContent = "✓";
         setTimeout(() => { statusMessage.textContent = ""; }, 2000);
@@ -157,4 +942,6 @@ clearHistoryBtn.addEventListener('click', async () => {
 });
 
 // Start the script.
+renderScheduleDayPicker();
+renderLimitDayPicker();
 init();
\ No newline at end of file
@@ -5,7 +5,10 @@
 
 // --- Module Imports ---
 // Global variables to hold the dynamically imported module functions.
-let getWeeklyReport, generateWeeklyReport;
+let getWeeklyReport, generateWeeklyReport, buildNavigationTree, getDomainPaths;
+let getSettings, saveSettings, getExclusionSettings, matchesDomainPattern;
+let getLimitWarningSettings, getReachedWarnings;
+let getStaleTabs;
 
 /**
  * Dynamically imports necessary modules from the extension's background scripts.
@@ -15,10 +18,24 @@ async function initImports() {
     try {
         const storageManagerSrc = chrome.runtime.getURL('utils/storage-manager.js');
         const weeklyReporterSrc = chrome.runtime.getURL('utils/weekly-reporter.js');
+        const navigationTreeSrc = chrome.runtime.getURL('utils/navigation-tree.js');
         const storageManager = await import(storageManagerSrc);
         const weeklyReporter = await import(weeklyReporterSrc);
+        const navigationTree = await import(navigationTreeSrc);
+        const exclusionManager = await import(chrome.runtime.getURL('background/exclusion-manager.js'));
         getWeeklyReport = storageManager.getWeeklyReport;
         generateWeeklyReport = weeklyReporter.generateWeeklyReport;
+        buildNavigationTree = navigationTree.buildNavigationTree;
+        getDomainPaths = navigationTree.getDomainPaths;
+        getSettings = storageManager.getSettings;
+        saveSettings = storageManager.saveSettings;
+        getExclusionSettings = exclusionManager.getExclusionSettings;
+        matchesDomainPattern = exclusionManager.matchesDomainPattern;
+        const limitRules = await import(chrome.runtime.getURL('background/limit-rules.js'));
+        getLimitWarningSettings = limitRules.getLimitWarningSettings;
+        getReachedWarnings = limitRules.getReachedWarnings;
+        const tabTracker = await import(chrome.runtime.getURL('background/tab-tracker.js'));
+        getStaleTabs = tabTracker.getStaleTabs;
     } catch (error) { console.error("Popup: Failed to import modules", error); }
 }
 
@@ -61,6 +78,36 @@ function formatTime(ms) {
     return `${seconds}s`;
 }
 
+/**
+ * Shows the session's rabbithole score, severity badge and the points each factor contributed,
+ * so the user can see why the session scored the way it did.
+ * @param {object} session - The live session object.
+ */
+function renderScoreBreakdown(session) {
+    const scoreDetails = document.getElementById('score-details');
+    if (session.rabbitholeScore === undefined) {
+        scoreDetails.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('score-value').textContent = session.rabbitholeScore;
+    const badge = document.getElementById('severity-badge');
+    badge.className = `severity-badge severity-badge--${session.rabbitholeSeverity.toLowerCase()}`;
+    badge.textContent = chrome.i18n.getMessage(`severity${session.rabbitholeSeverity}`) || session.rabbitholeSeverity;
+
+    const breakdownList = document.getElementById('score-breakdown');
+    breakdownList.innerHTML = '';
+    (session.scoreBreakdown || []).forEach(({ factor, value, points }) => {
+        const li = document.createElement('li');
+        // Factor names map to messages such as "scoreFactorDuration" ("$1 min of browsing").
+        const messageKey = `scoreFactor${factor.charAt(0).toUpperCase()}${factor.slice(1)}`;
+        const label = chrome.i18n.getMessage(messageKey, [String(value)]) || `${factor}: ${value}`;
+        // Reading takes points off, so its contribution is shown with its minus sign.
+        li.textContent = `${label} → ${points < 0 ? points : `+${points}`}`;
+        breakdownList.appendChild(li);
+    });
+}
+
 /**
  * Starts a real-time ticking timer that updates a UI element every second.
  * @param {number} startTime - The Unix timestamp (in ms) when the session started.
@@ -75,6 +122,163 @@ function startTimer(startTime, timerElement) {
 }
 
 
+/**
+ * Shows either the "Start Focus" controls or the end time of the running focus period.
+ */
+async function renderFocusState() {
+    const { focusState } = await chrome.storage.local.get('focusState');
+    const isActive = focusState && focusState.active;
+    document.getElementById('focus-inactive').style.display = isActive ? 'none' : 'flex';
+    document.getElementById('focus-active').style.display = isActive ? 'flex' : 'none';
+    if (isActive) {
+        const endTime = new Date(focusState.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('focus-status').textContent =
+            chrome.i18n.getMessage("focusActiveUntil", [endTime]) || `Focusing until ${endTime}`;
+    }
+}
+
+
+/**
+ * Shows whether the active tab's site is tracked, with a one-click action to stop (or resume)
+ * tracking it. Stopping adds the site to the exclusion list on the options page.
+ */
+async function renderSiteTracking() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const siteCard = document.getElementById('site-card');
+    if (!tab || !tab.url || !tab.url.startsWith('http')) {
+        siteCard.style.display = 'none';
+        return;
+    }
+
+    const domain = new URL(tab.url).hostname.replace(/^www\./, '');
+    const settings = await getSettings();
+    const config = getExclusionSettings(settings);
+    const isExcluded = config.domains.some(pattern => matchesDomainPattern(domain, pattern));
+
+    siteCard.style.display = 'block';
+    document.getElementById('site-status').textContent = isExcluded
+        ? chrome.i18n.getMessage("siteNotTracked", [domain]) || `${domain} is not tracked`
+        : domain;
+
+    const toggleButton = document.getElementById('toggle-tracking-btn');
+    toggleButton.textContent = isExcluded
+        ? chrome.i18n.getMessage("trackThisSite") || 'Track this site'
+        : chrome.i18n.getMessage("dontTrackThisSite") || "Don't track this site";
+    toggleButton.onclick = async () => {
+        // Resuming removes every pattern that matches the site, so it is tracked again straight away.
+        const domains = isExcluded
+            ? config.domains.filter(pattern => !matchesDomainPattern(domain, pattern))
+            : [...config.domains, domain];
+        settings.exclusions = { ...config, domains };
+        await saveSettings(settings);
+        renderSiteTracking();
+    };
+}
+
+
+/**
+ * Shows a progress bar for every limit that applies now, with the time left. Limits covering the
+ * active tab's site come first, and limits past a warning threshold are highlighted.
+ */
+async function renderLimitProgress() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const hostname = tab && tab.url && tab.url.startsWith('http') ? new URL(tab.url).hostname : null;
+    const { statuses = [] } = await chrome.runtime.sendMessage({ type: 'GET_LIMIT_STATUS', hostname }) || {};
+    const limitsCard = document.getElementById('limits-card');
+    limitsCard.style.display = statuses.length > 0 ? 'block' : 'none';
+
+    const config = getLimitWarningSettings(await getSettings());
+    const list = document.getElementById('limit-progress-list');
+    list.innerHTML = '';
+    statuses
+        .sort((a, b) => Number(b.coversHostname) - Number(a.coversHostname))
+        .forEach(({ rule, label, secondsUsed, secondsLeft, coversHostname }) => {
+            const li = document.createElement('li');
+            const warned = getReachedWarnings(rule, secondsUsed, config).length > 0;
+            li.className = `limit-progress${coversHostname ? ' limit-progress--current' : ''}${warned ? ' limit-progress--warning' : ''}`;
+            li.innerHTML = `
+                <div class="limit-progress__label"><span></span><span></span></div>
+                <div class="limit-progress__bar"><div class="limit-progress__fill"></div></div>
+            `;
+            const [name, remaining] = li.querySelectorAll('.limit-progress__label span');
+            name.textContent = label;
+            remaining.textContent = chrome.i18n.getMessage("limitTimeLeft", [formatTime(secondsLeft * 1000)]) || `${formatTime(secondsLeft * 1000)} left`;
+            li.querySelector('.limit-progress__fill').style.width = `${Math.min(100, (secondsUsed / (rule.minutes * 60)) * 100)}%`;
+            list.appendChild(li);
+        });
+}
+
+
+/**
+ * Shows the tab triage view: the tabs of the current session that were opened but never looked
+ * at. Each can be switched to or closed, and they can all be closed at once, optionally after
+ * saving them to the session as a list (shown in the session's history). Hidden when there are none.
+ * @param {object} session - The live session object.
+ */
+async function renderTabTriage(session) {
+    const staleTabs = await getStaleTabs(session);
+    const triageCard = document.getElementById('tab-triage-card');
+    triageCard.style.display = staleTabs.length > 0 ? 'block' : 'none';
+    if (staleTabs.length === 0) return;
+
+    const openCount = (await chrome.tabs.query({})).length;
+    const { opened = 0, peakOpen = openCount } = session.tabStats || {};
+    const counts = [staleTabs.length, opened, openCount, peakOpen].map(String);
+    document.getElementById('tab-triage-summary').textContent = chrome.i18n.getMessage("tabTriageSummary", counts) ||
+        `${counts[0]} of ${counts[1]} tabs opened this session never looked at · ${counts[2]} open now (peak ${counts[3]})`;
+
+    const list = document.getElementById('stale-tab-list');
+    list.innerHTML = '';
+    staleTabs.forEach(tab => {
+        const li = document.createElement('li');
+        li.className = 'stale-tab';
+
+        const icon = document.createElement('img');
+        icon.src = tab.favIconUrl || `https://icons.duckduckgo.com/ip3/${new URL(tab.url).hostname}.ico`;
+        icon.alt = '';
+
+        const title = document.createElement('span');
+        title.className = 'stale-tab__title';
+        title.textContent = tab.title || tab.url;
+        title.title = tab.url;
+        title.addEventListener('click', () => {
+            chrome.tabs.update(tab.id, { active: true });
+            chrome.windows.update(tab.windowId, { focused: true });
+        });
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'stale-tab__close';
+        closeButton.textContent = '×';
+        closeButton.title = chrome.i18n.getMessage("closeTab") || 'Close tab';
+        closeButton.addEventListener('click', async () => {
+            await chrome.tabs.remove(tab.id);
+            renderTabTriage(session);
+        });
+
+        li.append(icon, title, closeButton);
+        list.appendChild(li);
+    });
+
+    const staleTabIds = staleTabs.map(tab => tab.id);
+    document.getElementById('close-stale-tabs-btn').onclick = async () => {
+        await chrome.tabs.remove(staleTabIds);
+        renderTabTriage(session);
+    };
+    document.getElementById('save-stale-tabs-btn').onclick = async () => {
+        // The list is kept on the session, after any tabs saved from it before.
+        const savedAt = Date.now();
+        session.savedTabs = [...(session.savedTabs || []), ...staleTabs.map(tab => ({ url: tab.url, title: tab.title, savedAt }))];
+        const response = await chrome.runtime.sendMessage({ type: 'SAVE_TAB_LIST', sessionId: session.id, savedTabs: session.savedTabs });
+        // The tabs are only closed once they are safely saved.
+        if (!response || response.error) {
+            console.error("POPUP: Could not save the tab list:", response && response.error);
+            return;
+        }
+        await chrome.tabs.remove(staleTabIds);
+        renderTabTriage(session);
+    };
+}
+
 // --- MAIN SCRIPT ---
 // This event listener is the entry point for the entire script. It runs once the popup HTML is fully loaded.
 document.addEventListener('DOMContentLoaded', async () => {
@@ -94,6 +298,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const sessionReportBtn = document.getElementById('generate-session-report-btn');
     const micButton = document.getElementById('mic-btn');
     const fullReportLink = document.querySelector('.view-report-link');
+    const historyLink = document.querySelector('.view-history-link');
     const loadingOverlay = document.getElementById('loading-animation');
     const loadingMessage = document.getElementById('loading-message');
 
@@ -222,6 +427,30 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    if (historyLink) {
+        // Handles the click for the "Past Rabbitholes" link.
+        historyLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            // Opens the session history page in a new tab.
+            chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+        });
+    }
+
+
+    // --- Focus Mode ---
+    // The service worker starts and ends focus, so it can install the blocking rule and end alarm.
+    document.getElementById('start-focus-btn').addEventListener('click', () => {
+        const durationMinutes = parseInt(document.getElementById('focus-duration').value, 10);
+        if (!(durationMinutes > 0)) return;
+        chrome.runtime.sendMessage({ type: 'START_FOCUS', durationMinutes }, () => renderFocusState());
+    });
+    document.getElementById('stop-focus-btn').addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'STOP_FOCUS' }, () => renderFocusState());
+    });
+    renderFocusState();
+    renderSiteTracking();
+    renderLimitProgress();
+
 
     // --- INITIAL UI POPULATION ---
     // This section runs once when the popup opens to fill the UI with the latest data.
@@ -245,24 +474,33 @@ document.addEventListener('DOMContentLoaded', async () => {
         topicTitleElement.textContent = session.primaryTopic !== 'Unknown' ? session.primaryTopic : (latestPage.title || 'No Title');
         
         journeyIconsElement.innerHTML = ''; // Clear any old icons
-        session.domains.forEach((domain, index) => {
-            const icon = document.createElement('img');
-            // Use a favicon service to get domain icons automatically
-            icon.src = `https://icons.duckduckgo.com/ip3/${domain}.ico`;
-            icon.alt = domain;
-            icon.title = domain; // Show domain name on hover
-            journeyIconsElement.appendChild(icon);
-
-            // Add an arrow between icons, but not after the last one
-            if (index < session.domains.length - 1) {
-                const arrow = document.createElement('span');
-                arrow.className = 'arrow';
-                arrow.textContent = '→';
-                journeyIconsElement.appendChild(arrow);
-            }
+        // Each branch of the navigation tree gets its own row; a linear session is a single row.
+        const domainPaths = getDomainPaths(buildNavigationTree(session.pages));
+        domainPaths.forEach(path => {
+            const branchElement = document.createElement('div');
+            branchElement.className = 'journey__branch';
+            path.forEach((domain, index) => {
+                const icon = document.createElement('img');
+                // Use a favicon service to get domain icons automatically
+                icon.src = `https://icons.duckduckgo.com/ip3/${domain}.ico`;
+                icon.alt = domain;
+                icon.title = domain; // Show domain name on hover
+                branchElement.appendChild(icon);
+
+                // Add an arrow between icons, but not after the last one
+                if (index < path.length - 1) {
+                    const arrow = document.createElement('span');
+                    arrow.className = 'arrow';
+                    arrow.textContent = '→';
+                    branchElement.appendChild(arrow);
+                }
+            });
+            journeyIconsElement.appendChild(branchElement);
         });
 
+        renderScoreBreakdown(session);
         startTimer(session.startTime, timerElement);
+        renderTabTriage(session);
 
     } else {
         // d. If no session is active, show a placeholder message.
@@ -20,13 +20,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     // --- Load and Render the Report ---
     try {
         // 1. Fetch the report content, which was temporarily saved by the report-generator module.
-        const result = await chrome.storage.local.get(['latestReport']);
-        if (result.latestReport) {
+        // Taking it also clears the temporary storage, to prevent this report from being shown again.
+        const storageManager = await import(chrome.runtime.getURL('utils/storage-manager.js'));
+        const latestReport = await storageManager.takeLatestReport();
+        if (latestReport) {
             // 2. Use the marked.js library (loaded in the HTML) to convert the Markdown string into HTML.
-            mainContentElement.innerHTML = marked.parse(result.latestReport);
-            
-            // 3. Clean up the temporary storage to prevent this report from being shown again.
-            await chrome.storage.local.remove('latestReport');
+            mainContentElement.innerHTML = marked.parse(latestReport);
         } else {
             // Display a message if no report data was found.
             mainContentElement.innerHTML = '<h2>Report Not Found</h2><p>Could not find a report to display. Please try generating one again.</p>';
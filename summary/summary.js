@@ -4,6 +4,7 @@
 // and uses the Chart.js library to create interactive data visualizations.
 
 let chartInstance = null; // A global variable to hold the current chart instance.
+let domainGroups; // Holds the dynamically imported domain grouping module.
 
 /**
  * Dynamically imports the storage manager module.
@@ -11,6 +12,7 @@ let chartInstance = null; // A global variable to hold the current chart instanc
 async function getStorageManager() {
     try {
         const src = chrome.runtime.getURL('utils/storage-manager.js');
+        domainGroups = await import(chrome.runtime.getURL('utils/domain-groups.js'));
         return await import(src);
     } catch (error) {
         console.error("SUMMARY_DEBUG: Failed to import storage-manager.js", error);
@@ -34,25 +36,44 @@ function applyTranslations() {
 }
 
 /**
- * Processes the raw weekly data from storage and aggregates it by domain.
+ * Processes the raw weekly data from storage and aggregates it by site or category.
  * @param {object} weeklyData - The raw data object from chrome.storage.local.
- * @returns {Array} - A sorted array containing the top 7 domains and their total time spent.
+ * @param {string} groupBy - 'site' (registrable domain) or 'category'.
+ * @param {object} categories - The category table, including the user's overrides.
+ * @param {boolean} includeBackground - Whether to add the time of audible background and picture-in-picture tabs.
+ * @returns {Array} - A sorted array containing the top 7 sites or categories and their total time spent.
+ *     Category names are translated.
  */
-function processDataForChart(weeklyData) {
-    const domainTotals = {};
-    for (const date in weeklyData) {
-        if (date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            for (const domain in weeklyData[date]) {
-                const time = weeklyData[date][domain].totalTime || 0;
-                domainTotals[domain] = (domainTotals[domain] || 0) + time;
-            }
-        }
-    }
-    return Object.entries(domainTotals)
+function processDataForChart(weeklyData, groupBy, categories, includeBackground) {
+    const totals = domainGroups.groupTimeTotals(weeklyData, groupBy, categories, includeBackground);
+    return Object.entries(totals)
+        .map(([key, time]) => [groupBy === 'category' ? (chrome.i18n.getMessage(`category${key}`) || key) : key, time])
         .sort(([, a], [, b]) => b - a)
         .slice(0, 7);
 }
 
+/**
+ * Shows how much of the week's time was passive watching: video or audio playing while the
+ * keyboard and mouse were not in use.
+ * @param {object} weeklyData - The raw data object from chrome.storage.local.
+ */
+function renderPassiveTime(weeklyData) {
+    let totalSeconds = 0;
+    let passiveSeconds = 0;
+    Object.values(weeklyData).forEach(dayData => Object.values(dayData).forEach(domainData => {
+        totalSeconds += domainData.totalTime || 0;
+        passiveSeconds += domainData.passiveTime || 0;
+    }));
+    if (passiveSeconds === 0) return;
+
+    const passiveMinutes = String(Math.round(passiveSeconds / 60));
+    const totalMinutes = String(Math.round(totalSeconds / 60));
+    const element = document.getElementById('passive-time');
+    element.textContent = chrome.i18n.getMessage("passiveWatchingSummary", [passiveMinutes, totalMinutes]) ||
+        `${passiveMinutes} min of your ${totalMinutes} min was passive watching (video or audio playing while you weren't using the keyboard or mouse).`;
+    element.style.display = 'block';
+}
+
 /**
  * A custom Chart.js plugin to draw text (e.g., total time) in the center of a doughnut chart.
  */
@@ -91,11 +112,14 @@ const centerTextPlugin = {
  */
 function renderChart(chartType, chartData, totalTimeMinutes) {
     const chartCanvas = document.getElementById('domain-chart');
-    if (!chartCanvas || !chartData || chartData.length === 0) return;
+    if (!chartCanvas) return;
 
     if (chartInstance) {
         chartInstance.destroy();
+        chartInstance = null;
     }
+    // With nothing to show (e.g. only background time, while it is hidden), the chart stays empty.
+    if (!chartData || chartData.length === 0) return;
 
     const labels = chartData.map(item => item[0]);
     const dataMinutes = chartData.map(item => Math.round(item[1] / 60));
@@ -166,10 +190,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     const insightTextElement = document.getElementById('insight-text');
     const storageManager = await getStorageManager();
 
-    const [weeklyReport, weeklyData] = await Promise.all([
+    const [weeklyReport, weeklyData, settings] = await Promise.all([
         storageManager.getWeeklyReport(),
-        storageManager.getLastDaysData(7)
+        storageManager.getLastDaysData(7),
+        storageManager.getSettings()
     ]);
+    const categories = domainGroups.getDomainCategories(settings);
     
     if (weeklyReport && weeklyReport.text) {
         insightTextElement.textContent = weeklyReport.text;
@@ -177,25 +203,40 @@ document.addEventListener('DOMContentLoaded', async () => {
         insightTextElement.textContent = "No report generated yet. Go to the popup and click 'Generate Report'.";
     }
 
-    const chartData = processDataForChart(weeklyData);
-    if (chartData.length > 0) {
-        // ... (calculate totalTimeMinutes)
-        const rawDataSeconds = chartData.map(item => item[1]);
-        const totalTimeMinutes = Math.round(rawDataSeconds.reduce((sum, current) => sum + current, 0) / 60);
-        // Register the datalabels plugin to show percentages on the chart.
-        Chart.register(ChartDataLabels);
-
-        // 1. Render the initial chart with the default type ('doughnut').
-        const initialChartType = document.querySelector('input[name="chartType"]:checked').value;
-        renderChart(initialChartType, chartData, totalTimeMinutes);
-
-        // 2. Add an event listener to the radio buttons to handle chart switching.
-        const chartTypeControls = document.getElementById('chart-type-controls');
-        chartTypeControls.addEventListener('change', (event) => {
-            // When the user selects a new chart type, re-render the chart.
-            if (event.target.name === 'chartType') {
-                renderChart(event.target.value, chartData, totalTimeMinutes);
-            }
-        });
-    }
+    renderPassiveTime(weeklyData);
+
+    const groupBySelect = document.getElementById('group-by');
+    const includeBackgroundCheckbox = document.getElementById('include-background');
+    // Background audio is kept out of the chart unless asked for, and the option only appears if there is some.
+    const hasBackgroundTime = Object.values(weeklyData).some(dayData => Object.values(dayData).some(domainData => domainData.backgroundTime));
+    document.getElementById('include-background-label').style.display = hasBackgroundTime ? 'inline' : 'none';
+    const getChartData = () => processDataForChart(weeklyData, groupBySelect.value, categories, includeBackgroundCheckbox.checked);
+    let chartData = getChartData();
+    // ... (calculate totalTimeMinutes)
+    const getTotalTimeMinutes = () => Math.round(chartData.reduce((sum, item) => sum + item[1], 0) / 60);
+    let totalTimeMinutes = getTotalTimeMinutes();
+    // Register the datalabels plugin to show percentages on the chart.
+    Chart.register(ChartDataLabels);
+
+    // 1. Render the initial chart with the default type ('doughnut'). A week with only background
+    // time has nothing to draw until background time is included.
+    const getChartType = () => document.querySelector('input[name="chartType"]:checked').value;
+    renderChart(getChartType(), chartData, totalTimeMinutes);
+
+    // 2. Add an event listener to the controls to handle chart switching.
+    const chartTypeControls = document.getElementById('chart-type-controls');
+    chartTypeControls.addEventListener('change', (event) => {
+        // When the user selects a new chart type, re-render the chart.
+        if (event.target.name === 'chartType') {
+            renderChart(event.target.value, chartData, totalTimeMinutes);
+        }
+        // When the user switches between sites and categories, or shows or hides background audio, regroup the data.
+        if (event.target === groupBySelect || event.target === includeBackgroundCheckbox) {
+            chartData = getChartData();
+            totalTimeMinutes = getTotalTimeMinutes();
+            const titleKey = groupBySelect.value === 'category' ? 'topCategoriesByTime' : 'topDomainsByTime';
+            document.getElementById('chart-title').textContent = chrome.i18n.getMessage(titleKey);
+            renderChart(getChartType(), chartData, totalTimeMinutes);
+        }
+    });
 });
\ No newline at end of file
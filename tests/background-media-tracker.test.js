@@ -0,0 +1,74 @@
+// tests/background-media-tracker.test.js
+// Tests for timing audible background tabs and picture-in-picture videos. Run with `node --test tests/`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome, browserState } from './helpers/fake-chrome.js';
+import { syncBackgroundMedia, setPictureInPicture } from '../background/background-media-tracker.js';
+import { getTodayData } from '../utils/storage-manager.js';
+
+const realNow = Date.now;
+let clock;
+
+/**
+ * Moves the fake clock forward.
+ * @param {number} seconds - How far to move it.
+ */
+function advance(seconds) {
+    clock += seconds * 1000;
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+    clock = new Date(2024, 4, 1, 12, 0, 0).getTime();
+    Date.now = () => clock;
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('an audible background tab is saved as background time only', async () => {
+    browserState.tabs = [
+        { id: 1, windowId: 1, active: true, url: 'https://example.com/' },
+        { id: 2, windowId: 1, active: false, audible: true, url: 'https://music.example.org/playlist' },
+        { id: 3, windowId: 1, active: false, audible: true, mutedInfo: { muted: true }, url: 'https://video.example.net/' }
+    ];
+    await syncBackgroundMedia();
+    advance(60);
+
+    // The tab falls silent.
+    browserState.tabs[1].audible = false;
+    await syncBackgroundMedia();
+
+    const today = await getTodayData();
+    assert.equal(today['music.example.org'].backgroundTime, 60);
+    assert.equal(today['music.example.org'].totalTime, 0);
+    assert.equal('video.example.net' in today, false);
+});
+
+test('a heartbeat saves running timers and keeps them going', async () => {
+    browserState.tabs = [{ id: 2, windowId: 1, active: false, audible: true, url: 'https://music.example.org/' }];
+    await syncBackgroundMedia();
+    advance(30);
+    await syncBackgroundMedia({ flush: true });
+    advance(20);
+    await syncBackgroundMedia({ flush: true });
+
+    assert.equal((await getTodayData())['music.example.org'].backgroundTime, 50);
+});
+
+test('picture-in-picture tabs are timed, and reports from several tabs at once are all kept', async () => {
+    browserState.tabs = [
+        { id: 2, windowId: 1, active: false, url: 'https://video.example.net/a' },
+        { id: 3, windowId: 1, active: false, url: 'https://video.example.org/b' }
+    ];
+    await Promise.all([setPictureInPicture(2, true), setPictureInPicture(3, true)]);
+    assert.deepEqual(chrome.storage.session.data.pictureInPictureTabs, { 2: true, 3: true });
+
+    advance(45);
+    await setPictureInPicture(2, false);
+    const today = await getTodayData();
+    assert.equal(today['video.example.net'].backgroundTime, 45);
+    assert.equal('video.example.org' in today, false);
+});
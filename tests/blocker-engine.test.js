@@ -0,0 +1,62 @@
+// tests/blocker-engine.test.js
+// Tests for checking limit rules against the time recorded today. Run with `node --test tests/`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome } from './helpers/fake-chrome.js';
+import { checkTimeLimits } from '../background/blocker-engine.js';
+import { getTodayKey, toDayStorageKey } from '../utils/storage-manager.js';
+
+/**
+ * Saves limit rules and today's time records.
+ * @param {object[]} limitRules - The limit rules.
+ * @param {object} todayData - Today's time records, keyed by hostname.
+ */
+async function store(limitRules, todayData) {
+    await chrome.storage.local.set({ settings: { limitRules }, [toDayStorageKey(await getTodayKey())]: todayData });
+}
+
+/**
+ * Lists the rules that triggered on a hostname, with their reasons.
+ * @param {Array<{rule: object, reason: string}>} triggered - The result of `checkTimeLimits`.
+ * @returns {string[]} Entries as "rule id: reason".
+ */
+function reasons(triggered) {
+    return triggered.map(({ rule, reason }) => `${rule.id}: ${reason}`);
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+test('a rule triggers once today\'s time is over its limit', async () => {
+    const rules = [
+        { id: 'reddit', type: 'site', domain: 'reddit.com', minutes: 30 },
+        { id: 'social', type: 'category', category: 'Social', minutes: 60 },
+        { id: 'budget', type: 'budget', minutes: 240 }
+    ];
+    await store(rules, { 'www.reddit.com': { totalTime: 31 * 60, pages: {} }, 'x.com': { totalTime: 20 * 60, pages: {} } });
+    assert.deepEqual(reasons(await checkTimeLimits('reddit.com')), ['reddit: daily']);
+
+    await store(rules, { 'www.reddit.com': { totalTime: 31 * 60, pages: {} }, 'x.com': { totalTime: 30 * 60, pages: {} } });
+    assert.deepEqual(reasons(await checkTimeLimits('reddit.com')), ['reddit: daily', 'social: daily']);
+    // Time elsewhere is not held against the site's own limit.
+    assert.deepEqual(reasons(await checkTimeLimits('x.com')), ['social: daily']);
+    assert.deepEqual(reasons(await checkTimeLimits('example.com')), []);
+});
+
+test('a zero-minute rule blocks its sites while it applies', async () => {
+    await store([{ id: 'news', type: 'site', domain: 'cnn.com', minutes: 0 }], {});
+    assert.deepEqual(reasons(await checkTimeLimits('edition.cnn.com')), ['news: blocked']);
+});
+
+test('a per-session cap triggers on unbroken time and resets after a break', async () => {
+    await store([{ id: 'video', type: 'site', domain: 'youtube.com', minutes: 120, sessionCapMinutes: 10 }], {});
+    const now = Date.now();
+    const minutes = count => count * 60 * 1000;
+
+    assert.deepEqual(reasons(await checkTimeLimits('www.youtube.com', 6 * 60, now - minutes(5))), []);
+    assert.deepEqual(reasons(await checkTimeLimits('youtube.com', 5 * 60, now)), ['video: session']);
+    // Time recorded after a break of more than ten minutes starts a new count.
+    assert.deepEqual(reasons(await checkTimeLimits('youtube.com', 60, now + minutes(20))), []);
+});
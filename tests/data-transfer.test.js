@@ -0,0 +1,99 @@
+// tests/data-transfer.test.js
+// Tests for the export bundle checks and the import of bundles into storage. Run with `node --test tests/`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome } from './helpers/fake-chrome.js';
+import { EXPORT_VERSION, validateExportBundle, importData } from '../utils/data-transfer.js';
+import { SCHEMA_VERSION } from '../utils/storage-manager.js';
+
+/**
+ * Builds a current export bundle around some data.
+ * @param {object} data - The bundle's `data`.
+ * @returns {object} The bundle.
+ */
+function makeBundle(data) {
+    return { format: 'rabbithole-tracker-export', version: EXPORT_VERSION, schemaVersion: SCHEMA_VERSION, data };
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+test('a well-formed bundle passes validation', () => {
+    assert.doesNotThrow(() => validateExportBundle(makeBundle({
+        days: { '2024-05-01': { 'example.com': { totalTime: 30, pages: { 'https://example.com/a': 30 } } } },
+        settings: {
+            limitRules: [
+                { id: 'rule-1', type: 'site', domain: 'reddit.com', minutes: 30, days: [1, 2], window: { start: '22:00', end: '06:00' } },
+                { id: 'rule-2', type: 'group', name: 'Social', domains: ['x.com'], minutes: 0, sessionCapMinutes: 10 },
+                { id: 'rule-3', type: 'budget', minutes: 240 }
+            ]
+        },
+        sessionHistory: [{ id: 'session-1', startTime: 1, pages: [{ url: 'https://example.com/a' }] }]
+    })));
+});
+
+test('bundles from another program or a newer version are rejected', () => {
+    assert.throws(() => validateExportBundle({ format: 'something-else', version: 1, data: {} }), /not a Rabbithole Tracker export/);
+    assert.throws(() => validateExportBundle({ ...makeBundle({}), version: EXPORT_VERSION + 1 }), /newer version/);
+    assert.throws(() => validateExportBundle({ ...makeBundle({}), schemaVersion: SCHEMA_VERSION + 1 }), /newer version/);
+    assert.throws(() => validateExportBundle({ ...makeBundle({}), schemaVersion: undefined }), /schema version/);
+});
+
+test('malformed day records and sessions are rejected', () => {
+    assert.throws(() => validateExportBundle(makeBundle({ days: { 'May 1': {} } })), /YYYY-MM-DD/);
+    assert.throws(() => validateExportBundle(makeBundle({ days: { '2024-05-01': { 'example.com': { totalTime: '30', pages: {} } } } })),
+        /example.com on 2024-05-01/);
+    assert.throws(() => validateExportBundle(makeBundle({ sessionHistory: [{ id: 'session-1', startTime: 1, pages: [{}] }] })),
+        /"sessionHistory" is not valid/);
+});
+
+test('malformed limit rules are rejected', () => {
+    const invalidRules = [
+        { id: 'rule-1', type: 'group', name: 'Social', minutes: 30 },
+        { id: 'rule-2', type: 'pattern', pattern: 42, minutes: 30 },
+        { id: 'rule-3', type: 'site', domain: 'reddit.com', minutes: '30' },
+        { id: 'rule-4', type: 'unknown', minutes: 30 },
+        { type: 'budget', minutes: 30 },
+        { id: 'rule-6', type: 'site', domain: 'reddit.com', minutes: 30, window: { start: '25:00', end: '06:00' } },
+        { id: 'rule-7', type: 'site', domain: 'reddit.com', minutes: 30, days: [7] }
+    ];
+    for (const rule of invalidRules) {
+        assert.throws(() => validateExportBundle(makeBundle({ settings: { limitRules: [rule] } })), /limit rule/, JSON.stringify(rule));
+    }
+    assert.throws(() => validateExportBundle(makeBundle({ settings: { limitRules: 'rule-1' } })), /limits in "settings"/);
+    // A version 1 bundle's old limit map is checked as the rule it turns into.
+    assert.throws(() => validateExportBundle({ format: 'rabbithole-tracker-export', version: 1, data: { settings: { timeLimits: { 'x.com': 'lots' } } } }),
+        /limit rule/);
+});
+
+test('an invalid bundle leaves the stored data untouched', async () => {
+    await chrome.storage.local.set({ settings: { limitRules: [] } });
+    chrome.storage.local.writes.length = 0;
+
+    await assert.rejects(importData(makeBundle({ settings: { limitRules: [{ id: 'rule-1', type: 'group', minutes: 5 }] } }), 'replace'));
+
+    assert.deepEqual(chrome.storage.local.writes, []);
+    assert.deepEqual(chrome.storage.local.data.settings, { limitRules: [] });
+});
+
+test('imported sessions are stored with canonical addresses under the privacy settings', async () => {
+    await chrome.storage.local.set({ settings: { urlPrivacy: { hashPaths: true } } });
+
+    await importData(makeBundle({
+        sessionHistory: [{
+            id: 'session-1',
+            startTime: 1,
+            domains: ['www.example.com'],
+            pages: [{ id: 'page-1', url: 'https://www.example.com/article?token=secret&utm_source=x' }],
+            savedTabs: [{ url: 'https://example.com/later?sid=abc', title: 'Later' }]
+        }]
+    }), 'merge');
+
+    const [session] = chrome.storage.local.data.sessionHistory;
+    assert.match(session.pages[0].url, /^https:\/\/example\.com\/#[0-9a-f]{16}$/);
+    assert.deepEqual(session.domains, ['example.com']);
+    assert.equal(session.savedTabs[0].url, 'https://example.com/later');
+    assert.equal(JSON.stringify(chrome.storage.local.data).includes('secret'), false);
+});
@@ -0,0 +1,49 @@
+// tests/domain-groups.test.js
+// Tests for grouping time by site and by category. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getRegistrableDomain, getCategory, getDomainCategories, groupTimeTotals, UNCATEGORIZED
+} from '../utils/domain-groups.js';
+
+test('the registrable domain follows the public suffix list', () => {
+    assert.equal(getRegistrableDomain('en.m.wikipedia.org'), 'wikipedia.org');
+    assert.equal(getRegistrableDomain('www.bbc.co.uk'), 'bbc.co.uk');
+    // Hosting suffixes make each user's site its own.
+    assert.equal(getRegistrableDomain('someone.github.io'), 'someone.github.io');
+    // Wildcard rules and their exceptions.
+    assert.equal(getRegistrableDomain('shop.example.com.bd'), 'example.com.bd');
+    assert.equal(getRegistrableDomain('www.ck'), 'www.ck');
+});
+
+test('addresses without a registrable domain are returned unchanged', () => {
+    assert.equal(getRegistrableDomain('localhost'), 'localhost');
+    assert.equal(getRegistrableDomain('192.168.0.1'), '192.168.0.1');
+    assert.equal(getRegistrableDomain('co.uk'), 'co.uk');
+});
+
+test('the most specific category entry wins, and user overrides replace the built-in ones', () => {
+    const categories = getDomainCategories({ domainCategories: { 'news.ycombinator.com': 'Work', 'example.com': 'Reference' } });
+    assert.equal(getCategory('docs.google.com', categories), 'Work');
+    assert.equal(getCategory('www.google.com', categories), UNCATEGORIZED);
+    assert.equal(getCategory('news.ycombinator.com', categories), 'Work');
+    assert.equal(getCategory('blog.example.com', categories), 'Reference');
+    assert.equal(getCategory('m.youtube.com', categories), 'Video');
+});
+
+test('time is totalled by hostname, site or category', () => {
+    const daysData = {
+        '2024-05-01': {
+            'www.youtube.com': { totalTime: 60, backgroundTime: 600, pages: {} },
+            'm.youtube.com': { totalTime: 30, pages: {} },
+            'example.com': { totalTime: 0, backgroundTime: 0, pages: {} }
+        },
+        '2024-05-02': { 'reddit.com': { totalTime: 45, pages: {} } }
+    };
+    assert.deepEqual(groupTimeTotals(daysData, 'hostname'), { 'www.youtube.com': 60, 'm.youtube.com': 30, 'reddit.com': 45 });
+    assert.deepEqual(groupTimeTotals(daysData, 'site'), { 'youtube.com': 90, 'reddit.com': 45 });
+    assert.deepEqual(groupTimeTotals(daysData, 'category'), { Video: 90, Social: 45 });
+    assert.deepEqual(groupTimeTotals(daysData, 'site', undefined, true), { 'youtube.com': 690, 'reddit.com': 45 });
+    assert.throws(() => groupTimeTotals(daysData, 'country'), /Unknown grouping level/);
+});
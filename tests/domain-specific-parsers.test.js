@@ -0,0 +1,68 @@
+// tests/domain-specific-parsers.test.js
+// Tests for picking and running the parser registered for a page's domain. Run with `node --test tests/`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerParser, parseDomainSpecificContent } from '../content/domain-specific-parsers.js';
+
+/**
+ * Stands in for the page the content script runs on: its address, and the text of the elements
+ * each selector finds.
+ * @param {string} url - The page's URL.
+ * @param {Object<string, string|string[]>} elements - The text of the elements found per selector.
+ */
+function loadPage(url, elements) {
+    const find = selector => [].concat(elements[selector] || []).map(text => ({ innerText: text }));
+    globalThis.window = { location: new URL(url) };
+    globalThis.document = {
+        querySelector: selector => find(selector)[0] || null,
+        querySelectorAll: selector => find(selector)
+    };
+}
+
+const realConsoleError = console.error;
+
+beforeEach(() => {
+    // The failing parser's error is expected; keep it out of the test output.
+    console.error = () => undefined;
+});
+
+afterEach(() => {
+    console.error = realConsoleError;
+    delete globalThis.window;
+    delete globalThis.document;
+});
+
+test('the parser for a domain also handles its subdomains', () => {
+    loadPage('https://en.wikipedia.org/wiki/Roman_concrete', { '#firstHeading': ' Roman concrete ' });
+    assert.deepEqual(parseDomainSpecificContent(), { source: 'wikipedia', articleTitle: 'Roman concrete' });
+
+    loadPage('https://news.ycombinator.com/item?id=1', {
+        '.titleline > a': 'Show HN: A thing',
+        '.titleline .sitestr': 'example.com',
+        '.score': '120 points'
+    });
+    assert.deepEqual(parseDomainSpecificContent(),
+        { source: 'hackernews', storyTitle: 'Show HN: A thing', storySite: 'example.com', points: '120 points' });
+});
+
+test('parsers can read the page address as well as its content', () => {
+    loadPage('https://github.com/owner/repo/issues/7', { '[data-testid="issue-title"]': 'Crash on start' });
+    const result = parseDomainSpecificContent();
+    assert.equal(result.source, 'github');
+    assert.equal(result.repository, 'owner/repo');
+});
+
+test('pages without a parser get no domain data', () => {
+    loadPage('https://example.com/', {});
+    assert.deepEqual(parseDomainSpecificContent(), {});
+    // A lookalike domain is not a subdomain.
+    loadPage('https://notwikipedia.org/', { '#firstHeading': 'Lookalike' });
+    assert.deepEqual(parseDomainSpecificContent(), {});
+});
+
+test('a failing parser leaves the rest of the page data alone', () => {
+    registerParser({ name: 'broken', hostnames: ['broken.example'], parse() { throw new Error('Redesigned'); } });
+    loadPage('https://www.broken.example/', {});
+    assert.deepEqual(parseDomainSpecificContent(), {});
+});
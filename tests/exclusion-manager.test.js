@@ -0,0 +1,54 @@
+// tests/exclusion-manager.test.js
+// Tests for deciding which pages are never tracked. Run with `node --test tests/`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome } from './helpers/fake-chrome.js';
+import {
+    matchesDomainPattern, isExcluded, isTrackingExcluded, getExclusionSettings
+} from '../background/exclusion-manager.js';
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+test('a domain pattern matches the domain and its subdomains', () => {
+    assert.equal(matchesDomainPattern('mybank.com', 'mybank.com'), true);
+    assert.equal(matchesDomainPattern('online.mybank.com', 'mybank.com'), true);
+    assert.equal(matchesDomainPattern('notmybank.com', 'mybank.com'), false);
+});
+
+test('wildcards in a domain pattern match any part of the hostname', () => {
+    assert.equal(matchesDomainPattern('mail.example.com', 'mail.*.com'), true);
+    assert.equal(matchesDomainPattern('mail.a.b.com', 'mail.*.com'), true);
+    assert.equal(matchesDomainPattern('webmail.example.com', 'mail.*.com'), false);
+    // Dots are literal, not regular expression wildcards.
+    assert.equal(matchesDomainPattern('mailxexample.com', 'mail.*.com'), false);
+});
+
+test('pages are excluded by domain, URL pattern or incognito', () => {
+    const config = getExclusionSettings({ exclusions: { domains: ['mybank.com'], urlPatterns: ['/patient/\\d+'] } });
+    assert.equal(isExcluded('https://online.mybank.com/accounts', false, config), true);
+    assert.equal(isExcluded('https://clinic.example.org/patient/42', false, config), true);
+    assert.equal(isExcluded('https://clinic.example.org/about', false, config), false);
+    assert.equal(isExcluded('https://example.com/', true, config), true);
+    assert.equal(isExcluded('https://example.com/', true, { ...config, excludeIncognito: false }), false);
+});
+
+test('an invalid URL pattern never matches', () => {
+    const config = getExclusionSettings({ exclusions: { urlPatterns: ['(unclosed'] } });
+    const realWarn = console.warn;
+    console.warn = () => undefined; // The warning about the pattern is expected.
+    try {
+        assert.equal(isExcluded('https://example.com/(unclosed', false, config), false);
+    } finally {
+        console.warn = realWarn;
+    }
+});
+
+test('the saved exclusion settings are used', async () => {
+    await chrome.storage.local.set({ settings: { exclusions: { domains: ['health.example'] } } });
+    assert.equal(await isTrackingExcluded('https://www.health.example/records'), true);
+    assert.equal(await isTrackingExcluded('https://example.com/'), false);
+    assert.equal(await isTrackingExcluded('https://example.com/', true), true);
+});
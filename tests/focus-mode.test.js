@@ -0,0 +1,149 @@
+// tests/focus-mode.test.js
+// Tests for the focus schedules and for blocking pages while topics are allowlisted. Run with `node --test tests/`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome } from './helpers/fake-chrome.js';
+import {
+    evaluateFocusSchedules, enforceFocusOnPage, enforceFocusOnTab, getFocusState, startFocus
+} from '../background/focus-mode.js';
+
+const RealDate = Date;
+let clock;
+
+/**
+ * A `Date` whose current time is the test's fake clock, since the schedules read it through `new Date()`.
+ */
+class FakeDate extends RealDate {
+    constructor(...args) {
+        super(...(args.length > 0 ? args : [clock]));
+    }
+
+    static now() {
+        return clock;
+    }
+}
+
+/**
+ * Saves focus settings for the module to read.
+ * @param {object} focus - The focus settings.
+ */
+async function saveFocusSettings(focus) {
+    await chrome.storage.local.set({ settings: { focus } });
+}
+
+/**
+ * Records the tabs sent to the block page.
+ * @returns {number[]} The ids of the redirected tabs, filled in as they happen.
+ */
+function watchRedirects() {
+    const redirected = [];
+    chrome.tabs.update = async (tabId, { url }) => {
+        if (url.includes('block.html?reason=focus')) redirected.push(tabId);
+    };
+    return redirected;
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+    globalThis.Date = FakeDate;
+});
+
+afterEach(() => {
+    globalThis.Date = RealDate;
+    chrome.tabs.update = async () => undefined;
+    chrome.tabs.sendMessage = async () => undefined;
+});
+
+test('a schedule starts focus on its days only, and ends on time', async () => {
+    // Monday 2024-05-06.
+    await saveFocusSettings({ schedules: [{ days: [1], start: '09:00', end: '12:00' }] });
+
+    clock = new RealDate(2024, 4, 6, 8, 59).getTime();
+    await evaluateFocusSchedules();
+    assert.equal((await getFocusState()).active, false);
+
+    clock = new RealDate(2024, 4, 6, 10, 0).getTime();
+    await evaluateFocusSchedules();
+    const state = await getFocusState();
+    assert.equal(state.active, true);
+    assert.equal(state.endsAt, new RealDate(2024, 4, 6, 12, 0).getTime());
+
+    resetFakeChrome();
+    await saveFocusSettings({ schedules: [{ days: [1], start: '09:00', end: '12:00' }] });
+    clock = new RealDate(2024, 4, 7, 10, 0).getTime();
+    await evaluateFocusSchedules();
+    assert.equal((await getFocusState()).active, false);
+});
+
+test('an overnight schedule runs into the next morning of each of its days', async () => {
+    // Monday only, 22:00–06:00.
+    await saveFocusSettings({ schedules: [{ days: [1], start: '22:00', end: '06:00' }] });
+
+    // Early Tuesday belongs to Monday's schedule, and ends that morning.
+    clock = new RealDate(2024, 4, 7, 5, 0).getTime();
+    await evaluateFocusSchedules();
+    const state = await getFocusState();
+    assert.equal(state.active, true);
+    assert.equal(state.endsAt, new RealDate(2024, 4, 7, 6, 0).getTime());
+
+    // Monday late evening ends on Tuesday morning.
+    resetFakeChrome();
+    await saveFocusSettings({ schedules: [{ days: [1], start: '22:00', end: '06:00' }] });
+    clock = new RealDate(2024, 4, 6, 23, 0).getTime();
+    await evaluateFocusSchedules();
+    assert.equal((await getFocusState()).endsAt, new RealDate(2024, 4, 7, 6, 0).getTime());
+
+    // Early Monday would belong to Sunday's schedule, which does not exist.
+    resetFakeChrome();
+    await saveFocusSettings({ schedules: [{ days: [1], start: '22:00', end: '06:00' }] });
+    clock = new RealDate(2024, 4, 6, 5, 0).getTime();
+    await evaluateFocusSchedules();
+    assert.equal((await getFocusState()).active, false);
+});
+
+test('with topics allowlisted, pages are blocked unless their domain or topic is allowed', async () => {
+    clock = new RealDate(2024, 4, 6, 10, 0).getTime();
+    await saveFocusSettings({ allowedDomains: ['docs.example.com'], allowedTopics: ['rust'] });
+    await startFocus(60);
+    const redirected = watchRedirects();
+
+    await enforceFocusOnPage({ url: 'https://docs.example.com/a', title: 'Anything' }, { id: 1 });
+    await enforceFocusOnPage({ url: 'https://blog.example.org/a', title: 'Learning Rust' }, { id: 2 });
+    await enforceFocusOnPage({ url: 'https://news.example.org/a', title: 'Celebrity gossip' }, { id: 3 });
+
+    assert.deepEqual(redirected, [3]);
+});
+
+test('with topics allowlisted, pages that never report their content are blocked', async () => {
+    clock = new RealDate(2024, 4, 6, 10, 0).getTime();
+    await chrome.storage.local.set({
+        settings: { focus: { allowedDomains: ['docs.example.com'], allowedTopics: ['rust'] }, exclusions: { domains: ['bank.example'] } }
+    });
+    await startFocus(60);
+    const redirected = watchRedirects();
+    // Only tab 3 has a content script running; it will report its page for the topic check.
+    chrome.tabs.sendMessage = async (tabId, message) => {
+        assert.equal(message.type, 'FOCUS_PING');
+        if (tabId === 3) return { reporting: true };
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+    };
+
+    await enforceFocusOnTab({ id: 1, url: 'https://bank.example/account' });
+    await enforceFocusOnTab({ id: 2, url: 'https://chromewebstore.google.com/detail/x' });
+    await enforceFocusOnTab({ id: 3, url: 'https://blog.example.org/a' });
+    await enforceFocusOnTab({ id: 4, url: 'https://docs.example.com/a' });
+
+    assert.deepEqual(redirected, [1, 2]);
+});
+
+test('pages are not checked when focus is off', async () => {
+    await saveFocusSettings({ allowedTopics: ['rust'] });
+    const redirected = watchRedirects();
+    chrome.tabs.sendMessage = async () => { throw new Error('Receiving end does not exist.'); };
+
+    await enforceFocusOnTab({ id: 1, url: 'https://news.example.org/a' });
+    await enforceFocusOnPage({ url: 'https://news.example.org/a', title: 'Gossip' }, { id: 1 });
+
+    assert.deepEqual(redirected, []);
+});
@@ -0,0 +1,124 @@
+// tests/helpers/fake-chrome.js
+/**
+ * @file An in-memory stand-in for the parts of the `chrome` extension API the background modules
+ * use, so they can be tested with Node's test runner. Importing this file installs it as the global
+ * `chrome`; `resetFakeChrome` empties its storage and tabs between tests.
+ */
+
+/**
+ * Creates an event object whose listeners can be fired by the test.
+ * @returns {{addListener: function, removeListener: function, dispatch: function(...*): Promise<void>}} The event.
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener), 1),
+        async dispatch(...args) {
+            await Promise.all(listeners.map(listener => listener(...args)));
+        }
+    };
+}
+
+/**
+ * Creates a storage area that keeps its data in memory. Values are copied in and out, as Chrome's
+ * storage serializes them. Every `set` is recorded in `writes` for tests that check what was saved.
+ * @returns {object} The storage area.
+ */
+function createStorageArea() {
+    const data = {};
+    return {
+        data,
+        writes: [],
+        QUOTA_BYTES: 10485760,
+        async get(keys) {
+            if (keys === null || keys === undefined) return structuredClone(data);
+            const keyList = typeof keys === 'string' ? [keys] : (Array.isArray(keys) ? keys : Object.keys(keys));
+            const result = {};
+            keyList.forEach(key => {
+                if (key in data) result[key] = structuredClone(data[key]);
+            });
+            return result;
+        },
+        async set(items) {
+            this.writes.push(structuredClone(items));
+            Object.assign(data, structuredClone(items));
+        },
+        async remove(keys) {
+            (typeof keys === 'string' ? [keys] : keys).forEach(key => delete data[key]);
+        },
+        async clear() {
+            Object.keys(data).forEach(key => delete data[key]);
+        },
+        async getBytesInUse() {
+            return JSON.stringify(data).length;
+        }
+    };
+}
+
+// The open tabs and windows the fake `chrome.tabs` and `chrome.windows` report.
+export const browserState = {
+    tabs: [],
+    focusedWindowId: 1
+};
+
+globalThis.chrome = {
+    storage: { local: createStorageArea(), session: createStorageArea(), onChanged: createEvent() },
+    runtime: {
+        getURL: path => `chrome-extension://test/${path.replace(/^\//, '')}`,
+        sendMessage: async () => undefined,
+        getContexts: async () => [],
+        onInstalled: createEvent(),
+        onStartup: createEvent(),
+        onMessage: createEvent()
+    },
+    tabs: {
+        query: async (query = {}) => browserState.tabs.filter(tab => !query.active || tab.active),
+        get: async tabId => {
+            const tab = browserState.tabs.find(candidate => candidate.id === tabId);
+            if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+            return tab;
+        },
+        update: async () => undefined,
+        create: async () => undefined,
+        remove: async () => undefined,
+        sendMessage: async () => undefined,
+        onActivated: createEvent(),
+        onUpdated: createEvent(),
+        onCreated: createEvent(),
+        onRemoved: createEvent()
+    },
+    windows: {
+        WINDOW_ID_NONE: -1,
+        get: async windowId => ({ id: windowId, focused: windowId === browserState.focusedWindowId }),
+        onFocusChanged: createEvent()
+    },
+    idle: { setDetectionInterval: () => undefined, onStateChanged: createEvent() },
+    alarms: { create: async () => undefined, clear: async () => true, get: async () => undefined, onAlarm: createEvent() },
+    notifications: { create: () => undefined, clear: () => undefined, onClicked: createEvent(), onButtonClicked: createEvent() },
+    declarativeNetRequest: { getDynamicRules: async () => [], updateDynamicRules: async () => undefined },
+    webNavigation: { onCommitted: createEvent() },
+    action: { setBadgeText: async () => undefined, setBadgeBackgroundColor: async () => undefined },
+    offscreen: { createDocument: async () => undefined },
+    i18n: { getMessage: () => '' }
+};
+
+/**
+ * Empties both storage areas and closes every tab, for a fresh start in each test.
+ */
+export function resetFakeChrome() {
+    for (const area of [chrome.storage.local, chrome.storage.session]) {
+        Object.keys(area.data).forEach(key => delete area.data[key]);
+        area.writes.length = 0;
+    }
+    browserState.tabs = [];
+    browserState.focusedWindowId = 1;
+}
+
+/**
+ * Lets queued promise chains and timers (such as the content-script message delay) run.
+ * @returns {Promise<void>} Resolves once pending work has had a chance to finish.
+ */
+export function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
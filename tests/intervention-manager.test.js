@@ -0,0 +1,100 @@
+// tests/intervention-manager.test.js
+// Tests for when a rabbithole nudge is shown. Run with `node --test tests/`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome, browserState } from './helpers/fake-chrome.js';
+import { handleSessionUpdate, handleNudgeAction } from '../background/intervention-manager.js';
+
+const RealDate = Date;
+let clock;
+let nudges;
+
+/**
+ * A `Date` whose current time is the test's fake clock, since quiet hours read it through `new Date()`.
+ */
+class FakeDate extends RealDate {
+    constructor(...args) {
+        super(...(args.length > 0 ? args : [clock]));
+    }
+
+    static now() {
+        return clock;
+    }
+}
+
+/**
+ * Builds a live session at a severity.
+ * @param {string} severity - 'Low', 'Medium' or 'High'.
+ * @returns {object} The session.
+ */
+function makeSession(severity) {
+    return { id: 'session-1', startTime: clock - 40 * 60000, lastActivity: clock, primaryTopic: 'roman concrete', rabbitholeSeverity: severity };
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+    globalThis.Date = FakeDate;
+    clock = new RealDate(2024, 4, 6, 14, 0).getTime();
+    browserState.tabs = [{ id: 1, windowId: 1, active: true, url: 'https://example.com/' }];
+    nudges = [];
+    chrome.tabs.sendMessage = async (tabId, message) => {
+        if (message.type === 'SHOW_NUDGE') nudges.push(message.payload);
+        return { status: 'shown' };
+    };
+});
+
+afterEach(() => {
+    globalThis.Date = RealDate;
+    chrome.tabs.sendMessage = async () => undefined;
+});
+
+test('a nudge is shown when a session escalates, then no more often than the interval', async () => {
+    await handleSessionUpdate(makeSession('Medium'), makeSession('Low'));
+    assert.equal(nudges.length, 0);
+
+    await handleSessionUpdate(makeSession('High'), makeSession('Medium'));
+    assert.equal(nudges.length, 1);
+    assert.equal(nudges[0].topic, 'roman concrete');
+    assert.equal(nudges[0].minutes, 40);
+
+    clock += 5 * 60000;
+    await handleSessionUpdate(makeSession('High'), makeSession('High'));
+    assert.equal(nudges.length, 1);
+
+    clock += 10 * 60000;
+    await handleSessionUpdate(makeSession('High'), makeSession('High'));
+    assert.equal(nudges.length, 2);
+});
+
+test('no nudge is shown during quiet hours, including ones that run past midnight', async () => {
+    await chrome.storage.local.set({ settings: { interventions: { quietHours: { start: '22:00', end: '07:00' } } } });
+
+    clock = new RealDate(2024, 4, 6, 23, 30).getTime();
+    await handleSessionUpdate(makeSession('High'), makeSession('Medium'));
+    clock = new RealDate(2024, 4, 7, 6, 59).getTime();
+    await handleSessionUpdate(makeSession('High'), makeSession('Medium'));
+    assert.equal(nudges.length, 0);
+
+    clock = new RealDate(2024, 4, 7, 7, 0).getTime();
+    await handleSessionUpdate(makeSession('High'), makeSession('Medium'));
+    assert.equal(nudges.length, 1);
+});
+
+test('snoozing holds nudges back for ten minutes', async () => {
+    await handleNudgeAction('snooze', 'session-1');
+
+    clock += 9 * 60000;
+    await handleSessionUpdate(makeSession('High'), makeSession('Medium'));
+    assert.equal(nudges.length, 0);
+
+    clock += 60000;
+    await handleSessionUpdate(makeSession('High'), makeSession('Medium'));
+    assert.equal(nudges.length, 1);
+});
+
+test('a session the user chose to keep going with is not nudged again', async () => {
+    const session = { ...makeSession('High'), nudgesDismissed: true };
+    await handleSessionUpdate(session, makeSession('Medium'));
+    assert.equal(nudges.length, 0);
+});
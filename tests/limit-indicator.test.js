@@ -0,0 +1,81 @@
+// tests/limit-indicator.test.js
+// Tests for the badge countdown, the limit warnings and the time left shown in the popup.
+// Run with `node --test tests/`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome, browserState } from './helpers/fake-chrome.js';
+import { refreshLimitIndicators, getLimitStatus } from '../background/limit-indicator.js';
+import { getTodayKey, toDayStorageKey } from '../utils/storage-manager.js';
+
+const realSetBadgeText = chrome.action.setBadgeText;
+const realCreateNotification = chrome.notifications.create;
+let badge;
+let warnings;
+
+/**
+ * Saves limit rules and the time recorded today.
+ * @param {object[]} limitRules - The limit rules.
+ * @param {object} todaySeconds - Seconds recorded today per hostname.
+ */
+async function store(limitRules, todaySeconds) {
+    const todayData = {};
+    for (const hostname in todaySeconds) todayData[hostname] = { totalTime: todaySeconds[hostname], pages: {} };
+    await chrome.storage.local.set({ settings: { limitRules }, [toDayStorageKey(await getTodayKey())]: todayData });
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+    browserState.tabs = [{ id: 1, windowId: 1, active: true, url: 'https://www.reddit.com/r/all' }];
+    badge = null;
+    warnings = [];
+    chrome.action.setBadgeText = async ({ text }) => { badge = text; };
+    chrome.notifications.create = (id, options) => warnings.push(options.message);
+});
+
+afterEach(() => {
+    chrome.action.setBadgeText = realSetBadgeText;
+    chrome.notifications.create = realCreateNotification;
+});
+
+test('the badge counts down the limit that runs out first on the active site', async () => {
+    await store([
+        { id: 'reddit', type: 'site', domain: 'reddit.com', minutes: 30 },
+        { id: 'budget', type: 'budget', minutes: 120 }
+    ], { 'reddit.com': 10 * 60 });
+
+    await refreshLimitIndicators();
+    assert.equal(badge, '20m');
+
+    browserState.tabs = [{ id: 1, windowId: 1, active: true, url: 'https://example.com/' }];
+    await refreshLimitIndicators();
+    assert.equal(badge, '1h50');
+
+    await store([{ id: 'reddit', type: 'site', domain: 'reddit.com', minutes: 30 }], { 'reddit.com': 10 * 60 });
+    await refreshLimitIndicators();
+    assert.equal(badge, '');
+});
+
+test('each warning is given once a day', async () => {
+    // 80% of the limit is used, but more than five minutes are left.
+    await store([{ id: 'reddit', type: 'site', domain: 'reddit.com', minutes: 30 }], { 'reddit.com': 24.5 * 60 });
+    await refreshLimitIndicators();
+    await refreshLimitIndicators();
+    assert.deepEqual(warnings, ['6 minutes left of your 30-minute limit on reddit.com today.']);
+
+    // Reaching the next threshold warns again.
+    await store([{ id: 'reddit', type: 'site', domain: 'reddit.com', minutes: 30 }], { 'reddit.com': 26 * 60 });
+    await refreshLimitIndicators();
+    assert.deepEqual(warnings, [
+        '6 minutes left of your 30-minute limit on reddit.com today.',
+        '4 minutes left of your 30-minute limit on reddit.com today.'
+    ]);
+});
+
+test('blocking rules and rules outside their schedule are not counted down', async () => {
+    await store([
+        { id: 'news', type: 'site', domain: 'cnn.com', minutes: 0 },
+        { id: 'never', type: 'budget', minutes: 60, days: [] }
+    ], {});
+    assert.deepEqual(await getLimitStatus('cnn.com'), []);
+});
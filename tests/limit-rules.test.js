@@ -0,0 +1,112 @@
+// tests/limit-rules.test.js
+// Tests for limit rule schedules, matching and warnings. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/fake-chrome.js';
+import {
+    isRuleActive, getNextScheduleChange, ruleCoversHostname, getRuleUsage, getReachedWarnings
+} from '../background/limit-rules.js';
+import { DEFAULT_DOMAIN_CATEGORIES } from '../utils/domain-groups.js';
+
+// Monday 6 May 2024, at a local time of day.
+const monday = (hours, minutes = 0) => new Date(2024, 4, 6, hours, minutes);
+// Tuesday 7 May 2024.
+const tuesday = (hours, minutes = 0) => new Date(2024, 4, 7, hours, minutes);
+
+test('a rule without a schedule applies all the time', () => {
+    const rule = { id: 'rule-1', type: 'budget', minutes: 60 };
+    assert.equal(isRuleActive(rule, monday(0)), true);
+    assert.equal(isRuleActive(rule, tuesday(23, 59)), true);
+});
+
+test('a window applies from its start up to its end', () => {
+    const rule = { id: 'rule-1', type: 'site', domain: 'news.com', minutes: 0, window: { start: '06:00', end: '09:00' } };
+    assert.equal(isRuleActive(rule, monday(5, 59)), false);
+    assert.equal(isRuleActive(rule, monday(6)), true);
+    assert.equal(isRuleActive(rule, monday(8, 59)), true);
+    assert.equal(isRuleActive(rule, monday(9)), false);
+});
+
+test('an overnight window belongs to the day it opened on', () => {
+    const rule = { id: 'rule-1', type: 'site', domain: 'news.com', minutes: 0, days: [1], window: { start: '22:00', end: '06:00' } };
+    assert.equal(isRuleActive(rule, monday(21, 59)), false);
+    assert.equal(isRuleActive(rule, monday(23)), true);
+    // Tuesday's early hours are the end of Monday's window.
+    assert.equal(isRuleActive(rule, tuesday(5)), true);
+    assert.equal(isRuleActive(rule, tuesday(6)), false);
+    // Monday's early hours are the end of Sunday's window, which the rule does not have.
+    assert.equal(isRuleActive(rule, monday(5)), false);
+    assert.equal(isRuleActive(rule, tuesday(23)), false);
+});
+
+test('days follow the day start hour', () => {
+    const mondaysOnly = { id: 'rule-1', type: 'budget', minutes: 60, days: [1] };
+    // With days starting at 04:00, Tuesday 02:00 still belongs to Monday.
+    assert.equal(isRuleActive(mondaysOnly, tuesday(2)), false);
+    assert.equal(isRuleActive(mondaysOnly, tuesday(2), 4), true);
+    assert.equal(isRuleActive(mondaysOnly, monday(2), 4), false);
+    assert.equal(isRuleActive(mondaysOnly, tuesday(4), 4), false);
+
+    const earlyWindow = { id: 'rule-2', type: 'budget', minutes: 0, days: [1], window: { start: '01:00', end: '03:00' } };
+    assert.equal(isRuleActive(earlyWindow, tuesday(2), 4), true);
+    assert.equal(isRuleActive(earlyWindow, monday(2), 4), false);
+});
+
+test('the next schedule change is the nearest window edge or day start', () => {
+    const window = { id: 'rule-1', type: 'budget', minutes: 0, window: { start: '22:00', end: '06:00' } };
+    assert.equal(getNextScheduleChange([window], monday(12).getTime()), monday(22).getTime());
+    assert.equal(getNextScheduleChange([window], monday(23).getTime()), tuesday(6).getTime());
+
+    const days = { id: 'rule-2', type: 'budget', minutes: 60, days: [1, 2] };
+    assert.equal(getNextScheduleChange([days], monday(12).getTime()), tuesday(0).getTime());
+    assert.equal(getNextScheduleChange([days], monday(12).getTime(), 4), tuesday(4).getTime());
+    assert.equal(getNextScheduleChange([days], monday(2).getTime(), 4), monday(4).getTime());
+
+    assert.equal(getNextScheduleChange([{ id: 'rule-3', type: 'budget', minutes: 60 }], monday(12).getTime()), null);
+});
+
+test('each kind of rule covers its own hostnames', () => {
+    const categories = DEFAULT_DOMAIN_CATEGORIES;
+    const site = { id: 'rule-1', type: 'site', domain: 'reddit.com', minutes: 30 };
+    assert.equal(ruleCoversHostname(site, 'www.reddit.com', categories), true);
+    assert.equal(ruleCoversHostname(site, 'old.reddit.com', categories), true);
+    assert.equal(ruleCoversHostname(site, 'notreddit.com', categories), false);
+
+    // A leading "*." also covers the bare domain.
+    const pattern = { id: 'rule-2', type: 'pattern', pattern: '*.wikipedia.org', minutes: 30 };
+    assert.equal(ruleCoversHostname(pattern, 'wikipedia.org', categories), true);
+    assert.equal(ruleCoversHostname(pattern, 'en.wikipedia.org', categories), true);
+    assert.equal(ruleCoversHostname(pattern, 'wikipedia.org.example.com', categories), false);
+
+    const group = { id: 'rule-3', type: 'group', name: 'Social', domains: ['x.com', 'bsky.app'], minutes: 30 };
+    assert.equal(ruleCoversHostname(group, 'x.com', categories), true);
+    assert.equal(ruleCoversHostname(group, 'box.com', categories), false);
+
+    const category = { id: 'rule-4', type: 'category', category: 'Video', minutes: 30 };
+    assert.equal(ruleCoversHostname(category, 'm.youtube.com', categories), true);
+    assert.equal(ruleCoversHostname(category, 'reddit.com', categories), false);
+
+    assert.equal(ruleCoversHostname({ id: 'rule-5', type: 'budget', minutes: 240 }, 'example.com', categories), true);
+});
+
+test('a rule adds up the time of every hostname it covers', () => {
+    const dayData = {
+        'reddit.com': { totalTime: 300, pages: {} },
+        'old.reddit.com': { totalTime: 120, pages: {} },
+        'youtube.com': { totalTime: 600, pages: {} }
+    };
+    const site = { id: 'rule-1', type: 'site', domain: 'reddit.com', minutes: 30 };
+    assert.equal(getRuleUsage(site, dayData, DEFAULT_DOMAIN_CATEGORIES), 420);
+    assert.equal(getRuleUsage({ id: 'rule-2', type: 'budget', minutes: 60 }, dayData, DEFAULT_DOMAIN_CATEGORIES), 1020);
+});
+
+test('warnings are reached before the limit and skipped once it is passed', () => {
+    const rule = { id: 'rule-1', type: 'site', domain: 'reddit.com', minutes: 30 };
+    const config = { percentages: [50, 80], minutesLeft: [5, 60] };
+    assert.deepEqual(getReachedWarnings(rule, 10 * 60, config), []);
+    assert.deepEqual(getReachedWarnings(rule, 24 * 60, config), ['50%', '80%']);
+    // Sixty minutes left is longer than the limit itself, so it never fires.
+    assert.deepEqual(getReachedWarnings(rule, 26 * 60, config), ['50%', '80%', '5m']);
+    assert.deepEqual(getReachedWarnings(rule, 31 * 60, config), []);
+});
@@ -0,0 +1,105 @@
+// tests/rabbithole-detector.test.js
+// Tests for the topic drift analysis and the rabbithole score. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTopicDrift, scoreSession, getScoringModel, DEFAULT_SCORING_MODEL } from '../background/rabbithole-detector.js';
+
+/**
+ * Builds a session with one page per title.
+ * @param {string[]} titles - The titles of the session's pages, in visiting order.
+ * @param {object} [fields] - Extra fields for the session.
+ * @returns {object} The session.
+ */
+function makeSession(titles, fields = {}) {
+    return {
+        id: 'session-1',
+        startTime: 0,
+        lastActivity: 0,
+        domains: [],
+        allTopics: {},
+        pages: titles.map((title, index) => ({ id: `page-${index}`, url: `https://example.com/${index}`, title })),
+        ...fields
+    };
+}
+
+/**
+ * Returns the points a factor contributed to a session's score.
+ * @param {object} result - The result of `scoreSession`.
+ * @param {string} factor - The factor's name.
+ * @returns {number} Its points.
+ */
+function pointsFor(result, factor) {
+    return result.scoreBreakdown.find(entry => entry.factor === factor).points;
+}
+
+test('a session that stays on its opening topic does not drift', () => {
+    const session = makeSession(['Sourdough starter basics', 'Feeding a sourdough starter', 'Sourdough starter schedule']);
+    const { driftScore, departurePageId } = analyzeTopicDrift(session);
+    assert.ok(driftScore < 0.5, `drift was ${driftScore}`);
+    assert.equal(departurePageId, null);
+});
+
+test('the first page away from the opening topic is the departure point', () => {
+    const session = makeSession([
+        'Sourdough starter basics', 'Feeding a sourdough starter', 'History of Roman aqueducts', 'Roman concrete chemistry'
+    ]);
+    const { driftScore, driftCurve, departurePageId } = analyzeTopicDrift(session);
+    assert.equal(driftScore, 1);
+    assert.equal(driftCurve.length, 4);
+    assert.equal(departurePageId, 'page-2');
+});
+
+test('scoring uses the drift stored on the session, and measures it only when it is missing', () => {
+    const titles = ['Sourdough starter basics', 'Feeding a sourdough starter', 'History of Roman aqueducts'];
+
+    const stored = scoreSession(makeSession(titles, { driftScore: 0.25 }));
+    assert.equal(pointsFor(stored, 'drift'), 0.25 * DEFAULT_SCORING_MODEL.weights.drift);
+
+    const measured = scoreSession(makeSession(titles));
+    assert.equal(pointsFor(measured, 'drift'), DEFAULT_SCORING_MODEL.weights.drift);
+});
+
+test('skimming raises the score and reading lowers it', () => {
+    const titles = ['Sourdough starter basics', 'Feeding a sourdough starter', 'Sourdough starter schedule', 'Sourdough hydration'];
+    // Twenty minutes on one site, with every page measured as read the same way.
+    const withStyle = readingStyle => {
+        const session = makeSession(titles, { lastActivity: 20 * 60000, domains: ['example.com'], driftScore: 0 });
+        if (readingStyle) session.pages.forEach(page => { page.engagement = { readingStyle }; });
+        return session;
+    };
+
+    const unmeasured = scoreSession(withStyle());
+    const skimmed = scoreSession(withStyle('skimmed'));
+    const read = scoreSession(withStyle('read'));
+
+    const { weights } = DEFAULT_SCORING_MODEL;
+    assert.equal(pointsFor(skimmed, 'skimming'), weights.skimming);
+    assert.ok(Math.abs(skimmed.rabbitholeScore - (unmeasured.rabbitholeScore + weights.skimming)) < 0.01);
+    assert.equal(pointsFor(read, 'reading'), -weights.reading);
+    assert.ok(Math.abs(read.rabbitholeScore - (unmeasured.rabbitholeScore - weights.reading)) < 0.01);
+});
+
+test('reading cannot take the score below zero', () => {
+    const session = makeSession(['Sourdough starter basics'], { driftScore: 0 });
+    session.pages[0].engagement = { readingStyle: 'read' };
+    assert.equal(scoreSession(session).rabbitholeScore, 0);
+});
+
+test('saved weights and thresholds are merged over the defaults', () => {
+    const model = getScoringModel({ scoring: { weights: { perDomain: 4 }, thresholds: { high: 20 } } });
+    assert.equal(model.weights.perDomain, 4);
+    assert.equal(model.weights.perPage, DEFAULT_SCORING_MODEL.weights.perPage);
+    assert.equal(model.thresholds.high, 20);
+    assert.equal(model.thresholds.medium, DEFAULT_SCORING_MODEL.thresholds.medium);
+    assert.deepEqual(getScoringModel(), DEFAULT_SCORING_MODEL);
+});
+
+test('the thresholds decide the severity', () => {
+    // Five domains for 1.5 points each.
+    const session = makeSession(['Sourdough starter basics'], { domains: ['a.com', 'b.com', 'c.com', 'd.com', 'e.com'], driftScore: 0 });
+    const withThresholds = thresholds => scoreSession(session, getScoringModel({ scoring: { thresholds } })).rabbitholeSeverity;
+    assert.equal(withThresholds({ medium: 10, high: 20 }), 'Low');
+    assert.equal(withThresholds({ medium: 5, high: 20 }), 'Medium');
+    assert.equal(withThresholds({ medium: 5, high: 7 }), 'High');
+});
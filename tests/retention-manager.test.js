@@ -0,0 +1,69 @@
+// tests/retention-manager.test.js
+// Tests for compacting day records once they pass the retention period. Run with `node --test tests/`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome } from './helpers/fake-chrome.js';
+import { enforceRetention } from '../background/retention-manager.js';
+import { compactDaysBefore, getDayKey, toDayStorageKey } from '../utils/storage-manager.js';
+
+/**
+ * Returns the key of the day a number of days ago.
+ * @param {number} days - How many days back.
+ * @returns {string} The YYYY-MM-DD day key.
+ */
+function daysAgo(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return getDayKey(date.getTime());
+}
+
+/**
+ * Builds a day record with per-URL detail.
+ * @returns {object} The day record.
+ */
+function makeDay() {
+    return {
+        'example.com': { totalTime: 50, passiveTime: 10, pages: { 'https://example.com/a': 30, 'https://example.com/b': 20 } }
+    };
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+test('days older than the retention period keep only their domain totals', async () => {
+    await chrome.storage.local.set({
+        settings: { retentionDays: 30 },
+        [toDayStorageKey(daysAgo(40))]: makeDay(),
+        [toDayStorageKey(daysAgo(10))]: makeDay()
+    });
+
+    await enforceRetention();
+
+    const data = chrome.storage.local.data;
+    assert.deepEqual(data[toDayStorageKey(daysAgo(40))], { 'example.com': { totalTime: 50, passiveTime: 10, pages: {} } });
+    assert.deepEqual(data[toDayStorageKey(daysAgo(10))], makeDay());
+});
+
+test('a retention period of 0 keeps every day in full', async () => {
+    await chrome.storage.local.set({ settings: { retentionDays: 0 }, [toDayStorageKey(daysAgo(400))]: makeDay() });
+
+    await enforceRetention();
+
+    assert.deepEqual(chrome.storage.local.data[toDayStorageKey(daysAgo(400))], makeDay());
+});
+
+test('compacted days are not rewritten on the next run', async () => {
+    await chrome.storage.local.set({
+        [toDayStorageKey('2024-05-01')]: makeDay(),
+        [toDayStorageKey('2024-05-02')]: makeDay(),
+        [toDayStorageKey('2024-05-03')]: makeDay()
+    });
+
+    assert.equal(await compactDaysBefore('2024-05-03'), 2);
+    chrome.storage.local.writes.length = 0;
+    assert.equal(await compactDaysBefore('2024-05-03'), 0);
+    assert.equal(chrome.storage.local.writes.some(items => toDayStorageKey('2024-05-01') in items), false);
+    assert.deepEqual(chrome.storage.local.data[toDayStorageKey('2024-05-03')], makeDay());
+});
@@ -0,0 +1,125 @@
+// tests/session-manager.test.js
+// Tests for how page visits are grouped into sessions and placed in their navigation tree.
+// Run with `node --test tests/`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome, browserState } from './helpers/fake-chrome.js';
+import { addPageVisitToSession, forgetTab, recordNavigation } from '../background/session-manager.js';
+import { recordTabOpened } from '../background/tab-tracker.js';
+
+const realNow = Date.now;
+let clock;
+
+/**
+ * Returns the live session the popup shows.
+ * @returns {Promise<object>} The current session.
+ */
+async function currentSession() {
+    return (await chrome.storage.session.get('currentSession')).currentSession;
+}
+
+/**
+ * Records a top-level navigation in a tab, then the page visit it leads to.
+ * @param {object} tab - The tab.
+ * @param {string} url - The page's URL.
+ * @param {string} transitionType - How the navigation was started, e.g. 'link' or 'typed'.
+ * @param {string[]} [transitionQualifiers] - E.g. ['forward_back'].
+ */
+async function navigate(tab, url, transitionType, transitionQualifiers = []) {
+    clock += 1000;
+    recordNavigation({ tabId: tab.id, frameId: 0, url, transitionType, transitionQualifiers });
+    await addPageVisitToSession({ url, title: url }, tab);
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+    clock = new Date(2024, 4, 1, 12, 0, 0).getTime();
+    Date.now = () => clock;
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('a tab opened in the background joins its session only when first looked at', async () => {
+    const opener = { id: 1, windowId: 1, active: true, url: 'https://example.com/start' };
+    browserState.tabs = [opener];
+    await addPageVisitToSession({ url: opener.url, title: 'Start' }, opener);
+    const startedAt = clock;
+
+    clock += 60 * 1000;
+    const background = { id: 2, windowId: 1, active: false, openerTabId: 1, url: 'https://other.example.org/later' };
+    browserState.tabs.push(background);
+    await recordTabOpened(background);
+    await addPageVisitToSession({ url: background.url, title: 'Read later', description: 'A long read' }, background);
+
+    let session = await currentSession();
+    assert.deepEqual(session.pages.map(page => page.url), ['https://example.com/start']);
+    assert.deepEqual(session.domains, ['example.com']);
+    assert.equal(session.lastActivity, startedAt);
+    // The tab still counts as opened from the session and never looked at.
+    assert.equal(session.tabStats.opened, 1);
+    assert.equal(session.tabStats.unvisited, 1);
+
+    // Switching to the tab reports it again, with only the tab's title known.
+    clock += 60 * 1000;
+    await addPageVisitToSession({ url: background.url, title: 'Loading...' }, { ...background, active: true });
+
+    session = await currentSession();
+    const [start, later] = session.pages;
+    assert.equal(later.url, 'https://other.example.org/later');
+    assert.equal(later.title, 'Read later');
+    assert.equal(later.description, 'A long read');
+    assert.equal(later.parentId, start.id);
+    assert.equal(later.visitedAt, clock);
+    assert.equal(session.lastActivity, clock);
+    assert.deepEqual(session.domains, ['example.com', 'other.example.org']);
+});
+
+test('a background tab closed unseen leaves no page behind', async () => {
+    const opener = { id: 1, windowId: 1, active: true, url: 'https://example.com/start' };
+    await addPageVisitToSession({ url: opener.url, title: 'Start' }, opener);
+    const background = { id: 2, windowId: 1, active: false, openerTabId: 1, url: 'https://other.example.org/later' };
+    await addPageVisitToSession({ url: background.url, title: 'Read later' }, background);
+
+    forgetTab(2);
+    // A new tab reusing the id starts fresh rather than inheriting the held-back page.
+    await addPageVisitToSession({ url: 'https://third.example.net/', title: 'Third' }, { id: 2, windowId: 1, active: true });
+
+    const session = await currentSession();
+    assert.equal(session.pages.some(page => page.url === background.url), false);
+    assert.equal(session.pages[session.pages.length - 1].url, 'https://third.example.net/');
+});
+
+test('pages followed by link form a tree, and tabs opened from a page branch from it', async () => {
+    const tab = { id: 1, windowId: 1, active: true };
+    await navigate(tab, 'https://example.com/a', 'typed');
+    await navigate(tab, 'https://example.com/b', 'link');
+    const opened = { id: 2, windowId: 1, active: true, openerTabId: 1 };
+    await navigate(opened, 'https://example.com/c', 'link');
+    // Back in the first tab, going back to "a" and following another link branches from "a".
+    await navigate(tab, 'https://example.com/a', 'link', ['forward_back']);
+    await navigate(tab, 'https://example.com/d', 'link');
+
+    const session = await currentSession();
+    const byUrl = Object.fromEntries(session.pages.map(page => [page.url.split('/').pop(), page]));
+    assert.deepEqual(Object.keys(byUrl), ['a', 'b', 'c', 'd']);
+    assert.equal(byUrl.a.parentId, null);
+    assert.equal(byUrl.b.parentId, byUrl.a.id);
+    assert.equal(byUrl.c.parentId, byUrl.b.id);
+    assert.equal(byUrl.c.tabId, 2);
+    assert.equal(byUrl.d.parentId, byUrl.a.id);
+});
+
+test('typing an address starts a new session in the same tab', async () => {
+    const tab = { id: 1, windowId: 1, active: true };
+    await navigate(tab, 'https://example.com/a', 'typed');
+    const first = (await currentSession()).id;
+    await navigate(tab, 'https://other.example.org/', 'typed');
+
+    const session = await currentSession();
+    assert.notEqual(session.id, first);
+    assert.deepEqual(session.pages.map(page => page.url), ['https://other.example.org/']);
+    assert.equal(Object.keys(chrome.storage.session.data.liveSessions).length, 2);
+});
@@ -0,0 +1,259 @@
+// tests/storage-manager.test.js
+// Tests for the versioned storage layer: the `day:` key namespace, the schema migrations, the session
+// history (its filters and the order of writes to it), and deleting parts of the history.
+// Run with `node --test tests/`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome } from './helpers/fake-chrome.js';
+import {
+    SCHEMA_VERSION, STORAGE_KEYS, toDayStorageKey, fromDayStorageKey, getSchemaVersion, runMigrations,
+    saveTimeRecord, getTodayData, getTodayKey, archiveSession, clearSessionHistory, deleteDomainHistory,
+    deleteDateRange, deletePageHistory, getSessionHistory, clearAllData
+} from '../utils/storage-manager.js';
+
+/**
+ * Lists the schema versions saved to `chrome.storage.local`, in the order they were written.
+ * @returns {number[]} The versions.
+ */
+function savedSchemaVersions() {
+    return chrome.storage.local.writes
+        .filter(items => STORAGE_KEYS.schemaVersion in items)
+        .map(items => items[STORAGE_KEYS.schemaVersion]);
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+test('day records are stored under namespaced "day:" keys', async () => {
+    assert.equal(toDayStorageKey('2024-05-01'), 'day:2024-05-01');
+    assert.equal(fromDayStorageKey('day:2024-05-01'), '2024-05-01');
+    assert.equal(fromDayStorageKey('2024-05-01'), null);
+    assert.equal(fromDayStorageKey('settings'), null);
+    assert.equal(fromDayStorageKey('day:not-a-date'), null);
+
+    await saveTimeRecord('https://example.com/page', 30);
+    const todayKey = await getTodayKey();
+    assert.deepEqual(Object.keys(chrome.storage.local.data).filter(key => key.includes(todayKey)), [`day:${todayKey}`]);
+    assert.equal((await getTodayData())['example.com'].totalTime, 30);
+});
+
+test('runMigrations upgrades unversioned data through every migration in order', async () => {
+    await chrome.storage.local.set({
+        // Marks day keys as already local, so the first migration leaves the dates alone.
+        dayKeysLocal: true,
+        '2024-05-01': { 'www.example.com': { totalTime: 60, pages: { 'https://www.example.com/a?utm_source=x': 60 } } },
+        'day:2024-05-01': { 'example.com': { totalTime: 30, pages: { 'https://example.com/a': 30 } } },
+        settings: { timeLimits: { 'youtube.com': 20 } }
+    });
+    chrome.storage.local.writes.length = 0;
+
+    await runMigrations();
+
+    assert.deepEqual(savedSchemaVersions(), Array.from({ length: SCHEMA_VERSION }, (_, index) => index + 1));
+    assert.equal(await getSchemaVersion(), SCHEMA_VERSION);
+
+    const { data } = chrome.storage.local;
+    assert.equal('2024-05-01' in data, false);
+    assert.equal('dayKeysLocal' in data, false);
+    assert.deepEqual(data['day:2024-05-01'], { 'example.com': { totalTime: 90, pages: { 'https://example.com/a': 90 } } });
+    assert.deepEqual(data.settings.limitRules, [{ id: 'rule-site-youtube.com', type: 'site', domain: 'youtube.com', minutes: 20 }]);
+});
+
+test('runMigrations runs each migration exactly once', async () => {
+    await runMigrations();
+    const firstRun = savedSchemaVersions();
+    chrome.storage.local.writes.length = 0;
+
+    await runMigrations();
+
+    assert.equal(new Set(firstRun).size, firstRun.length);
+    assert.deepEqual(chrome.storage.local.writes, []);
+    assert.equal(await getSchemaVersion(), SCHEMA_VERSION);
+});
+
+test('runMigrations only runs the migrations newer than the stored version', async () => {
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.schemaVersion]: 2,
+        // Bare day keys are only moved by the version 2 migration, which must not run again.
+        '2024-05-02': { 'example.com': { totalTime: 10, pages: {} } }
+    });
+    chrome.storage.local.writes.length = 0;
+
+    await runMigrations();
+
+    assert.deepEqual(savedSchemaVersions(), Array.from({ length: SCHEMA_VERSION - 2 }, (_, index) => index + 3));
+    assert.equal('2024-05-02' in chrome.storage.local.data, true);
+});
+
+test('a failed migration stops the upgrade, which resumes on the next run', async () => {
+    await chrome.storage.local.set({ [STORAGE_KEYS.schemaVersion]: 3, settings: { timeLimits: { 'example.com': 5 } } });
+    const originalSet = chrome.storage.local.set;
+    chrome.storage.local.set = async items => {
+        if ('settings' in items) throw new Error('Quota exceeded');
+        return originalSet.call(chrome.storage.local, items);
+    };
+
+    try {
+        await runMigrations();
+        assert.equal(await getSchemaVersion(), 3);
+    } finally {
+        chrome.storage.local.set = originalSet;
+    }
+
+    await runMigrations();
+    assert.equal(await getSchemaVersion(), SCHEMA_VERSION);
+    assert.equal(chrome.storage.local.data.settings.limitRules.length, 1);
+});
+
+test('time saved while a migration runs is kept', async () => {
+    const todayKey = await getTodayKey();
+    await chrome.storage.local.set({
+        dayKeysLocal: true,
+        [todayKey]: { 'example.com': { totalTime: 60, pages: { 'https://example.com/a': 60 } } }
+    });
+
+    // The worker starts tracking as soon as it loads, while `onInstalled` is still migrating. Time is
+    // saved right after the first migration has read the data it is about to rewrite.
+    let pendingSave = null;
+    const originalGet = chrome.storage.local.get;
+    chrome.storage.local.get = async keys => {
+        const result = await originalGet.call(chrome.storage.local, keys);
+        if (keys === null && !pendingSave) pendingSave = saveTimeRecord('https://example.com/a', 30);
+        return result;
+    };
+
+    try {
+        await runMigrations();
+        await pendingSave;
+    } finally {
+        chrome.storage.local.get = originalGet;
+    }
+
+    assert.equal(await getSchemaVersion(), SCHEMA_VERSION);
+    assert.equal(todayKey in chrome.storage.local.data, false);
+    assert.deepEqual(chrome.storage.local.data[`day:${todayKey}`], { 'example.com': { totalTime: 90, pages: { 'https://example.com/a': 90 } } });
+});
+
+test('clearing the history waits for a session still being archived', async () => {
+    const archived = archiveSession({ id: 'session-1', startTime: 1, pages: [] });
+    await clearSessionHistory();
+    await archived;
+    assert.equal(STORAGE_KEYS.sessionHistory in chrome.storage.local.data, false);
+});
+
+/**
+ * Stores day records and archived sessions at the current schema, for the deletion tests.
+ * @param {object} days - Day records by YYYY-MM-DD key.
+ * @param {object[]} sessions - The archived sessions.
+ */
+async function storeHistory(days, sessions) {
+    const items = { [STORAGE_KEYS.schemaVersion]: SCHEMA_VERSION, [STORAGE_KEYS.sessionHistory]: sessions };
+    for (const dayKey in days) items[toDayStorageKey(dayKey)] = days[dayKey];
+    await chrome.storage.local.set(items);
+}
+
+/**
+ * Builds an archived session with one page per URL.
+ * @param {string} id - The session id.
+ * @param {number} startTime - When the session started.
+ * @param {string[]} urls - Its pages' URLs.
+ * @returns {object} The session.
+ */
+function makeSession(id, startTime, urls) {
+    return {
+        id,
+        startTime,
+        pages: urls.map((url, index) => ({ id: `${id}-page-${index}`, url })),
+        domains: [...new Set(urls.map(url => new URL(url).hostname))]
+    };
+}
+
+test('deleting a domain removes it and its subdomains from every day and session', async () => {
+    await storeHistory({
+        '2024-05-01': {
+            'example.com': { totalTime: 30, pages: { 'https://example.com/a': 30 } },
+            'news.example.com': { totalTime: 20, pages: { 'https://news.example.com/b': 20 } },
+            'other.org': { totalTime: 10, pages: { 'https://other.org/': 10 } }
+        },
+        '2024-05-02': { 'example.com': { totalTime: 5, pages: { 'https://example.com/a': 5 } } }
+    }, [
+        makeSession('session-1', 1, ['https://other.org/', 'https://www.example.com/a']),
+        makeSession('session-2', 2, ['https://news.example.com/b'])
+    ]);
+
+    await deleteDomainHistory('www.example.com');
+
+    const data = chrome.storage.local.data;
+    assert.deepEqual(Object.keys(data[toDayStorageKey('2024-05-01')]), ['other.org']);
+    assert.equal(toDayStorageKey('2024-05-02') in data, false);
+    assert.equal(data.sessionHistory.length, 1);
+    assert.deepEqual(data.sessionHistory[0].pages.map(page => page.url), ['https://other.org/']);
+    assert.deepEqual(data.sessionHistory[0].domains, ['other.org']);
+});
+
+test('deleting a date range removes its days and the sessions that started in it', async () => {
+    const record = { 'example.com': { totalTime: 30, pages: { 'https://example.com/a': 30 } } };
+    await storeHistory({ '2024-05-01': record, '2024-05-02': record, '2024-05-03': record, '2024-05-04': record }, [
+        makeSession('session-1', new Date(2024, 4, 1, 12).getTime(), ['https://example.com/a']),
+        makeSession('session-2', new Date(2024, 4, 2, 12).getTime(), ['https://example.com/a']),
+        makeSession('session-3', new Date(2024, 4, 3, 23, 59).getTime(), ['https://example.com/a']),
+        makeSession('session-4', new Date(2024, 4, 4, 0, 1).getTime(), ['https://example.com/a'])
+    ]);
+
+    await deleteDateRange('2024-05-02', '2024-05-03');
+
+    const data = chrome.storage.local.data;
+    assert.deepEqual(Object.keys(data).filter(key => key.startsWith('day:')).sort(), ['day:2024-05-01', 'day:2024-05-04']);
+    assert.deepEqual(data.sessionHistory.map(session => session.id), ['session-1', 'session-4']);
+});
+
+test('deleting a page subtracts its time and removes it in any of its forms', async () => {
+    await storeHistory({
+        '2024-05-01': {
+            'example.com': { totalTime: 50, passiveTime: 40, pages: { 'https://example.com/a': 30, 'https://example.com/b': 20 } },
+            'other.org': { totalTime: 10, pages: { 'https://other.org/': 10 } }
+        },
+        '2024-05-02': { 'example.com': { totalTime: 15, pages: { 'https://example.com/a': 15 } } }
+    }, [
+        makeSession('session-1', 1, ['https://example.com/a', 'https://example.com/b']),
+        // Archived before URLs were canonicalized, with the tracking parameter still on it.
+        makeSession('session-2', 2, ['https://example.com/a?utm_source=feed'])
+    ]);
+
+    await deletePageHistory('https://example.com/a?utm_source=feed');
+
+    const data = chrome.storage.local.data;
+    assert.deepEqual(data[toDayStorageKey('2024-05-01')]['example.com'],
+        { totalTime: 20, passiveTime: 20, pages: { 'https://example.com/b': 20 } });
+    assert.equal(toDayStorageKey('2024-05-02') in data, false);
+    assert.deepEqual(data.sessionHistory.map(session => session.pages.map(page => page.url)), [['https://example.com/b']]);
+});
+
+test('the session history is listed newest first and can be filtered', async () => {
+    const sessions = [
+        { ...makeSession('session-1', 100, ['https://www.youtube.com/watch']), rabbitholeSeverity: 'High' },
+        { ...makeSession('session-2', 200, ['https://en.wikipedia.org/wiki/Rome']), rabbitholeSeverity: 'Low' },
+        { ...makeSession('session-3', 300, ['https://youtube.com/', 'https://example.com/']), rabbitholeSeverity: 'High' }
+    ];
+    await storeHistory({}, sessions);
+    const ids = list => list.map(session => session.id);
+
+    assert.deepEqual(ids(await getSessionHistory()), ['session-3', 'session-2', 'session-1']);
+    assert.deepEqual(ids(await getSessionHistory({ since: 200 })), ['session-3', 'session-2']);
+    assert.deepEqual(ids(await getSessionHistory({ until: 200 })), ['session-2', 'session-1']);
+    assert.deepEqual(ids(await getSessionHistory({ severity: 'High' })), ['session-3', 'session-1']);
+    // A domain also matches its subdomains.
+    assert.deepEqual(ids(await getSessionHistory({ domain: 'youtube.com' })), ['session-3', 'session-1']);
+    assert.deepEqual(ids(await getSessionHistory({ domain: 'wikipedia.org', severity: 'High' })), []);
+    assert.deepEqual(ids(await getSessionHistory({ limit: 1 })), ['session-3']);
+});
+
+test('clearing all data also clears a session still being archived, and keeps the settings', async () => {
+    await chrome.storage.local.set({ settings: { retentionDays: 30 } });
+    const archived = archiveSession({ id: 'session-1', startTime: 1, pages: [] });
+    await clearAllData();
+    await archived;
+    assert.deepEqual(Object.keys(chrome.storage.local.data), ['settings']);
+});
@@ -0,0 +1,113 @@
+// tests/time-tracker.test.js
+// Tests that the running timer survives the service worker being suspended and restarted, and that
+// it pauses while no Chrome window has focus. Run with `node --test tests/`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetFakeChrome, browserState, settle } from './helpers/fake-chrome.js';
+import { getTodayData } from '../utils/storage-manager.js';
+
+// The longest stretch a flush credits when it cannot tell whether the worker was running all along.
+const MAX_UNSAVED_SECONDS = 2 * 60;
+
+const realNow = Date.now;
+let clock;
+
+/**
+ * Moves the fake clock forward.
+ * @param {number} seconds - How far to move it.
+ */
+function advance(seconds) {
+    clock += seconds * 1000;
+}
+
+/**
+ * Returns the active time saved today for a site.
+ * @param {string} hostname - The site.
+ * @returns {Promise<number>} The seconds saved.
+ */
+async function savedSeconds(hostname) {
+    const today = await getTodayData();
+    return today[hostname] ? today[hostname].totalTime : 0;
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+    clock = new Date(2024, 4, 1, 12, 0, 0).getTime();
+    Date.now = () => clock;
+    browserState.tabs = [{ id: 1, windowId: 1, active: true, url: 'https://example.com/article', title: 'Article' }];
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('the running timer is restored from session storage after a worker restart', async () => {
+    const tracker = await import('../background/time-tracker.js?instance=before-restart');
+    await tracker.trackTab(browserState.tabs[0]);
+    advance(50);
+
+    // A suspended worker loses its module variables; a fresh copy of the module stands in for the restart.
+    const restarted = await import('../background/time-tracker.js?instance=after-restart');
+    const state = await restarted.getActiveTabInfo();
+    assert.equal(state.tabId, 1);
+    assert.equal(state.url, 'https://example.com/article');
+
+    await restarted.flushTracking();
+    assert.equal(await savedSeconds('example.com'), 50);
+});
+
+test('time spent asleep after a restart is capped at the heartbeat allowance', async () => {
+    const tracker = await import('../background/time-tracker.js?instance=before-sleep');
+    await tracker.trackTab(browserState.tabs[0]);
+    advance(60 * 60);
+
+    const restarted = await import('../background/time-tracker.js?instance=after-sleep');
+    await restarted.flushTracking();
+    assert.equal(await savedSeconds('example.com'), MAX_UNSAVED_SECONDS);
+});
+
+test('a tab in a window without focus is not timed', async () => {
+    const tracker = await import('../background/time-tracker.js?instance=unfocused');
+    browserState.focusedWindowId = 2;
+    await tracker.trackTab(browserState.tabs[0]);
+    assert.equal((await tracker.getActiveTabInfo()).startTime, null);
+});
+
+test('tracking pauses on WINDOW_ID_NONE and resumes when a window is focused again', async () => {
+    // The service worker starts timing the active tab as soon as it loads.
+    await import('../background/service-worker.js?instance=focus');
+    const { getActiveTabInfo, HEARTBEAT_ALARM } = await import('../background/time-tracker.js');
+    await settle();
+    assert.equal((await getActiveTabInfo()).tabId, 1);
+
+    advance(30);
+    browserState.focusedWindowId = chrome.windows.WINDOW_ID_NONE;
+    await chrome.windows.onFocusChanged.dispatch(chrome.windows.WINDOW_ID_NONE);
+    await settle();
+    assert.equal((await getActiveTabInfo()).startTime, null);
+    assert.equal(await savedSeconds('example.com'), 30);
+
+    // Time away from Chrome is not counted.
+    advance(100);
+    browserState.focusedWindowId = 1;
+    await chrome.windows.onFocusChanged.dispatch(1);
+    await settle();
+    assert.equal((await getActiveTabInfo()).startTime, clock);
+
+    advance(20);
+    await chrome.alarms.onAlarm.dispatch({ name: HEARTBEAT_ALARM });
+    await settle();
+    assert.equal(await savedSeconds('example.com'), 50);
+});
+
+test('media reported by several tabs at once is all recorded', async () => {
+    const tracker = await import('../background/time-tracker.js?instance=media');
+    await Promise.all([
+        tracker.setMediaPlayback(1, true),
+        tracker.setMediaPlayback(2, true),
+        tracker.setMediaPlayback(3, true)
+    ]);
+    await tracker.setMediaPlayback(2, false);
+    assert.deepEqual(chrome.storage.session.data.mediaTabs, { 1: true, 3: true });
+});
@@ -0,0 +1,307 @@
+// utils/data-transfer.js
+/**
+ * @file Export and import of the user's data, so it can be backed up or moved to another machine.
+ * A full export is a versioned JSON bundle of the daily time records, settings (including time
+ * limits), the weekly report and the session history. Daily records can also be exported as CSV
+ * for spreadsheets. Imports are validated and either merged into or replace the existing data.
+ */
+
+import {
+    DAY_KEY_PATTERN, SCHEMA_VERSION, STORAGE_KEYS, mergeDayData, fromDayStorageKey, getAllDaysData, getDaysData,
+    saveDaysData, canonicalizeDayData, upgradeLimitSettings
+} from './storage-manager.js';
+import { canonicalizeUrl, canonicalizeHostname, getUrlPrivacySettings, isHashedUrl } from './url-canonicalizer.js';
+import { LIMIT_RULE_TYPES } from '../background/limit-rules.js';
+
+// Identifies a file as one of our export bundles.
+const EXPORT_FORMAT = 'rabbithole-tracker-export';
+
+// The bundle version written by this code. Bundles with a higher version come from a newer release.
+// Version 2 records the storage schema version the data was exported in, so imports know which
+// upgrades it still needs; version 1 bundles do not, and are upgraded as if from the oldest schema.
+export const EXPORT_VERSION = 2;
+
+// The non-day storage keys included in an export.
+const EXPORTED_KEYS = [STORAGE_KEYS.settings, STORAGE_KEYS.weeklyReport, STORAGE_KEYS.sessionHistory];
+
+/**
+ * Builds a full export bundle from storage.
+ * @returns {Promise<object>} The bundle:
+ *     `{ format, version, schemaVersion, exportedAt, data: { days, settings, weeklyReport, sessionHistory } }`.
+ */
+export async function exportAllData() {
+    const stored = await chrome.storage.local.get(EXPORTED_KEYS);
+    const allDays = await getAllDaysData();
+    const days = {};
+    Object.keys(allDays).sort().forEach(dayKey => { days[dayKey] = allDays[dayKey]; });
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: {
+            days,
+            settings: stored.settings || {},
+            weeklyReport: stored.weeklyReport || null,
+            sessionHistory: stored.sessionHistory || []
+        }
+    };
+}
+
+/**
+ * Quotes a value for a CSV cell when it contains a separator, quote or line break.
+ * @param {string|number} value - The cell value.
+ * @returns {string} The escaped cell.
+ */
+function toCsvCell(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the daily time records as CSV.
+ * @param {string} level - 'day' (one row per day), 'domain' (per day and domain) or 'page' (per day and URL).
+ * @returns {Promise<string>} The CSV text, with a header row. Times are in seconds.
+ */
+export async function exportCsv(level) {
+    const { data } = await exportAllData();
+    const rows = [];
+
+    if (level === 'day') {
+        rows.push(['date', 'seconds']);
+        for (const date in data.days) {
+            const total = Object.values(data.days[date]).reduce((sum, domainData) => sum + domainData.totalTime, 0);
+            rows.push([date, total]);
+        }
+    } else if (level === 'domain') {
+        rows.push(['date', 'domain', 'seconds', 'passive_seconds', 'background_seconds']);
+        for (const date in data.days) {
+            for (const domain in data.days[date]) {
+                const domainData = data.days[date][domain];
+                rows.push([date, domain, domainData.totalTime, domainData.passiveTime || 0, domainData.backgroundTime || 0]);
+            }
+        }
+    } else if (level === 'page') {
+        rows.push(['date', 'domain', 'url', 'seconds']);
+        for (const date in data.days) {
+            for (const domain in data.days[date]) {
+                const pages = data.days[date][domain].pages || {};
+                for (const url in pages) rows.push([date, domain, url, pages[url]]);
+            }
+        }
+    } else {
+        throw new Error(`Unknown CSV export level "${level}".`);
+    }
+
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\n');
+}
+
+/**
+ * Checks whether a value is a plain object (not null or an array).
+ * @param {*} value - The value.
+ * @returns {boolean} True for objects.
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that an imported limit rule has the fields its type needs (see background/limit-rules.js),
+ * as the service worker reads them on every time check.
+ * @param {*} rule - The rule from the file.
+ * @returns {boolean} True if the rule is well formed.
+ */
+function isValidLimitRule(rule) {
+    const isText = value => typeof value === 'string' && value.length > 0;
+    const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+    if (!isObject(rule) || !isText(rule.id) || !LIMIT_RULE_TYPES.includes(rule.type)) return false;
+    if (typeof rule.minutes !== 'number' || !Number.isFinite(rule.minutes) || rule.minutes < 0) return false;
+    if (rule.days !== undefined && (!Array.isArray(rule.days) ||
+        rule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) return false;
+    if (rule.window !== undefined && (!isObject(rule.window) || !isTime(rule.window.start) || !isTime(rule.window.end))) return false;
+    if (rule.sessionCapMinutes !== undefined && !(typeof rule.sessionCapMinutes === 'number' && rule.sessionCapMinutes > 0)) return false;
+
+    switch (rule.type) {
+        case 'site': return isText(rule.domain);
+        case 'pattern': return isText(rule.pattern);
+        case 'group': return isText(rule.name) && Array.isArray(rule.domains) && rule.domains.every(isText);
+        case 'category': return isText(rule.category);
+        default: return true;
+    }
+}
+
+/**
+ * Checks that a parsed file is an export bundle this version can import.
+ * @param {*} bundle - The parsed JSON.
+ * @throws {Error} Describing the first problem found.
+ */
+export function validateExportBundle(bundle) {
+    if (!isObject(bundle) || bundle.format !== EXPORT_FORMAT) {
+        throw new Error('This file is not a Rabbithole Tracker export.');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        throw new Error('The export has no valid version.');
+    }
+    if (bundle.version > EXPORT_VERSION) {
+        throw new Error(`The export was made by a newer version of the extension (format ${bundle.version}).`);
+    }
+    if (bundle.version >= 2 && (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 0)) {
+        throw new Error('The export has no valid schema version.');
+    }
+    if (bundle.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`The export was made by a newer version of the extension (schema ${bundle.schemaVersion}).`);
+    }
+    if (!isObject(bundle.data)) {
+        throw new Error('The export has no data.');
+    }
+
+    const { days = {}, settings = {}, weeklyReport = null, sessionHistory = [] } = bundle.data;
+    if (!isObject(days)) throw new Error('"days" must be an object.');
+    for (const date in days) {
+        if (!DAY_KEY_PATTERN.test(date)) throw new Error(`"${date}" is not a YYYY-MM-DD day.`);
+        if (!isObject(days[date])) throw new Error(`The records for ${date} are not valid.`);
+        for (const domain in days[date]) {
+            const domainData = days[date][domain];
+            if (!isObject(domainData) || typeof domainData.totalTime !== 'number' || !isObject(domainData.pages) ||
+                Object.values(domainData.pages).some(seconds => typeof seconds !== 'number')) {
+                throw new Error(`The record for ${domain} on ${date} is not valid.`);
+            }
+        }
+    }
+    if (!isObject(settings)) throw new Error('"settings" must be an object.');
+    if (!isObject(settings.timeLimits || {}) || !isObject(settings.categoryLimits || {}) ||
+        !Array.isArray(settings.limitRules || [])) {
+        throw new Error('The limits in "settings" are not valid.');
+    }
+    // Older exports carry limit maps instead of rules; they are checked as the rules they become.
+    const rules = upgradeLimitSettings(settings).limitRules;
+    const invalidRule = rules.find(rule => !isValidLimitRule(rule));
+    if (invalidRule) {
+        throw new Error(`The limit rule ${isObject(invalidRule) && typeof invalidRule.id === 'string' ? `"${invalidRule.id}" ` : ''}is not valid.`);
+    }
+    if (weeklyReport !== null && (!isObject(weeklyReport) || typeof weeklyReport.text !== 'string')) {
+        throw new Error('"weeklyReport" is not valid.');
+    }
+    if (!Array.isArray(sessionHistory) || sessionHistory.some(session =>
+        !isObject(session) || typeof session.id !== 'string' || typeof session.startTime !== 'number' || !Array.isArray(session.pages) ||
+        session.pages.some(page => !isObject(page) || typeof page.url !== 'string') ||
+        (session.domains !== undefined && (!Array.isArray(session.domains) || session.domains.some(domain => typeof domain !== 'string'))) ||
+        (session.savedTabs !== undefined && (!Array.isArray(session.savedTabs) ||
+            session.savedTabs.some(savedTab => !isObject(savedTab) || typeof savedTab.url !== 'string'))))) {
+        throw new Error('"sessionHistory" is not valid.');
+    }
+}
+
+/**
+ * Brings the settings of a bundle up to the current storage schema. Day records are canonicalized
+ * on every import instead, as they must match this install's URL privacy settings.
+ * @param {object} bundle - A valid export bundle.
+ * @returns {object} The upgraded settings.
+ */
+function upgradeBundleSettings(bundle) {
+    // Version 1 bundles do not say which schema they were saved in, so every upgrade is applied.
+    const schemaVersion = bundle.version >= 2 ? bundle.schemaVersion : 0;
+    let settings = bundle.data.settings || {};
+    // Exports made before limit rules existed carry the old limit maps.
+    if (schemaVersion < 4) settings = upgradeLimitSettings(settings);
+    return settings;
+}
+
+/**
+ * Canonicalizes the page addresses and domains of an imported session, so it holds no more of them
+ * than a session recorded with the same URL privacy settings would.
+ * @param {object} session - A valid archived session from the file.
+ * @param {object} config - The URL privacy settings (see `getUrlPrivacySettings`).
+ * @returns {Promise<object>} The canonical session.
+ */
+async function canonicalizeSession(session, config) {
+    const canonicalize = (url, pageConfig) => isHashedUrl(url) ? url : canonicalizeUrl(url, pageConfig);
+    const pages = await Promise.all(session.pages.map(async page => ({ ...page, url: await canonicalize(page.url, config) })));
+    const canonical = { ...session, pages, domains: [...new Set((session.domains || []).map(canonicalizeHostname))] };
+    if (session.savedTabs) {
+        // Saved tabs are kept readable so they can be reopened, as when they were saved (see service-worker.js).
+        const tabConfig = { ...config, hashPaths: false };
+        canonical.savedTabs = await Promise.all(session.savedTabs.map(async savedTab => ({ ...savedTab, url: await canonicalize(savedTab.url, tabConfig) })));
+    }
+    return canonical;
+}
+
+/**
+ * Imports an export bundle.
+ *
+ * With 'merge', imported time is added to the existing daily records (the way records from two
+ * machines combine), archived sessions are added unless a session with the same id exists, saved
+ * settings win over imported ones (limit rules and category overrides are combined), and the newer weekly report is kept.
+ * With 'replace', all existing records, settings, reports and sessions are removed first.
+ * Bundles from older versions are upgraded first, and the domains and pages of imported records and
+ * sessions are canonicalized with the URL privacy settings in effect after the import, so they
+ * combine with the stored records and keep no addresses those settings would not store.
+ *
+ * @param {object} bundle - The parsed export bundle.
+ * @param {string} mode - 'merge' or 'replace'.
+ * @returns {Promise<{days: number, sessions: number}>} How many days and sessions were imported.
+ * @throws {Error} If the bundle is not valid.
+ */
+export async function importData(bundle, mode) {
+    validateExportBundle(bundle);
+    const { days = {}, weeklyReport = null, sessionHistory = [] } = bundle.data;
+    const settings = upgradeBundleSettings(bundle);
+    const stored = await chrome.storage.local.get(null);
+    const updates = {};
+
+    /**
+     * Canonicalizes the imported day records and sessions.
+     * @param {object} finalSettings - The settings that will be saved by the import.
+     * @returns {Promise<{canonicalDays: object, canonicalSessions: object[]}>} The canonical day
+     *     records, by day key, and sessions.
+     */
+    const canonicalizeImport = async finalSettings => {
+        const config = getUrlPrivacySettings(finalSettings);
+        const canonicalDays = {};
+        for (const date in days) canonicalDays[date] = await canonicalizeDayData(days[date], config);
+        const canonicalSessions = await Promise.all(sessionHistory.map(session => canonicalizeSession(session, config)));
+        return { canonicalDays, canonicalSessions };
+    };
+
+    if (mode === 'replace') {
+        const { canonicalDays, canonicalSessions } = await canonicalizeImport(settings);
+        const oldKeys = Object.keys(stored).filter(key => fromDayStorageKey(key) || EXPORTED_KEYS.includes(key));
+        await chrome.storage.local.remove(oldKeys);
+        await saveDaysData(canonicalDays);
+        Object.assign(updates, { settings, sessionHistory: canonicalSessions });
+        if (weeklyReport) updates.weeklyReport = weeklyReport;
+    } else if (mode === 'merge') {
+        const savedSettings = stored.settings || {};
+        const savedRules = savedSettings.limitRules || [];
+        const savedRuleIds = new Set(savedRules.map(rule => rule.id));
+        updates.settings = {
+            ...settings,
+            ...savedSettings,
+            limitRules: [...savedRules, ...(settings.limitRules || []).filter(rule => !savedRuleIds.has(rule.id))],
+            domainCategories: { ...settings.domainCategories, ...savedSettings.domainCategories }
+        };
+
+        const { canonicalDays, canonicalSessions } = await canonicalizeImport(updates.settings);
+        const storedDays = await getDaysData(Object.keys(canonicalDays));
+        for (const date in canonicalDays) {
+            storedDays[date] = mergeDayData(storedDays[date] || {}, canonicalDays[date]);
+        }
+        await saveDaysData(storedDays);
+
+        const history = stored.sessionHistory || [];
+        const knownIds = new Set(history.map(session => session.id));
+        updates.sessionHistory = [...history, ...canonicalSessions.filter(session => !knownIds.has(session.id))];
+
+        if (weeklyReport && (!stored.weeklyReport || weeklyReport.generatedDate > stored.weeklyReport.generatedDate)) {
+            updates.weeklyReport = weeklyReport;
+        }
+    } else {
+        throw new Error(`Unknown import mode "${mode}".`);
+    }
+
+    await chrome.storage.local.set(updates);
+    console.log(`DATA_TRANSFER: Imported ${Object.keys(days).length} day(s) and ${sessionHistory.length} session(s) (${mode}).`);
+    return { days: Object.keys(days).length, sessions: sessionHistory.length };
+}
@@ -0,0 +1,131 @@
+// utils/domain-groups.js
+/**
+ * @file Groups the hostnames that time is recorded under into sites and categories.
+ * A site is a registrable domain (eTLD+1), found with the bundled public suffix list, so
+ * "en.wikipedia.org" and "de.wikipedia.org" both belong to "wikipedia.org" while "alice.github.io"
+ * and "bob.github.io" stay apart. Sites fall into categories (Social, Video, News...) from a
+ * built-in table, which the user can override per site or subdomain in the options page.
+ */
+
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.js';
+import { canonicalizeHostname } from './url-canonicalizer.js';
+
+// The categories a site can be put in. Their display names are the "category<Name>" messages.
+export const CATEGORIES = ['Social', 'Video', 'News', 'Reference', 'Work', 'Shopping'];
+
+// The category of any site that is not in the table.
+export const UNCATEGORIZED = 'Other';
+
+/**
+ * The built-in category of popular sites, keyed by registrable domain. Saved values in
+ * `settings.domainCategories` override these.
+ */
+export const DEFAULT_DOMAIN_CATEGORIES = {
+    'facebook.com': 'Social', 'instagram.com': 'Social', 'x.com': 'Social', 'twitter.com': 'Social',
+    'reddit.com': 'Social', 'tiktok.com': 'Social', 'linkedin.com': 'Social', 'pinterest.com': 'Social',
+    'snapchat.com': 'Social', 'tumblr.com': 'Social', 'threads.net': 'Social', 'bsky.app': 'Social',
+    'mastodon.social': 'Social', 'discord.com': 'Social', 'quora.com': 'Social',
+    'youtube.com': 'Video', 'youtu.be': 'Video', 'netflix.com': 'Video', 'twitch.tv': 'Video',
+    'vimeo.com': 'Video', 'primevideo.com': 'Video', 'disneyplus.com': 'Video', 'hulu.com': 'Video',
+    'max.com': 'Video', 'dailymotion.com': 'Video', 'crunchyroll.com': 'Video',
+    'nytimes.com': 'News', 'bbc.com': 'News', 'bbc.co.uk': 'News', 'cnn.com': 'News',
+    'theguardian.com': 'News', 'reuters.com': 'News', 'apnews.com': 'News', 'washingtonpost.com': 'News',
+    'bloomberg.com': 'News', 'wsj.com': 'News', 'news.ycombinator.com': 'News', 'foxnews.com': 'News',
+    'aljazeera.com': 'News', 'npr.org': 'News',
+    'wikipedia.org': 'Reference', 'wiktionary.org': 'Reference', 'britannica.com': 'Reference',
+    'stackoverflow.com': 'Reference', 'stackexchange.com': 'Reference', 'developer.mozilla.org': 'Reference',
+    'w3schools.com': 'Reference', 'archive.org': 'Reference', 'scholar.google.com': 'Reference',
+    'github.com': 'Work', 'gitlab.com': 'Work', 'docs.google.com': 'Work', 'drive.google.com': 'Work',
+    'mail.google.com': 'Work', 'calendar.google.com': 'Work', 'outlook.com': 'Work', 'office.com': 'Work',
+    'notion.so': 'Work', 'slack.com': 'Work', 'atlassian.net': 'Work', 'trello.com': 'Work',
+    'figma.com': 'Work', 'zoom.us': 'Work', 'asana.com': 'Work',
+    'amazon.com': 'Shopping', 'amazon.co.uk': 'Shopping', 'amazon.de': 'Shopping', 'ebay.com': 'Shopping',
+    'etsy.com': 'Shopping', 'aliexpress.com': 'Shopping', 'walmart.com': 'Shopping', 'target.com': 'Shopping',
+    'bestbuy.com': 'Shopping', 'ikea.com': 'Shopping', 'temu.com': 'Shopping', 'shein.com': 'Shopping'
+};
+
+/**
+ * Returns the registrable domain (eTLD+1) of a hostname, following the public suffix list algorithm.
+ * @param {string} hostname - The hostname, e.g. "en.m.wikipedia.org".
+ * @returns {string} The registrable domain, e.g. "wikipedia.org". IP addresses, single-label hosts
+ *     (e.g. "localhost") and bare public suffixes are returned unchanged.
+ */
+export function getRegistrableDomain(hostname) {
+    const canonical = canonicalizeHostname(hostname);
+    if (/^[\d.]+$/.test(canonical) || canonical.includes(':')) return canonical;
+
+    const labels = canonical.split('.');
+    // Find the longest matching public suffix, counted in labels. The default rule makes the
+    // top-level domain a suffix when nothing longer matches.
+    let suffixLength = 1;
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        const parent = labels.slice(i + 1).join('.');
+        if (PUBLIC_SUFFIX_RULES.exceptions.has(candidate)) {
+            suffixLength = labels.length - i - 1;
+            break;
+        }
+        if (PUBLIC_SUFFIX_RULES.exact.has(candidate) || (parent && PUBLIC_SUFFIX_RULES.wildcard.has(parent))) {
+            suffixLength = labels.length - i;
+            break;
+        }
+    }
+
+    if (labels.length <= suffixLength) return canonical;
+    return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Merges the user's category overrides over the built-in table.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {Object<string, string>} Categories keyed by site or subdomain.
+ */
+export function getDomainCategories(settings = {}) {
+    return { ...DEFAULT_DOMAIN_CATEGORIES, ...settings.domainCategories };
+}
+
+/**
+ * Finds the category of a hostname. The most specific entry wins, so "docs.google.com" can be
+ * Work while the rest of "google.com" is not.
+ * @param {string} hostname - The hostname to look up.
+ * @param {Object<string, string>} categories - The category table (see `getDomainCategories`).
+ * @returns {string} One of `CATEGORIES`, or `UNCATEGORIZED`.
+ */
+export function getCategory(hostname, categories) {
+    const labels = canonicalizeHostname(hostname).split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (categories[candidate]) return categories[candidate];
+    }
+    return UNCATEGORIZED;
+}
+
+/**
+ * Adds up the time in daily records by hostname, site or category.
+ * @param {object} daysData - Day records keyed by day, as returned by `getLastDaysData`.
+ * @param {string} level - 'hostname', 'site' (registrable domain) or 'category'.
+ * @param {Object<string, string>} [categories] - The category table, needed for the 'category' level.
+ * @param {boolean} [includeBackground] - Whether to add the time of audible background and
+ *     picture-in-picture tabs (`backgroundTime`) to the totals.
+ * @returns {Object<string, number>} Seconds per hostname, site or category. Entries without any time are left out.
+ */
+export function groupTimeTotals(daysData, level, categories = DEFAULT_DOMAIN_CATEGORIES, includeBackground = false) {
+    const keyFor = {
+        hostname: hostname => hostname,
+        site: hostname => getRegistrableDomain(hostname),
+        category: hostname => getCategory(hostname, categories)
+    }[level];
+    if (!keyFor) throw new Error(`Unknown grouping level "${level}".`);
+
+    const totals = {};
+    for (const dayKey in daysData) {
+        for (const hostname in daysData[dayKey]) {
+            const domainData = daysData[dayKey][hostname];
+            const seconds = (domainData.totalTime || 0) + (includeBackground ? domainData.backgroundTime || 0 : 0);
+            if (seconds === 0) continue;
+            const key = keyFor(hostname);
+            totals[key] = (totals[key] || 0) + seconds;
+        }
+    }
+    return totals;
+}
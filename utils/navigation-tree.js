@@ -0,0 +1,98 @@
+// utils/navigation-tree.js
+/**
+ * @file Helpers for turning a session's flat `pages` array into a navigation tree.
+ * Every page records the id of the page it was reached from (`parentId`), so a session that
+ * branches into several tabs or back-and-forth paths can be shown as a tree rather than a line.
+ * Used by the report generator in the background and by the popup and history pages.
+ */
+
+/**
+ * Builds a navigation tree from a session's pages.
+ * Pages without a `parentId`, or whose parent is not in the session, become roots.
+ *
+ * @param {Array<object>} pages - The session's pages, in visit order.
+ * @returns {Array<object>} The root nodes. Each node is `{ page, children }`.
+ */
+export function buildNavigationTree(pages) {
+    const nodes = new Map();
+    pages.forEach(page => {
+        if (page.id) nodes.set(page.id, { page, children: [] });
+    });
+
+    const roots = [];
+    let previousLegacyNode = null;
+    pages.forEach(page => {
+        // Pages recorded before navigation tracking existed have no id; they form a simple chain.
+        if (!page.id) {
+            const node = { page, children: [] };
+            if (previousLegacyNode) {
+                previousLegacyNode.children.push(node);
+            } else {
+                roots.push(node);
+            }
+            previousLegacyNode = node;
+            return;
+        }
+
+        const node = nodes.get(page.id);
+        const parent = page.parentId ? nodes.get(page.parentId) : null;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+    return roots;
+}
+
+/**
+ * Walks a navigation tree depth-first, returning each page alongside its branch depth.
+ * The first child of a page continues on the same line (same depth); every further child
+ * is a branch and is indented one level deeper. A linear session therefore stays at depth 0.
+ *
+ * @param {Array<object>} roots - The root nodes returned by `buildNavigationTree`.
+ * @returns {Array<{page: object, depth: number}>} The pages in tree order.
+ */
+export function flattenNavigationTree(roots) {
+    const result = [];
+    const visit = (node, depth) => {
+        result.push({ page: node.page, depth });
+        node.children.forEach((child, index) => visit(child, index === 0 ? depth : depth + 1));
+    };
+    roots.forEach(root => visit(root, 0));
+    return result;
+}
+
+/**
+ * Lists every distinct root-to-leaf path through the tree as a sequence of domains, with
+ * consecutive pages on the same domain collapsed. A linear session produces a single path;
+ * each branch into a new tab or direction adds another.
+ *
+ * @param {Array<object>} roots - The root nodes returned by `buildNavigationTree`.
+ * @returns {Array<string[]>} The domain paths.
+ */
+export function getDomainPaths(roots) {
+    const paths = [];
+    const seen = new Set();
+    const visit = (node, path) => {
+        let domain;
+        try {
+            domain = new URL(node.page.url).hostname;
+        } catch (error) {
+            domain = null;
+        }
+        const nextPath = domain && path[path.length - 1] !== domain ? [...path, domain] : path;
+
+        if (node.children.length === 0) {
+            const key = nextPath.join('>');
+            if (nextPath.length > 0 && !seen.has(key)) {
+                seen.add(key);
+                paths.push(nextPath);
+            }
+        } else {
+            node.children.forEach(child => visit(child, nextPath));
+        }
+    };
+    roots.forEach(root => visit(root, []));
+    return paths;
+}
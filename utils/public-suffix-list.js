@@ -0,0 +1,274 @@
+// utils/public-suffix-list.js
+/**
+ * @file A bundled copy of the multi-label rules from the Public Suffix List
+ * (https://publicsuffix.org/list/), in the list's own format. Single-label suffixes such as "com"
+ * or "de" are not listed: the list's default rule already treats any top-level domain as a public
+ * suffix. Only the commonly visited country and hosting suffixes are included, to keep the
+ * extension small; to add more, paste lines from `public_suffix_list.dat` into `RULES_TEXT`.
+ */
+
+// One rule per line. `*.` rules match any label in that position, and `!` rules are exceptions to them.
+const RULES_TEXT = `
+// Australia
+com.au
+net.au
+org.au
+edu.au
+gov.au
+asn.au
+id.au
+// Argentina
+com.ar
+gob.ar
+edu.ar
+org.ar
+// Austria
+co.at
+or.at
+gv.at
+ac.at
+// Bangladesh
+*.bd
+// Brazil
+com.br
+net.br
+org.br
+gov.br
+edu.br
+art.br
+blog.br
+// Canada
+gc.ca
+on.ca
+qc.ca
+bc.ca
+// China
+com.cn
+net.cn
+org.cn
+gov.cn
+edu.cn
+ac.cn
+// Colombia
+com.co
+net.co
+org.co
+edu.co
+gov.co
+// Cook Islands
+*.ck
+!www.ck
+// Egypt
+com.eg
+edu.eg
+gov.eg
+org.eg
+// France
+gouv.fr
+asso.fr
+// Greece
+com.gr
+gov.gr
+edu.gr
+// Hong Kong
+com.hk
+edu.hk
+gov.hk
+org.hk
+net.hk
+// India
+co.in
+net.in
+org.in
+firm.in
+gen.in
+ind.in
+ac.in
+edu.in
+gov.in
+res.in
+// Indonesia
+co.id
+or.id
+ac.id
+go.id
+web.id
+// Israel
+co.il
+org.il
+ac.il
+gov.il
+// Japan
+co.jp
+ne.jp
+or.jp
+ac.jp
+ad.jp
+ed.jp
+go.jp
+gr.jp
+lg.jp
+// Kenya
+co.ke
+or.ke
+ac.ke
+go.ke
+// Malaysia
+com.my
+net.my
+org.my
+edu.my
+gov.my
+// Mexico
+com.mx
+org.mx
+gob.mx
+edu.mx
+net.mx
+// New Zealand
+co.nz
+net.nz
+org.nz
+govt.nz
+ac.nz
+school.nz
+// Nigeria
+com.ng
+org.ng
+gov.ng
+edu.ng
+// Pakistan
+com.pk
+net.pk
+org.pk
+edu.pk
+gov.pk
+// Philippines
+com.ph
+net.ph
+org.ph
+gov.ph
+edu.ph
+// Poland
+com.pl
+net.pl
+org.pl
+gov.pl
+edu.pl
+// Russia
+com.ru
+net.ru
+org.ru
+// Saudi Arabia
+com.sa
+net.sa
+org.sa
+gov.sa
+edu.sa
+// Singapore
+com.sg
+net.sg
+org.sg
+gov.sg
+edu.sg
+// South Africa
+co.za
+org.za
+gov.za
+ac.za
+web.za
+// South Korea
+co.kr
+ne.kr
+or.kr
+re.kr
+ac.kr
+go.kr
+// Spain
+com.es
+nom.es
+org.es
+gob.es
+edu.es
+// Taiwan
+com.tw
+net.tw
+org.tw
+gov.tw
+edu.tw
+idv.tw
+// Thailand
+co.th
+in.th
+ac.th
+go.th
+or.th
+// Turkey
+com.tr
+net.tr
+org.tr
+gov.tr
+edu.tr
+// Ukraine
+com.ua
+net.ua
+org.ua
+gov.ua
+edu.ua
+// United Kingdom
+co.uk
+org.uk
+me.uk
+ltd.uk
+plc.uk
+net.uk
+ac.uk
+gov.uk
+nhs.uk
+police.uk
+sch.uk
+// Vietnam
+com.vn
+net.vn
+org.vn
+gov.vn
+edu.vn
+
+// ===BEGIN PRIVATE DOMAINS===
+// Hosting services that give each customer their own subdomain.
+github.io
+githubusercontent.com
+gitlab.io
+blogspot.com
+herokuapp.com
+netlify.app
+vercel.app
+pages.dev
+workers.dev
+web.app
+firebaseapp.com
+appspot.com
+azurewebsites.net
+cloudfront.net
+s3.amazonaws.com
+readthedocs.io
+neocities.org
+glitch.me
+repl.co
+substack.com
+tumblr.com
+`;
+
+/**
+ * The parsed rules: `exact` and `wildcard` hold the suffixes (without `*.` for wildcards), and
+ * `exceptions` holds the hostnames exempted from a wildcard (without the `!`).
+ */
+export const PUBLIC_SUFFIX_RULES = RULES_TEXT.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    .reduce((rules, line) => {
+        if (line.startsWith('!')) rules.exceptions.add(line.slice(1));
+        else if (line.startsWith('*.')) rules.wildcard.add(line.slice(2));
+        else rules.exact.add(line);
+        return rules;
+    }, { exact: new Set(), wildcard: new Set(), exceptions: new Set() });
@@ -1,36 +1,364 @@
+import { canonicalizeUrl, canonicalizeHostname, getUrlPrivacySettings, isHashedUrl } from './url-canonicalizer.js';
+import { getRegistrableDomain } from './domain-groups.js';
+
+// --- Storage Schema ---
+// Every key the extension keeps in `chrome.storage.local` is listed here. The layout is versioned:
+// `schemaVersion` records the version the stored data is in, and `runMigrations` upgrades older
+// layouts one version at a time when the extension is installed or updated.
+
+// The schema version written by this code. Add a migration below whenever it is increased.
+export const SCHEMA_VERSION = 4;
+
+// The fixed storage keys. Day records use `toDayStorageKey` instead.
+export const STORAGE_KEYS = {
+    schemaVersion: 'schemaVersion',
+    settings: 'settings',
+    weeklyReport: 'weeklyReport',
+    latestReport: 'latestReport',
+    sessionHistory: 'sessionHistory',
+    focusState: 'focusState'
+};
+
+// Each day's time records are stored under this prefix followed by the day key.
+const DAY_STORAGE_PREFIX = 'day:';
+
+// Writes that read a day record or the session history, change it and save it back run one after
+// another. The main and background time trackers save every minute at the same moment, and two
+// overlapping writes would otherwise each save their own copy, losing the other's change. Schema
+// migrations rewrite the day records too, and run in the same queue.
+let pendingWrite = Promise.resolve();
+
+/**
+ * Runs a read-modify-write of the day records or session history after every write already queued.
+ * A failed write does not hold up the ones after it.
+ * @param {function(): Promise<*>} task - The write to run.
+ * @returns {Promise<*>} Resolves (or rejects) with the result of the task.
+ */
+function serializeWrite(task) {
+    const result = pendingWrite.then(task);
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+// --- Day Keys ---
+// Time records are bucketed by the user's local calendar day, identified by a YYYY-MM-DD day key.
+// A day can be configured to start later than midnight (`settings.dayStartHour`), so that
+// late-night browsing still counts towards the previous day.
+
+// Matches a YYYY-MM-DD day key.
+export const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Returns the storage key that holds a day's time records.
+ * @param {string} dayKey - The YYYY-MM-DD day key.
+ * @returns {string} The storage key, e.g. "day:2024-03-10".
+ */
+export function toDayStorageKey(dayKey) {
+    return `${DAY_STORAGE_PREFIX}${dayKey}`;
+}
+
+/**
+ * Returns the day key held in a storage key.
+ * @param {string} storageKey - Any key from `chrome.storage.local`.
+ * @returns {string|null} The YYYY-MM-DD day key, or null if the key does not hold day records.
+ */
+export function fromDayStorageKey(storageKey) {
+    if (!storageKey.startsWith(DAY_STORAGE_PREFIX)) return null;
+    const dayKey = storageKey.slice(DAY_STORAGE_PREFIX.length);
+    return DAY_KEY_PATTERN.test(dayKey) ? dayKey : null;
+}
+
+/**
+ * Returns the day key for a moment in time, in the user's local timezone.
+ * @param {number} timestamp - The moment, in milliseconds.
+ * @param {number} [dayStartHour] - The local hour (0-23) at which a new day begins.
+ * @returns {string} The YYYY-MM-DD key of the day containing that moment.
+ */
+export function getDayKey(timestamp, dayStartHour = 0) {
+    const date = new Date(timestamp);
+    // Before the day start hour, the moment still belongs to the previous day.
+    date.setHours(date.getHours() - dayStartHour);
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Returns the moment the day after the given moment begins.
+ * @param {number} timestamp - The moment, in milliseconds.
+ * @param {number} [dayStartHour] - The local hour (0-23) at which a new day begins.
+ * @returns {number} The timestamp of the next day boundary.
+ */
+export function getNextDayStart(timestamp, dayStartHour = 0) {
+    const boundary = new Date(timestamp);
+    if (boundary.getHours() >= dayStartHour) {
+        boundary.setDate(boundary.getDate() + 1);
+    }
+    boundary.setHours(dayStartHour, 0, 0, 0);
+    return boundary.getTime();
+}
+
+/**
+ * Reads the configured hour at which a new day begins.
+ * @returns {Promise<number>} The local hour (0-23). Defaults to midnight.
+ */
+export async function getDayStartHour() {
+    const settings = await getSettings();
+    return settings.dayStartHour || 0;
+}
+
+// How long without keyboard or mouse input before the user counts as away, unless media is playing.
+// Chrome does not allow less than 15 seconds.
+export const DEFAULT_IDLE_THRESHOLD_SECONDS = 15;
+
+/**
+ * Reads the configured idle threshold.
+ * @returns {Promise<number>} The seconds without input after which the user is idle.
+ */
+export async function getIdleThreshold() {
+    const settings = await getSettings();
+    return Math.max(DEFAULT_IDLE_THRESHOLD_SECONDS, settings.idleThresholdSeconds || DEFAULT_IDLE_THRESHOLD_SECONDS);
+}
+
+/**
+ * Returns the storage key for today's date in YYYY-MM-DD format.
+ * @returns {Promise<string>} The date key used for today's time records.
+ */
+export async function getTodayKey() {
+    return getDayKey(Date.now(), await getDayStartHour());
+}
+
+/**
+ * Combines two days' time records, adding up the totals, passive and background time and per-page
+ * times of each domain.
+ * @param {object} target - The day data to add to. It is modified in place.
+ * @param {object} source - The day data to add.
+ * @returns {object} The combined day data.
+ */
+export function mergeDayData(target, source) {
+    for (const domain in source) {
+        const domainData = target[domain] || { totalTime: 0, pages: {} };
+        domainData.totalTime += source[domain].totalTime || 0;
+        ['passiveTime', 'backgroundTime'].forEach(field => {
+            if (source[domain][field]) domainData[field] = (domainData[field] || 0) + source[domain][field];
+        });
+        for (const url in source[domain].pages) {
+            domainData.pages[url] = (domainData.pages[url] || 0) + source[domain].pages[url];
+        }
+        target[domain] = domainData;
+    }
+    return target;
+}
+
+/**
+ * Keys a day's time records by canonical domains and page URLs (see url-canonicalizer.js), merging
+ * entries that turn out to be the same. Used by the version 3 migration and when importing data.
+ * @param {object} dayData - The day data, which may use raw hostnames and URLs.
+ * @param {object} config - The URL privacy settings to canonicalize with.
+ * @returns {Promise<object>} The canonical day data. Pages already stored as a hash are kept as they are.
+ */
+export async function canonicalizeDayData(dayData, config) {
+    const canonical = {};
+    for (const hostname in dayData) {
+        const { pages: rawPages = {}, ...times } = dayData[hostname];
+        const pages = {};
+        for (const url in rawPages) {
+            const pageKey = isHashedUrl(url) ? url : await canonicalizeUrl(url, config);
+            pages[pageKey] = (pages[pageKey] || 0) + rawPages[url];
+        }
+        mergeDayData(canonical, { [canonicalizeHostname(hostname)]: { ...times, pages } });
+    }
+    return canonical;
+}
+
+/**
+ * Converts the `timeLimits` (minutes per domain) and `categoryLimits` (minutes per category) of
+ * older settings into limit rules (see background/limit-rules.js). Used by the version 4 migration
+ * and when importing an export made before limit rules existed.
+ * @param {object} settings - A settings object, in the old or the current shape.
+ * @returns {object} The settings with `limitRules` and without the old keys.
+ */
+export function upgradeLimitSettings(settings) {
+    const { timeLimits = {}, categoryLimits = {}, ...rest } = settings;
+    const limitRules = [
+        ...(settings.limitRules || []),
+        ...Object.keys(timeLimits).map(domain => ({
+            id: `rule-site-${domain}`, type: 'site', domain: getRegistrableDomain(domain), minutes: timeLimits[domain]
+        })),
+        ...Object.keys(categoryLimits).map(category => ({
+            id: `rule-category-${category}`, type: 'category', category, minutes: categoryLimits[category]
+        }))
+    ];
+    return { ...rest, limitRules };
+}
+
+// --- Migrations ---
+// Each migration upgrades the stored data from the previous version to `version`. They run in
+// order, and the schema version is saved after each one, so an interrupted upgrade resumes where
+// it stopped. A migration writes its new keys before removing old ones, so nothing is lost if it fails.
+
+const MIGRATIONS = [
+    {
+        // Versions before 1 keyed time records by UTC date. Records only hold daily totals, so each
+        // UTC day is moved to the local day containing its midpoint; days that land on the same key
+        // are merged. Installs that ran the earlier one-off migration are marked with `dayKeysLocal`.
+        version: 1,
+        async migrate(data) {
+            if (!data.dayKeysLocal) {
+                const dayStartHour = (data.settings && data.settings.dayStartHour) || 0;
+                const oldKeys = Object.keys(data).filter(key => DAY_KEY_PATTERN.test(key));
+                const migrated = {};
+                oldKeys.forEach(key => {
+                    const [year, month, day] = key.split('-').map(Number);
+                    const localKey = getDayKey(Date.UTC(year, month - 1, day, 12), dayStartHour);
+                    migrated[localKey] = mergeDayData(migrated[localKey] || {}, data[key]);
+                });
+                await chrome.storage.local.set(migrated);
+                await chrome.storage.local.remove(oldKeys.filter(key => !(key in migrated)));
+            }
+            await chrome.storage.local.remove('dayKeysLocal');
+        }
+    },
+    {
+        // Version 2 moves day records from bare YYYY-MM-DD keys to namespaced "day:" keys.
+        version: 2,
+        async migrate(data) {
+            const oldKeys = Object.keys(data).filter(key => DAY_KEY_PATTERN.test(key));
+            const migrated = {};
+            oldKeys.forEach(key => {
+                const storageKey = toDayStorageKey(key);
+                migrated[storageKey] = mergeDayData(data[storageKey] || {}, data[key]);
+            });
+            await chrome.storage.local.set(migrated);
+            await chrome.storage.local.remove(oldKeys);
+        }
+    },
+    {
+        // Version 3 keys domains and pages by their canonical form (see url-canonicalizer.js), so that
+        // "www." variants, tracking parameters and fragments no longer split one page into many entries.
+        version: 3,
+        async migrate(data) {
+            const config = getUrlPrivacySettings(data.settings);
+            const migrated = {};
+            for (const storageKey in data) {
+                if (fromDayStorageKey(storageKey)) migrated[storageKey] = await canonicalizeDayData(data[storageKey], config);
+            }
+            await chrome.storage.local.set(migrated);
+        }
+    },
+    {
+        // Version 4 replaces the per-domain and per-category limit maps with limit rules.
+        version: 4,
+        async migrate(data) {
+            if (data.settings) {
+                await chrome.storage.local.set({ settings: upgradeLimitSettings(data.settings) });
+            }
+        }
+    }
+];
+
+/**
+ * Retrieves the schema version of the stored data.
+ * @returns {Promise<number>} The version, or 0 for data written before versioning was introduced.
+ */
+export async function getSchemaVersion() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.schemaVersion);
+    return data[STORAGE_KEYS.schemaVersion] || 0;
+}
+
+/**
+ * Upgrades the stored data to `SCHEMA_VERSION` by running every migration newer than its
+ * current version. Called from `chrome.runtime.onInstalled`. The upgrade runs in the write queue:
+ * the worker starts tracking as soon as it loads, and time saved between a migration reading the
+ * day records and writing them back would otherwise be lost, so those writes wait for it instead.
+ * @returns {Promise<void>} Resolves once the upgrade has finished or stopped at a failed migration.
+ */
+export function runMigrations() {
+    return serializeWrite(async () => {
+        let version = await getSchemaVersion();
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= version) continue;
+            try {
+                // Each migration sees the data as the previous one left it.
+                await migration.migrate(await chrome.storage.local.get(null));
+                version = migration.version;
+                await chrome.storage.local.set({ [STORAGE_KEYS.schemaVersion]: version });
+                console.log(`STORAGE_MANAGER: Migrated storage to schema version ${version}.`);
+            } catch (error) {
+                // Stop here; the remaining migrations depend on this one and are retried on the next update.
+                console.error(`STORAGE_MANAGER: Migration to schema version ${migration.version} failed`, error);
+                return;
+            }
+        }
+    });
+}
+
 /**
  * Saves a record of time spent on a specific URL.
- * It aggregates time by domain for a given day.
+ * It aggregates time by domain for a given day. A visit that crosses the start of a new day
+ * is split, with each part counted towards the day it happened on.
  *
  * @param {string} url The full URL of the page.
  * @param {number} timeSpentInSeconds The duration of the visit in seconds.
+ * @param {number} [endTime] When the visit ended, in milliseconds. Defaults to now.
+ * @param {string} [dimension] What kind of time it was:
+ *     - 'active': the user was on the page. It counts towards the total and the page's time.
+ *     - 'passive': the page played media while the keyboard and mouse were not in use. It counts
+ *       like active time and is also added to `passiveTime`.
+ *     - 'background': an audible or picture-in-picture tab the user was not on. It is only added to
+ *       `backgroundTime`, which is kept out of the total, limits and reports unless shown explicitly.
  */
-export async function saveTimeRecord(url, timeSpentInSeconds) {
+export async function saveTimeRecord(url, timeSpentInSeconds, endTime = Date.now(), dimension = 'active') {
     if (!url || !url.startsWith('http')) {
         return; // Ignore internal chrome pages or invalid URLs
     }
 
     try {
-        const urlObject = new URL(url);
-        const domain = urlObject.hostname;
+        // Pages and domains are stored under their canonical keys, without tracking parameters or tokens.
+        const pageKey = await canonicalizeUrl(url, getUrlPrivacySettings(await getSettings()));
+        const domain = canonicalizeHostname(new URL(url).hostname);
 
-        // Use today's date in YYYY-MM-DD format as the storage key
-        const today = new Date().toISOString().split('T')[0];
+        // 1. Work out how many seconds of the visit fall on each day.
+        const dayStartHour = await getDayStartHour();
+        const secondsByDay = {};
+        let segmentStart = endTime - timeSpentInSeconds * 1000;
+        while (segmentStart < endTime) {
+            const segmentEnd = Math.min(getNextDayStart(segmentStart, dayStartHour), endTime);
+            const seconds = Math.round((segmentEnd - segmentStart) / 1000);
+            if (seconds > 0) {
+                const dayKey = getDayKey(segmentStart, dayStartHour);
+                secondsByDay[dayKey] = (secondsByDay[dayKey] || 0) + seconds;
+            }
+            segmentStart = segmentEnd;
+        }
 
-        // 1. Get existing data for today
-        const data = await chrome.storage.local.get(today);
-        const dayData = data[today] || {};
+        // 2. Get existing data for those days. Steps 2 to 4 run in the write queue, so another save
+        // cannot change the days in between.
+        const dayKeys = Object.keys(secondsByDay);
+        await serializeWrite(async () => {
+            const data = await getDaysData(dayKeys);
 
-        // 2. Update the data for the specific domain
-        const domainData = dayData[domain] || { totalTime: 0, pages: {} };
-        domainData.totalTime += timeSpentInSeconds;
-        domainData.pages[url] = (domainData.pages[url] || 0) + timeSpentInSeconds;
-        dayData[domain] = domainData;
+            // 3. Update the data for the specific domain on each day
+            dayKeys.forEach(dayKey => {
+                const dayData = data[dayKey] || {};
+                const domainData = dayData[domain] || { totalTime: 0, pages: {} };
+                if (dimension === 'background') {
+                    domainData.backgroundTime = (domainData.backgroundTime || 0) + secondsByDay[dayKey];
+                } else {
+                    domainData.totalTime += secondsByDay[dayKey];
+                    if (dimension === 'passive') domainData.passiveTime = (domainData.passiveTime || 0) + secondsByDay[dayKey];
+                    domainData.pages[pageKey] = (domainData.pages[pageKey] || 0) + secondsByDay[dayKey];
+                }
+                dayData[domain] = domainData;
+                data[dayKey] = dayData;
+            });
 
-        // 3. Save the updated data back to storage
-        await chrome.storage.local.set({ [today]: dayData });
+            // 4. Save the updated data back to storage
+            await saveDaysData(data);
+        });
 
-        console.log(`STORAGE_MANAGER: Saved ${timeSpentInSeconds}s for ${domain}`);
+        console.log(`STORAGE_MANAGER: Saved ${timeSpentInSeconds}s (${dimension}) for ${domain}`);
 
     } catch (error) {
         console.error(`STORAGE_MANAGER: Failed to save time record for URL "${url}"`, error);
@@ -43,7 +371,7 @@ export async function saveTimeRecord(url, timeSpentInSeconds) {
  */
 export async function saveSettings(settings) {
     try {
-        await chrome.storage.local.set({ settings: settings });
+        await chrome.storage.local.set({ [STORAGE_KEYS.settings]: settings });
         console.log("STORAGE_MANAGER: Settings saved", settings);
     } catch (error) {
         console.error("STORAGE_MANAGER: Error saving settings", error);
@@ -56,15 +384,96 @@ export async function saveSettings(settings) {
  */
 export async function getSettings() {
     try {
-        const data = await chrome.storage.local.get('settings');
+        const data = await chrome.storage.local.get(STORAGE_KEYS.settings);
         // Return the settings object, or a default empty object if none are found.
-        return data.settings || {};
+        return data[STORAGE_KEYS.settings] || {};
     } catch (error) {
         console.error("STORAGE_MANAGER: Error getting settings", error);
         return {}; // Return default on error
     }
 }
 
+/**
+ * Retrieves the time records of several days.
+ * @param {string[]} dayKeys - The YYYY-MM-DD day keys.
+ * @returns {Promise<object>} The day objects keyed by day key. Days without records are left out.
+ */
+export async function getDaysData(dayKeys) {
+    const data = await chrome.storage.local.get(dayKeys.map(toDayStorageKey));
+    const days = {};
+    for (const storageKey in data) {
+        days[fromDayStorageKey(storageKey)] = data[storageKey];
+    }
+    return days;
+}
+
+/**
+ * Retrieves the time records of every stored day.
+ * @returns {Promise<object>} The day objects keyed by day key.
+ */
+export async function getAllDaysData() {
+    const data = await chrome.storage.local.get(null);
+    const days = {};
+    for (const storageKey in data) {
+        const dayKey = fromDayStorageKey(storageKey);
+        if (dayKey) days[dayKey] = data[storageKey];
+    }
+    return days;
+}
+
+/**
+ * Saves the time records of several days, replacing what was stored for those days.
+ * @param {object} days - The day objects keyed by YYYY-MM-DD day key.
+ */
+export async function saveDaysData(days) {
+    const updates = {};
+    for (const dayKey in days) {
+        updates[toDayStorageKey(dayKey)] = days[dayKey];
+    }
+    await chrome.storage.local.set(updates);
+}
+
+/**
+ * Compacts the time records of days before a cutoff: each domain keeps its total time, but the
+ * per-URL detail is dropped, which is where almost all of a day's storage goes.
+ * @param {string} cutoffDayKey - The YYYY-MM-DD key of the first day to keep in full.
+ * @returns {Promise<number>} The number of days that were compacted.
+ */
+export function compactDaysBefore(cutoffDayKey) {
+    return serializeWrite(async () => {
+        const allDays = await getAllDaysData();
+        const compacted = {};
+        for (const dayKey in allDays) {
+            if (dayKey >= cutoffDayKey) continue;
+            const dayData = allDays[dayKey];
+            const hasDetail = Object.values(dayData).some(domainData => Object.keys(domainData.pages || {}).length > 0);
+            if (!hasDetail) continue;
+            for (const domain in dayData) {
+                const { pages, ...totals } = dayData[domain];
+                dayData[domain] = { ...totals, pages: {} };
+            }
+            compacted[dayKey] = dayData;
+        }
+        await saveDaysData(compacted);
+        return Object.keys(compacted).length;
+    });
+}
+
+/**
+ * Retrieves today's time records for every domain.
+ * @returns {Promise<object>} The day object, keyed by domain.
+ */
+export async function getTodayData() {
+    try {
+        const today = await getTodayKey();
+        const data = await getDaysData([today]);
+        return data[today] || {};
+    } catch (error) {
+        console.error("STORAGE_MANAGER: Failed to get today's data", error);
+        return {};
+    }
+}
+
 /**
  * Retrieves all data for a specific domain for today.
  * @param {string} domain The domain to retrieve data for.
@@ -72,10 +481,8 @@ export async function getSettings() {
  */
 export async function getDomainDataForToday(domain) {
     try {
-        const today = new Date().toISOString().split('T')[0];
-        const data = await chrome.storage.local.get(today);
-        const dayData = data[today] || {};
-        return dayData[domain] || { totalTime: 0, pages: {} };
+        const dayData = await getTodayData();
+        return dayData[canonicalizeHostname(domain)] || { totalTime: 0, pages: {} };
     } catch (error) {
         console.error(`STORAGE_MANAGER: Failed to get data for domain "${domain}"`, error);
         return { totalTime: 0, pages: {}};
@@ -88,14 +495,15 @@ export async function getDomainDataForToday(domain) {
  * @returns {Promise<object>} - An object containing data for the requested days.
  */
 export async function getLastDaysData(days = 7) {
+    const dayStartHour = await getDayStartHour();
     const dateKeys = [];
     for (let i =0; i < days; i++) {
         const date = new Date();
         date.setDate(date.getDate() - i);
-        dateKeys.push(date.toISOString().split('T')[0]);
+        dateKeys.push(getDayKey(date.getTime(), dayStartHour));
     }
     try {
-        return await chrome.storage.local.get(dateKeys);
+        return await getDaysData(dateKeys);
     } catch (error) {
         console.error("STORAGE_MANAGER: Error getting last days data", error);
         return {};
@@ -109,9 +517,9 @@ export async function getLastDaysData(days = 7) {
 export async function saveWeeklyReport(reportText) {
     const reportData = {
         text: reportText,
-        generatedDate: new Date().toISOString().split('T')[0]
+        generatedDate: await getTodayKey()
     };
-    await chrome.storage.local.set({ weeklyReport: reportData });
+    await chrome.storage.local.set({ [STORAGE_KEYS.weeklyReport]: reportData });
 }
 
 /**
@@ -119,6 +527,288 @@ export async function saveWeeklyReport(reportText) {
  * @returns {Promise<object|null>} - The report object or null if not found.
  */
 export async function getWeeklyReport() {
-    const data = await chrome.storage.local.get('weeklyReport');
-    return data.weeklyReport || null;
-}
\ No newline at end of file
+    const data = await chrome.storage.local.get(STORAGE_KEYS.weeklyReport);
+    return data[STORAGE_KEYS.weeklyReport] || null;
+}
+
+/**
+ * Saves a generated session report for the report page to pick up.
+ * @param {string} reportContent - The report's Markdown text.
+ */
+export async function saveLatestReport(reportContent) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.latestReport]: reportContent });
+}
+
+/**
+ * Retrieves the generated session report and removes it, so it is only shown once.
+ * @returns {Promise<string|null>} The report's Markdown text, or null if there is none.
+ */
+export async function takeLatestReport() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.latestReport);
+    await chrome.storage.local.remove(STORAGE_KEYS.latestReport);
+    return data[STORAGE_KEYS.latestReport] || null;
+}
+
+// --- Session History ---
+// Completed browsing sessions are archived in `chrome.storage.local` under a single key,
+// so that they survive the end of the session and browser restarts.
+
+const SESSION_HISTORY_KEY = STORAGE_KEYS.sessionHistory;
+
+/**
+ * Saves a browsing session to the durable session history. If a session with the same id
+ * is already archived, it is replaced, so this can be called every time the live session changes.
+ * @param {object} session - The session object built by the session manager.
+ */
+export async function archiveSession(session) {
+    if (!session || !session.id) return;
+
+    try {
+        await serializeWrite(async () => {
+            const data = await chrome.storage.local.get(SESSION_HISTORY_KEY);
+            const history = data[SESSION_HISTORY_KEY] || [];
+
+            const index = history.findIndex(archived => archived.id === session.id);
+            if (index === -1) {
+                history.push(session);
+            } else {
+                history[index] = session;
+            }
+
+            await chrome.storage.local.set({ [SESSION_HISTORY_KEY]: history });
+        });
+    } catch (error) {
+        console.error(`STORAGE_MANAGER: Failed to archive session "${session.id}"`, error);
+    }
+}
+
+/**
+ * Retrieves archived sessions, newest first, optionally filtered.
+ * @param {object} [filters] - Optional filters.
+ * @param {number} [filters.since] - Only sessions that started at or after this timestamp (ms).
+ * @param {number} [filters.until] - Only sessions that started at or before this timestamp (ms).
+ * @param {string} [filters.severity] - Only sessions with this `rabbitholeSeverity` ('Low', 'Medium', 'High').
+ * @param {string} [filters.domain] - Only sessions that visited this domain or one of its subdomains.
+ * @param {number} [filters.limit] - The maximum number of sessions to return.
+ * @returns {Promise<Array<object>>} - The matching session objects.
+ */
+export async function getSessionHistory(filters = {}) {
+    try {
+        const data = await chrome.storage.local.get(SESSION_HISTORY_KEY);
+        const history = data[SESSION_HISTORY_KEY] || [];
+
+        const sessions = history.filter(session => {
+            if (filters.since && session.startTime < filters.since) return false;
+            if (filters.until && session.startTime > filters.until) return false;
+            if (filters.severity && session.rabbitholeSeverity !== filters.severity) return false;
+            if (filters.domain && !session.domains.some(domain =>
+                domain === filters.domain || domain.endsWith(`.${filters.domain}`))) return false;
+            return true;
+        });
+
+        sessions.sort((a, b) => b.startTime - a.startTime);
+        return filters.limit ? sessions.slice(0, filters.limit) : sessions;
+    } catch (error) {
+        console.error("STORAGE_MANAGER: Error getting session history", error);
+        return [];
+    }
+}
+
+/**
+ * Retrieves a single archived session.
+ * @param {string} sessionId - The id of the session (e.g., "session-1700000000000").
+ * @returns {Promise<object|null>} - The session object or null if not found.
+ */
+export async function getSessionById(sessionId) {
+    const data = await chrome.storage.local.get(SESSION_HISTORY_KEY);
+    const history = data[SESSION_HISTORY_KEY] || [];
+    return history.find(session => session.id === sessionId) || null;
+}
+
+/**
+ * Deletes a single session from the history.
+ * @param {string} sessionId - The id of the session to delete.
+ */
+export function deleteSession(sessionId) {
+    return serializeWrite(async () => {
+        const data = await chrome.storage.local.get(SESSION_HISTORY_KEY);
+        const history = data[SESSION_HISTORY_KEY] || [];
+        await chrome.storage.local.set({
+            [SESSION_HISTORY_KEY]: history.filter(session => session.id !== sessionId)
+        });
+    });
+}
+
+/**
+ * Deletes every archived session. Queued behind any session still being archived, so it is not
+ * written back after the history is cleared.
+ * @returns {Promise<void>} Resolves once the history has been removed.
+ */
+export function clearSessionHistory() {
+    return serializeWrite(() => chrome.storage.local.remove(SESSION_HISTORY_KEY));
+}
+
+// --- Deletion ---
+// Parts of the history can be deleted without clearing everything: a domain, a date range or a
+// single page URL is removed from both the day records and the archived sessions.
+
+/**
+ * Checks whether a hostname is a domain or one of its subdomains.
+ * @param {string} hostname - The hostname to check.
+ * @param {string} domain - The domain.
+ * @returns {boolean} True if the hostname belongs to the domain.
+ */
+function matchesDomain(hostname, domain) {
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Rewrites every stored day. Days the transform leaves empty are removed.
+ * @param {function(string, object): object} transform - Receives a day key and its records and
+ *     returns the records to keep.
+ */
+function updateAllDays(transform) {
+    return serializeWrite(async () => {
+        const allDays = await getAllDaysData();
+        const updates = {};
+        const emptyKeys = [];
+        for (const dayKey in allDays) {
+            const dayData = transform(dayKey, allDays[dayKey]);
+            if (Object.keys(dayData).length === 0) {
+                emptyKeys.push(toDayStorageKey(dayKey));
+            } else {
+                updates[dayKey] = dayData;
+            }
+        }
+        await saveDaysData(updates);
+        await chrome.storage.local.remove(emptyKeys);
+    });
+}
+
+/**
+ * Removes matching pages from a session and recalculates the domains it visited. Tabs saved from
+ * the session as a list (`savedTabs`, with a `url` like pages) are removed by the same test.
+ * @param {object} session - A session object.
+ * @param {function(object): boolean} shouldRemove - Returns true for pages to remove.
+ * @returns {object|null} The session (a copy if anything was removed), or null if no pages are left.
+ */
+export function pruneSessionPages(session, shouldRemove) {
+    const pages = session.pages.filter(page => !shouldRemove(page));
+    const savedTabs = (session.savedTabs || []).filter(savedTab => !shouldRemove(savedTab));
+    const savedTabsChanged = session.savedTabs && savedTabs.length !== session.savedTabs.length;
+    if (pages.length === session.pages.length && !savedTabsChanged) return session;
+    if (pages.length === 0) return null;
+    const domains = [...new Set(pages.map(page => new URL(page.url).hostname))];
+    return savedTabsChanged ? { ...session, pages, domains, savedTabs } : { ...session, pages, domains };
+}
+
+/**
+ * Removes matching pages from every archived session. Sessions left without pages are deleted.
+ * @param {function(object): boolean} shouldRemove - Returns true for pages to remove.
+ */
+function removePagesFromHistory(shouldRemove) {
+    return serializeWrite(async () => {
+        const data = await chrome.storage.local.get(SESSION_HISTORY_KEY);
+        const history = (data[SESSION_HISTORY_KEY] || [])
+            .map(session => pruneSessionPages(session, shouldRemove))
+            .filter(Boolean);
+        await chrome.storage.local.set({ [SESSION_HISTORY_KEY]: history });
+    });
+}
+
+/**
+ * Deletes all history for a domain and its subdomains, on every day and in every archived session.
+ * @param {string} domain - The domain, e.g. "youtube.com".
+ */
+export async function deleteDomainHistory(domain) {
+    const canonicalDomain = canonicalizeHostname(domain);
+    try {
+        await updateAllDays((dayKey, dayData) => {
+            for (const hostname in dayData) {
+                if (matchesDomain(hostname, canonicalDomain)) delete dayData[hostname];
+            }
+            return dayData;
+        });
+        await removePagesFromHistory(page => matchesDomain(canonicalizeHostname(new URL(page.url).hostname), canonicalDomain));
+        console.log(`STORAGE_MANAGER: Deleted the history of ${domain}.`);
+    } catch (error) {
+        console.error(`STORAGE_MANAGER: Failed to delete the history of "${domain}"`, error);
+    }
+}
+
+/**
+ * Deletes the day records, and the archived sessions that started, within a range of days.
+ * @param {string} fromDayKey - The YYYY-MM-DD key of the first day to delete.
+ * @param {string} toDayKey - The YYYY-MM-DD key of the last day to delete.
+ */
+export async function deleteDateRange(fromDayKey, toDayKey) {
+    try {
+        const inRange = dayKey => dayKey >= fromDayKey && dayKey <= toDayKey;
+        await updateAllDays((dayKey, dayData) => (inRange(dayKey) ? {} : dayData));
+
+        const dayStartHour = await getDayStartHour();
+        await serializeWrite(async () => {
+            const data = await chrome.storage.local.get(SESSION_HISTORY_KEY);
+            await chrome.storage.local.set({
+                [SESSION_HISTORY_KEY]: (data[SESSION_HISTORY_KEY] || [])
+                    .filter(session => !inRange(getDayKey(session.startTime, dayStartHour)))
+            });
+        });
+        console.log(`STORAGE_MANAGER: Deleted the history from ${fromDayKey} to ${toDayKey}.`);
+    } catch (error) {
+        console.error(`STORAGE_MANAGER: Failed to delete the history from ${fromDayKey} to ${toDayKey}`, error);
+    }
+}
+
+/**
+ * Deletes a single page URL (in any of its forms, such as with tracking parameters) from every day
+ * and every archived session. The time spent on it is
+ * subtracted from its domain's daily totals.
+ * @param {string} url - The full URL of the page.
+ */
+export async function deletePageHistory(url) {
+    try {
+        const pageKey = await canonicalizeUrl(url, getUrlPrivacySettings(await getSettings()));
+        await updateAllDays((dayKey, dayData) => {
+            for (const domain in dayData) {
+                const domainData = dayData[domain];
+                if (!(pageKey in domainData.pages)) continue;
+                domainData.totalTime = Math.max(0, domainData.totalTime - domainData.pages[pageKey]);
+                // Passive time is not kept per page, so it is only trimmed to fit the new total.
+                if (domainData.passiveTime) domainData.passiveTime = Math.min(domainData.passiveTime, domainData.totalTime);
+                delete domainData.pages[pageKey];
+                if (domainData.totalTime === 0 && Object.keys(domainData.pages).length === 0 && !domainData.backgroundTime) delete dayData[domain];
+            }
+            return dayData;
+        });
+        // Sessions archived before URLs were canonicalized hold the raw URL.
+        await removePagesFromHistory(page => page.url === pageKey || page.url === url);
+        console.log(`STORAGE_MANAGER: Deleted the history of ${url}.`);
+    } catch (error) {
+        console.error(`STORAGE_MANAGER: Failed to delete the history of "${url}"`, error);
+    }
+}
+
+/**
+ * Reports how much of the local storage quota is in use.
+ * @returns {Promise<{bytesInUse: number, quotaBytes: number}>} The bytes used and the quota.
+ */
+export async function getStorageUsage() {
+    const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+    return { bytesInUse, quotaBytes: chrome.storage.local.QUOTA_BYTES };
+}
+
+/**
+ * Removes all stored browsing data: the day records, the session history and any pending session
+ * report. The user's settings, the weekly report and the focus state are kept. Queued behind
+ * pending writes, so time or sessions being saved are cleared too rather than written back.
+ * @returns {Promise<void>} Resolves once the data has been removed.
+ */
+export function clearAllData() {
+    return serializeWrite(async () => {
+        const data = await chrome.storage.local.get(null);
+        const keysToRemove = Object.keys(data).filter(key =>
+            fromDayStorageKey(key) || key === SESSION_HISTORY_KEY || key === STORAGE_KEYS.latestReport);
+        await chrome.storage.local.remove(keysToRemove);
+    });
+}
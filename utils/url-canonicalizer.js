@@ -0,0 +1,117 @@
+// utils/url-canonicalizer.js
+/**
+ * @file Turns page URLs into the canonical keys used everywhere a URL or domain is stored.
+ * Tracking parameters (utm_*, fbclid...), session tokens, fragments and any query keys the user
+ * configures are stripped, so one page is not split into many entries and sensitive values are
+ * never written to storage. `www.` and `m.` subdomains collapse into the bare domain. Paths can
+ * optionally be stored as a hash, keeping per-page totals without revealing what the pages were.
+ */
+
+// Query keys that are always removed. Keys ending in `*` match as a prefix.
+const STRIPPED_QUERY_KEYS = [
+    // Campaign and click tracking.
+    'utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'ref_url', 'si',
+    // Session and authentication tokens.
+    'sid', 'sessionid', 'session_id', 'phpsessid', 'jsessionid', 'token', 'access_token', 'auth'
+];
+
+// Subdomains that serve the same site as the bare domain.
+const COLLAPSED_SUBDOMAINS = ['www.', 'm.'];
+
+/**
+ * The default URL privacy settings. Saved values in `settings.urlPrivacy` override these.
+ */
+export const DEFAULT_URL_PRIVACY_SETTINGS = {
+    stripQueryKeys: [], // Extra query keys to remove, with the same `*` prefix syntax.
+    hashPaths: false    // Store a hash of the path and query instead of the readable URL.
+};
+
+/**
+ * Merges the user's saved URL privacy settings over the defaults.
+ * @param {object} [settings] - The user's settings object from storage.
+ * @returns {object} The complete URL privacy settings.
+ */
+export function getUrlPrivacySettings(settings = {}) {
+    return { ...DEFAULT_URL_PRIVACY_SETTINGS, ...settings.urlPrivacy };
+}
+
+/**
+ * Returns the canonical form of a hostname: lower case, without a leading `www.` or `m.`.
+ * @param {string} hostname - The hostname, e.g. "m.Wikipedia.org".
+ * @returns {string} The canonical hostname, e.g. "wikipedia.org".
+ */
+export function canonicalizeHostname(hostname) {
+    let canonical = hostname.toLowerCase();
+    const prefix = COLLAPSED_SUBDOMAINS.find(subdomain => canonical.startsWith(subdomain));
+    // Never collapse a hostname down to a bare suffix such as "m.com" -> "com".
+    if (prefix && canonical.slice(prefix.length).includes('.')) {
+        canonical = canonical.slice(prefix.length);
+    }
+    return canonical;
+}
+
+/**
+ * Checks whether a query key should be removed.
+ * @param {string} key - The query key.
+ * @param {string[]} patterns - Keys to remove; a trailing `*` matches any key with that prefix.
+ * @returns {boolean} True if the key matches one of the patterns.
+ */
+function isStrippedKey(key, patterns) {
+    const lowerKey = key.toLowerCase();
+    return patterns.some(pattern => {
+        const lowerPattern = pattern.toLowerCase();
+        return lowerPattern.endsWith('*') ? lowerKey.startsWith(lowerPattern.slice(0, -1)) : lowerKey === lowerPattern;
+    });
+}
+
+/**
+ * Hashes text with SHA-256.
+ * @param {string} text - The text to hash.
+ * @returns {Promise<string>} The first 16 hex characters of the digest.
+ */
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').slice(0, 16);
+}
+
+// A canonical URL whose path and query were replaced by their hash: the origin, then "/#" and the hash.
+const HASHED_URL_PATTERN = /^https?:\/\/[^/]+\/#[0-9a-f]{16}$/;
+
+/**
+ * Checks whether a canonical URL is a hashed one, which no longer leads to the page it was made from.
+ * @param {string} url - A canonical URL.
+ * @returns {boolean} True if the path was stored as a hash.
+ */
+export function isHashedUrl(url) {
+    return HASHED_URL_PATTERN.test(url);
+}
+
+/**
+ * Returns the canonical form of a URL, used as the key for page records.
+ * @param {string} url - The full URL.
+ * @param {object} [config] - The URL privacy settings (see `getUrlPrivacySettings`).
+ * @returns {Promise<string>} The canonical URL. Non-http(s) URLs are returned unchanged.
+ */
+export async function canonicalizeUrl(url, config = DEFAULT_URL_PRIVACY_SETTINGS) {
+    if (!url || !url.startsWith('http')) return url;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+
+    const strippedKeys = [...STRIPPED_QUERY_KEYS, ...config.stripQueryKeys];
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !isStrippedKey(key, strippedKeys))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    const origin = `${parsed.protocol}//${canonicalizeHostname(parsed.hostname)}${parsed.port ? `:${parsed.port}` : ''}`;
+
+    if (config.hashPaths && (parsed.pathname !== '/' || query)) {
+        return `${origin}/#${await hashText(`${parsed.pathname}${query}`)}`;
+    }
+    return `${origin}${parsed.pathname}${query}`;
+}
@@ -1,4 +1,5 @@
-import { getLastDaysData, saveWeeklyReport } from './storage-manager.js';
+import { getLastDaysData, getSettings, saveWeeklyReport } from './storage-manager.js';
+import { getDomainCategories, groupTimeTotals } from './domain-groups.js';
 
 /**
  * The main function that generates and saves a weekly report.
@@ -27,7 +28,7 @@ export async function generateWeeklyReport() {
         console.log("REPORTER: Not enough data to generate a report.");
         return "Not enough browsing data to generate a report yet. Check back in a few days!";
     }
-    const dataSummary = summarizeDataForAI(weeklyData);
+    const dataSummary = summarizeDataForAI(weeklyData, getDomainCategories(await getSettings()));
 
     // 3. Craft a detailed prompt for the AI.
      const prompt = chrome.i18n.getMessage("weeklyInsightPrompt", [
@@ -64,18 +65,15 @@ export async function generateWeeklyReport() {
 }
 
 /**
- * A helper function to process raw storage data into a simple summary.
+ * A helper function to process raw storage data into a simple summary: the top sites, with
+ * subdomains counted towards their site, and the time per category.
  */
-function summarizeDataForAI(data) {
-    const summary = {};
-    for (const date in data) {
-        for (const domain in data[date]) {
-            summary[domain] = (summary[domain] || 0) + data[date][domain].totalTime;
-        }
-    }
-    const topDomains = Object.entries(summary)
+function summarizeDataForAI(data, categories) {
+    const topDomains = Object.entries(groupTimeTotals(data, 'site'))
         .sort(([, a], [, b]) => b - a)
         .slice(0, 5);
-    
-    return Object.fromEntries(topDomains);
+    const categoryTotals = Object.entries(groupTimeTotals(data, 'category', categories))
+        .sort(([, a], [, b]) => b - a);
+
+    return { topDomains: Object.fromEntries(topDomains), categories: Object.fromEntries(categoryTotals) };
 }
\ No newline at end of file